@@ -535,6 +535,56 @@ window.onload = function() {
   openSpeedtestGet.prototype.remEvt = function(o, e, f) {
     o.removeEventListener(e, f);
   };
+  var runListeners = {};
+  var runHandler;
+  var pendingRuns = [];
+  var showHandler;
+  var pendingShow;
+  function emitRunEvent(type, detail) {
+    var listeners = (runListeners[type] || []).slice();
+    for (var i = 0; i < listeners.length; i++) {
+      try {
+        listeners[i](detail);
+      } catch (error) {
+        console.error("OpenSpeedTest " + type + " listener failed:", error);
+      }
+    }
+  }
+  OpenSpeedTest.on = function(type, listener) {
+    if (typeof listener === "function") {
+      (runListeners[type] = runListeners[type] || []).push(listener);
+    }
+    return OpenSpeedTest;
+  };
+  OpenSpeedTest.off = function(type, listener) {
+    var listeners = runListeners[type] || [];
+    var index = listeners.indexOf(listener);
+    if (index >= 0) {
+      listeners.splice(index, 1);
+    }
+    return OpenSpeedTest;
+  };
+  // OpenSpeedTest.run({tests:["ping","download","upload"], duration:12, threads:6, server:"http://host:3000"})
+  // Resolves with the structured result, rejects on network error. Runs queue until the engine has loaded.
+  OpenSpeedTest.run = function(options) {
+    return new Promise(function(resolve, reject) {
+      var request = {options:options || {}, resolve:resolve, reject:reject};
+      if (runHandler) {
+        runHandler(request);
+      } else {
+        pendingRuns.push(request);
+      }
+    });
+  };
+  // OpenSpeedTest.show({ping, jitter, download, upload}) puts a finished result (e.g. from a permalink)
+  // on the results screen without running a test.
+  OpenSpeedTest.show = function(result) {
+    if (showHandler) {
+      showHandler(result);
+    } else {
+      pendingShow = result;
+    }
+  };
   var openSpeedtestEngine = function() {
     var Get = new openSpeedtestGet();
     var Show = new openSpeedtestShow();
@@ -562,7 +612,6 @@ window.onload = function() {
     var downloadTimeing;
     var downloadTime;
     var uploadTime;
-    var saveTestData;
     var stop = 0;
     function reSett() {
       StartTime = 0;
@@ -671,6 +720,8 @@ window.onload = function() {
         }
       }
     }
+    // ?impair=loss-2 asks a server with the impairment emulator (server/http-udp-bridge.js) to impair downloads
+    var impairQuery = typeof getCommand.impair === "string" ? "&impair=" + encodeURIComponent(getCommand.impair) : "";
     var custom = parseInt(getCommand.stress);
     var customS = parseInt(getCommand.s);
     var runStress;
@@ -835,7 +886,9 @@ window.onload = function() {
       
       // Fall back to original HTTP testing
       console.log('Running standard HTTP speed test');
-      
+      runHTTPTasks();
+    }
+    function runHTTPTasks() {
       if (addEvent) {
         removeEvts();
         addEvent = false;
@@ -857,14 +910,18 @@ window.onload = function() {
             clearInterval(autoTest);
             launch = true;
             OpenSpeedTestStart = undefined;
-            runTasks();
+            runHTTPTasks();
           }
         }
       }
       if (openSpeedTestServerList === "fetch" && launch === true) {
         launch = false;
         Show.showStatus("Fetching Server Info..");
-        ServerConnect(6);
+        if (typeof OpenSpeedTestdb === "undefined") {
+          fetchServerList();
+        } else {
+          ServerConnect(6);
+        }
       }
       if (launch === true) {
         if (SelectTest === "Ping") {
@@ -882,6 +939,161 @@ window.onload = function() {
     var myname = "OpenSpeedTest";
     var com = ".com";
     var ost = myname + osttm;
+    var baseDlDuration = dlDuration;
+    var baseUlDuration = ulDuration;
+    var baseDlFinal = dlFinal;
+    var baseUlFinal = ulFinal;
+    var baseThreads = dlThreads;
+    var baseServerList = openSpeedTestServerList;
+    var baseSelectTest = SelectTest;
+    var activeRun;
+    function startRun(request) {
+      if (activeRun) {
+        request.reject(new Error("A test is already running"));
+        return;
+      }
+      activeRun = request;
+      resetRun(request.options);
+      emitRunEvent("start", {protocol:"http", tests:runTests(), duration:dlDuration, threads:dlThreads});
+      runHTTPTasks();
+    }
+    function runTests() {
+      if (SelectTest === "Ping") {
+        return ["ping"];
+      }
+      if (SelectTest === "Download") {
+        return ["ping", "download"];
+      }
+      if (SelectTest === "Upload") {
+        return ["ping", "upload"];
+      }
+      return ["ping", "download", "upload"];
+    }
+    function resetRun(options) {
+      var tests = options.tests;
+      if (typeof tests === "string") {
+        tests = [tests];
+      }
+      SelectTest = baseSelectTest;
+      if (tests && tests.length) {
+        var wantDown = tests.indexOf("download") >= 0;
+        var wantUp = tests.indexOf("upload") >= 0;
+        if (wantDown && wantUp) {
+          SelectTest = false;
+        } else if (wantDown) {
+          SelectTest = "Download";
+        } else if (wantUp) {
+          SelectTest = "Upload";
+        } else {
+          SelectTest = "Ping";
+        }
+      }
+      var duration = parseFloat(options.duration);
+      if (duration > 0) {
+        dlDuration = duration;
+        ulDuration = duration;
+        dlFinal = dlDuration * 0.6;
+        ulFinal = ulDuration * 0.6;
+        setFinal();
+      } else {
+        dlDuration = baseDlDuration;
+        ulDuration = baseUlDuration;
+        dlFinal = baseDlFinal;
+        ulFinal = baseUlFinal;
+      }
+      var threads = parseInt(options.threads);
+      if (threads > 0 && threads <= 32) {
+        dlThreads = threads;
+        ulThreads = threads;
+      } else {
+        dlThreads = baseThreads;
+        ulThreads = baseThreads;
+      }
+      if (typeof options.server === "string" && isValidHttpUrl(options.server)) {
+        openSpeedTestServerList = [{ServerName:"Home", Download:options.server + "/downloading", Upload:options.server + "/upload", ServerIcon:"DefaultIcon",},];
+      } else if (options.server && typeof options.server === "object") {
+        openSpeedTestServerList = [].concat(options.server);
+      } else {
+        openSpeedTestServerList = baseServerList;
+      }
+      downloadSpeed = undefined;
+      uploadSpeed = undefined;
+      dataUsedfordl = undefined;
+      dataUsedforul = undefined;
+      pingEstimate = undefined;
+      jitterEstimate = undefined;
+      stop = 0;
+      if (SelectTest === "Download") {
+        uploadSpeed = 0;
+        dataUsedforul = 0;
+      } else if (SelectTest === "Upload") {
+        downloadSpeed = 0;
+        dataUsedfordl = 0;
+        stop = 1;
+      } else if (SelectTest === "Ping") {
+        uploadSpeed = 0;
+        dataUsedforul = 0;
+        downloadSpeed = 0;
+        dataUsedfordl = 0;
+      }
+      Get.reset();
+      Show.reset();
+      reSett();
+      ReQ = [];
+      uReQ = [];
+      SendData = undefined;
+      dLoaded = 0;
+      uLoaded = 0;
+      Startit = 0;
+      ProG = undefined;
+      dLoad = dDiff = dTotal = dtLoad = dtDiff = dtTotal = dRest = 0;
+      uLoad = uDiff = uTotal = utLoad = utDiff = utTotal = uRest = 0;
+      dReset = uReset = dualReset = dualupReset = undefined;
+      neXT = dlDuration * 1000 - 6000;
+      neXTUp = ulDuration * 1000 - 6000;
+      pingSendStatus = -1;
+      finalPing = [];
+      pingServer = [];
+      finalJitter = [];
+      statusPingTest = undefined;
+      fianlPingServer = undefined;
+      stopLoadedPing();
+      loadedLatency = {download:[], upload:[]};
+      launch = true;
+      if (!init) {
+        Status = "Loaded";
+      }
+    }
+    function runResult() {
+      return {protocol:"http", server:fianlPingServer ? fianlPingServer.ServerName : null, ping:pingEstimate, jitter:parseFloat(jitterEstimate) || 0, download:downloadSpeed || 0, upload:uploadSpeed || 0, dataUsed:{download:dataUsedfordl || 0, upload:dataUsedforul || 0}, loadedLatency:loadedLatencyResult(), userAgent:userAgentString, timestamp:Date.now()};
+    }
+    function finishRun(error) {
+      var request = activeRun;
+      activeRun = undefined;
+      if (error) {
+        emitRunEvent("error", {protocol:"http", message:error.message});
+      } else {
+        var result = runResult();
+        emitRunEvent("result", result);
+      }
+      if (request) {
+        if (error) {
+          request.reject(error);
+        } else {
+          request.resolve(result);
+        }
+      }
+    }
+    function runPhase(phase) {
+      emitRunEvent("phase", {protocol:"http", phase:phase});
+    }
+    function runProgress(phase, value, elapsed) {
+      var detail = {protocol:"http", phase:phase, value:value, elapsed:elapsed};
+      emitRunEvent("progress", detail);
+      if (activeRun && typeof activeRun.options.onProgress === "function") {
+        activeRun.options.onProgress(detail);
+      }
+    }
     function hiEnter(e) {
       if (e.key === "Enter") {
         runTasks();
@@ -921,6 +1133,7 @@ window.onload = function() {
       var Engine = setInterval(function() {
         if (Status === "Loaded") {
           Status = "busy";
+          runPhase("ping");
           sendPing(0);
         }
         if (Status === "Ping") {
@@ -933,7 +1146,9 @@ window.onload = function() {
           reSett();
           Show.reset();
           downloadTime = window.performance.now();
+          runPhase("download");
           downReq();
+          startLoadedPing("download");
           Status = "initDown";
         }
         if (Status === "Downloading") {
@@ -953,6 +1168,7 @@ window.onload = function() {
           Show.LiveSpeed(currentSpeed);
           Show.Graph(currentSpeed, 0);
           downloadSpeed = Get.AvgSpeed(currentSpeed, dlFinal, dlDuration);
+          runProgress("download", currentSpeed, downloadTimeing);
           if (downloadTimeing >= dlDuration && ProG == "done") {
             if (SelectTest) {
               Show.GaugeProgresstoZero(currentSpeed, "SendR");
@@ -963,6 +1179,7 @@ window.onload = function() {
             }
             Show.downloadResult(downloadSpeed);
             dataUsedfordl = dLoaded;
+            stopLoadedPing();
             stop = 1;
             Status = "busy";
             reSett();
@@ -975,6 +1192,7 @@ window.onload = function() {
             Status = "initup";
             Show.showStatus("Initializing..");
             Show.LiveSpeed("...", "speedToZero");
+            runPhase("upload");
             SendData = Get.uRandom(ulDataSize, readyToUP);
             if (SelectTest) {
               Startit = 1;
@@ -992,6 +1210,7 @@ window.onload = function() {
             uReset = extraUTime;
             Show.progress(false, ulDuration + 2.5);
             ulDuration += extraUTime;
+            startLoadedPing("upload");
           }
           Show.showStatus("Mbps upload");
           uploadTimeing = (window.performance.now() - uploadTime) / 1000;
@@ -1000,8 +1219,10 @@ window.onload = function() {
           Show.LiveSpeed(currentSpeed);
           Show.Graph(currentSpeed, 1);
           uploadSpeed = Get.AvgSpeed(currentSpeed, ulFinal, ulDuration);
+          runProgress("upload", currentSpeed, uploadTimeing);
           if (uploadTimeing >= ulDuration && stop == 1) {
             dataUsedforul = uLoaded;
+            stopLoadedPing();
             Show.uploadResult(uploadSpeed);
             Show.GaugeProgresstoZero(currentSpeed, "SendR");
             SendData = undefined;
@@ -1016,6 +1237,7 @@ window.onload = function() {
           Show.ConnectionError();
           Status = "busy";
           clearInterval(Engine);
+          stopLoadedPing();
           var dummyElement = document.createElement("div");
           dummyElement.innerHTML = '<a xlink:href="https://openspeedtest.com/FAQ.php?ref=NetworkError" style="cursor: pointer" target="_blank"></a>';
           var htmlAnchorElement = dummyElement.querySelector("a");
@@ -1023,6 +1245,7 @@ window.onload = function() {
           var circleSVG = document.getElementById("oDoLiveSpeed");
           htmlAnchorElement.innerHTML = circleSVG.innerHTML;
           circleSVG.innerHTML = dummyElement.innerHTML;
+          finishRun(new Error("HTTP test failed: network error"));
         }
         if (Status === "SendR") {
           Show.showStatus("All done");
@@ -1034,19 +1257,15 @@ window.onload = function() {
           htmlAnchorElement.innerHTML = circleSVG.innerHTML;
           circleSVG.innerHTML = dummyElement.innerHTML;
           if (location.hostname != myname.toLowerCase() + com) {
-            saveTestData = "https://" + myname.toLowerCase() + com + "/results/show.php?" + "&d=" + downloadSpeed.toFixed(3) + "&u=" + uploadSpeed.toFixed(3) + "&p=" + pingEstimate + "&j=" + jitterEstimate + "&dd=" + (dataUsedfordl / 1048576).toFixed(3) + "&ud=" + (dataUsedforul / 1048576).toFixed(3) + "&ua=" + userAgentString;
-            saveTestData = encodeURI(saveTestData);
-            var circleSVG2 = document.getElementById("resultsData");
-            circleSVG2.setAttributeNS("http://www.w3.org/1999/xlink", "xlink:href", saveTestData);
-            circleSVG2.setAttribute("target", "_blank");
             if (saveData) {
-              ServerConnect(5);
+              saveResult();
             }
           } else {
             ServerConnect(3);
           }
           Status = "busy";
           clearInterval(Engine);
+          finishRun();
         }
       }, 100);
     }
@@ -1138,7 +1357,7 @@ window.onload = function() {
       var lastLoaded = 0;
       var OST = new XMLHttpRequest();
       ReQ[i] = OST;
-      ReQ[i].open("GET", fianlPingServer.Download + "?n=" + Math.random(), true);
+      ReQ[i].open("GET", fianlPingServer.Download + "?n=" + Math.random() + impairQuery, true);
       ReQ[i].onprogress = function(e) {
         if (stop === 1) {
           ReQ[i].abort();
@@ -1369,6 +1588,7 @@ window.onload = function() {
               Show.pingResults(perfPing, "Ping");
               Show.jitterResult(jitterCalc, "Jitter");
             }
+            runProgress("ping", perfPing, pingResult.length);
             sendNewPingReq();
           }
           if (this.status === 404 && this.readyState === 4) {
@@ -1387,6 +1607,126 @@ window.onload = function() {
       }
       PingRequest();
     }
+    var loadedLatency = {download:[], upload:[]};
+    var loadedPingTimer;
+    var loadedPingPhase;
+    var loadedPingBusy = false;
+    function startLoadedPing(phase) {
+      stopLoadedPing();
+      var interval = typeof loadedPingInterval === "number" ? loadedPingInterval : 250;
+      if (!(interval > 0) || !fianlPingServer) {
+        return;
+      }
+      loadedPingPhase = phase;
+      loadedPingTimer = setInterval(function() {
+        if (!loadedPingBusy) {
+          loadedPingProbe(phase);
+        }
+      }, interval);
+    }
+    function stopLoadedPing() {
+      clearInterval(loadedPingTimer);
+      loadedPingTimer = undefined;
+      loadedPingPhase = undefined;
+    }
+    function loadedPingProbe(phase) {
+      var probe = new XMLHttpRequest();
+      var startTime = window.performance.now();
+      loadedPingBusy = true;
+      function record(latency) {
+        loadedPingBusy = false;
+        if (loadedPingPhase === phase) {
+          loadedLatency[phase].push(latency);
+          emitRunEvent("latency", {protocol:"http", phase:phase, value:latency});
+        }
+      }
+      probe.open(pingMethod, fianlPingServer[pingFile] + "?n=" + Math.random(), true);
+      probe.timeout = pingTimeOut;
+      probe.onload = function() {
+        if (this.status === 200) {
+          record(parseFloat((window.performance.now() - startTime).toFixed(1)));
+        } else {
+          loadedPingBusy = false;
+        }
+      };
+      probe.onerror = function() {
+        loadedPingBusy = false;
+      };
+      probe.ontimeout = function() {
+        record(pingTimeOut);
+      };
+      probe.send();
+    }
+    function latencySummary(samples) {
+      if (samples.length === 0) {
+        return null;
+      }
+      var sorted = samples.slice().sort(function(a, b) {
+        return a - b;
+      });
+      var middle = Math.floor(sorted.length / 2);
+      var median = sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+      return {samples:sorted.length, median:parseFloat(median.toFixed(1)), max:sorted[sorted.length - 1]};
+    }
+    function bufferbloatGrade(delta) {
+      if (delta < 5) {
+        return "A+";
+      }
+      if (delta < 30) {
+        return "A";
+      }
+      if (delta < 60) {
+        return "B";
+      }
+      if (delta < 200) {
+        return "C";
+      }
+      if (delta < 400) {
+        return "D";
+      }
+      return "F";
+    }
+    function loadedLatencyResult() {
+      var download = latencySummary(loadedLatency.download);
+      var upload = latencySummary(loadedLatency.upload);
+      var result = {idle:pingEstimate, download:download, upload:upload, delta:null, grade:null};
+      if (pingEstimate !== undefined && (download || upload)) {
+        var loaded = Math.max(download ? download.median : 0, upload ? upload.median : 0);
+        result.delta = parseFloat(Math.max(0, loaded - pingEstimate).toFixed(1));
+        result.grade = bufferbloatGrade(result.delta);
+      }
+      return result;
+    }
+    // Self-hosted result sink (server/http-udp-bridge.js POST /results): store the run
+    // and point the results link at the local result page.
+    function saveResult() {
+      var xhr = new XMLHttpRequest();
+      xhr.open("POST", saveDataURL, true);
+      xhr.setRequestHeader("Content-type", "application/json");
+      xhr.onreadystatechange = function() {
+        if (xhr.readyState != 4) {
+          return;
+        }
+        if (xhr.status != 200 && xhr.status != 201 && xhr.status != 202) {
+          console.warn("Saving the result to " + saveDataURL + " failed: HTTP " + xhr.status);
+          return;
+        }
+        try {
+          var saved = JSON.parse(xhr.responseText);
+          if (!saved.url) {
+            return;
+          }
+          var resultURL = new URL(saved.url, new URL(saveDataURL, location.href)).href;
+          var resultsLink = document.getElementById("resultsData");
+          resultsLink.setAttributeNS("http://www.w3.org/1999/xlink", "xlink:href", resultURL);
+          resultsLink.setAttribute("target", "_blank");
+          emitRunEvent("saved", {protocol:"http", id:saved.id, url:resultURL});
+        } catch (error) {
+          console.warn("Unexpected reply from " + saveDataURL + ":", error);
+        }
+      };
+      xhr.send(JSON.stringify(runResult()));
+    }
     var ServerConnect = function(auth) {
       var Self = this;
       var xhr = new XMLHttpRequest();
@@ -1394,9 +1734,6 @@ window.onload = function() {
       if (auth == 1) {
         url = webIP;
       }
-      if (auth == 5) {
-        url = saveDataURL;
-      }
       if (auth == 7) {
         url = get_IP;
       }
@@ -1419,7 +1756,7 @@ window.onload = function() {
           if (auth == 6) {
             openSpeedTestServerList = JSON.parse(return_data);
             launch = true;
-            runTasks();
+            runHTTPTasks();
           }
           if (auth == 7) {
             Show.YourIP.el.textContent = return_data;
@@ -1432,14 +1769,54 @@ window.onload = function() {
       if (auth == 3) {
         logData = "r=l" + "&d=" + downloadSpeed + "&u=" + uploadSpeed + "&dd=" + dataUsedfordl / 1048576 + "&ud=" + dataUsedforul / 1048576 + "&p=" + pingEstimate + "&do=" + myhostName + "&S=" + key + "&sip=" + TestServerip + "&jit=" + jitterEstimate + "&ua=" + userAgentString;
       }
-      if (auth == 5) {
-        logData = saveTestData;
-      }
       if (auth == 6) {
         logData = "r=s";
       }
       xhr.send(logData);
     };
+    function fetchServerList() {
+      var url = typeof serverListURL === "string" && serverListURL ? serverListURL : "servers.json";
+      var xhr = new XMLHttpRequest();
+      xhr.open("GET", url + "?n=" + Math.random(), true);
+      xhr.timeout = pingTimeOut;
+      xhr.onloadend = function() {
+        var list;
+        try {
+          list = xhr.status === 200 ? JSON.parse(xhr.responseText) : null;
+        } catch (error) {
+          list = null;
+        }
+        if (!Array.isArray(list) || !list.length) {
+          console.warn("No server list at " + url + ", testing against this server");
+          list = [{ServerName:"Home", Download:"downloading", Upload:"upload", ServerIcon:"DefaultIcon",},];
+        }
+        openSpeedTestServerList = list;
+        baseServerList = list;
+        launch = true;
+        runHTTPTasks();
+      };
+      xhr.send();
+    }
+    function showRun(result) {
+      if (init) {
+        Show.userInterface();
+        init = false;
+      }
+      Show.pingResults(result.ping || 0, "Ping");
+      Show.jitterResult(result.jitter || 0, "Jitter");
+      Show.downloadResult(result.download || 0);
+      Show.uploadResult(result.upload || 0);
+      Show.showStatus("Shared result");
+    }
+    runHandler = startRun;
+    while (pendingRuns.length) {
+      startRun(pendingRuns.shift());
+    }
+    showHandler = showRun;
+    if (pendingShow) {
+      showRun(pendingShow);
+      pendingShow = undefined;
+    }
   };
   OpenSpeedTest.Start = function() {
     new openSpeedtestEngine();
@@ -0,0 +1,200 @@
+/*
+    Test History Panel
+    Lists the runs stored by ResultHistory (result-history.js): sort by any column,
+    filter by protocol, delete runs, and a sparkline of past download/upload speeds.
+*/
+
+class HistoryPanel {
+    constructor(history = window.resultHistory) {
+        this.history = history;
+        this.records = [];
+        this.protocol = '';
+        this.sortKey = 'timestamp';
+        this.sortDescending = true;
+        this.container = null;
+
+        this.columns = [
+            { key: 'timestamp', label: 'Date', format: (value) => new Date(value).toLocaleString() },
+            { key: 'protocol', label: 'Protocol', format: (value) => value.toUpperCase() },
+            { key: 'server', label: 'Server', format: (value) => value || 'N/A' },
+            { key: 'ping', label: 'Ping (ms)', format: (value) => this.formatNumber(value, 1) },
+            { key: 'jitter', label: 'Jitter (ms)', format: (value) => this.formatNumber(value, 2) },
+            { key: 'download', label: 'Download (Mbps)', format: (value) => this.formatNumber(value, 1) },
+            { key: 'upload', label: 'Upload (Mbps)', format: (value) => this.formatNumber(value, 1) },
+            { key: 'dataUsed', label: 'Data (MB)', format: (value) => this.formatNumber((value.download + value.upload) / 1048576, 1) }
+        ];
+    }
+
+    initialize() {
+        const button = document.createElement('button');
+        button.id = 'history-toggle';
+        button.textContent = 'History';
+        button.style.cssText = 'position: fixed; bottom: 10px; right: 10px; z-index: 1001; padding: 5px 10px; background: #007cba; color: white; border: none; border-radius: 3px; cursor: pointer; font-size: 12px;';
+        button.addEventListener('click', () => this.toggle());
+        document.body.appendChild(button);
+
+        this.container = document.createElement('div');
+        this.container.id = 'history-panel';
+        this.container.style.display = 'none';
+        document.body.appendChild(this.container);
+
+        this.history.subscribe(() => {
+            if (this.isOpen()) this.refresh();
+        });
+    }
+
+    isOpen() {
+        return this.container && this.container.style.display !== 'none';
+    }
+
+    toggle() {
+        if (this.isOpen()) {
+            this.container.style.display = 'none';
+        } else {
+            this.container.style.display = 'block';
+            this.refresh();
+        }
+    }
+
+    async refresh() {
+        try {
+            this.records = await this.history.getAll(this.protocol || undefined);
+        } catch (error) {
+            console.error('Failed to load test history:', error);
+            this.records = [];
+        }
+
+        this.render();
+    }
+
+    sortedRecords() {
+        const key = this.sortKey;
+        const value = (record) => key === 'dataUsed' ? record.dataUsed.download + record.dataUsed.upload : record[key];
+        const direction = this.sortDescending ? -1 : 1;
+
+        return this.records.slice().sort((a, b) => {
+            const left = value(a);
+            const right = value(b);
+            // Missing values always sort last
+            if (left === null || left === undefined) return 1;
+            if (right === null || right === undefined) return -1;
+            return (left < right ? -1 : left > right ? 1 : 0) * direction;
+        });
+    }
+
+    render() {
+        const protocols = ['http', 'udp', 'webrtc'];
+        const arrow = this.sortDescending ? ' &#9660;' : ' &#9650;';
+
+        let html = `
+            <div style="position: fixed; bottom: 45px; right: 10px; background: white; border: 1px solid #ccc; padding: 15px; border-radius: 5px; z-index: 1003; box-shadow: 0 2px 10px rgba(0,0,0,0.1); max-width: 720px; max-height: 70vh; overflow: auto;">
+                <h3 style="margin: 0 0 10px 0; font-size: 16px;">Test History</h3>
+                <div style="font-size: 12px; margin-bottom: 10px;">
+                    <select id="history-protocol">
+                        <option value="">All protocols</option>
+                        ${protocols.map(protocol => `<option value="${protocol}"${protocol === this.protocol ? ' selected' : ''}>${protocol.toUpperCase()}</option>`).join('')}
+                    </select>
+                    <span style="margin-left: 10px; color: #666;">${this.records.length} runs</span>
+                </div>
+                ${this.renderSparkline()}
+                <table style="width: 100%; font-size: 12px; border-collapse: collapse;">
+                    <tr style="background: #f5f5f5;">
+                        ${this.columns.map(column => `<th data-sort="${column.key}" style="padding: 5px; border: 1px solid #ddd; cursor: pointer;">${column.label}${column.key === this.sortKey ? arrow : ''}</th>`).join('')}
+                        <th style="padding: 5px; border: 1px solid #ddd;"></th>
+                    </tr>
+        `;
+
+        this.sortedRecords().forEach((record) => {
+            html += `
+                <tr>
+                    ${this.columns.map(column => `<td style="padding: 5px; border: 1px solid #ddd;">${this.escape(column.format(record[column.key]))}</td>`).join('')}
+                    <td style="padding: 5px; border: 1px solid #ddd;"><button data-delete="${record.id}" title="Delete" style="border: none; background: none; color: #c0392b; cursor: pointer;">&times;</button></td>
+                </tr>
+            `;
+        });
+
+        html += `
+                </table>
+                <button id="history-clear" style="margin-top: 10px; padding: 5px 10px; background: #c0392b; color: white; border: none; border-radius: 3px; cursor: pointer;">Clear All</button>
+                <button id="history-close" style="margin-top: 10px; padding: 5px 10px; background: #007cba; color: white; border: none; border-radius: 3px; cursor: pointer;">Close</button>
+            </div>
+        `;
+
+        this.container.innerHTML = html;
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        this.container.querySelector('#history-protocol').addEventListener('change', (e) => {
+            this.protocol = e.target.value;
+            this.refresh();
+        });
+
+        this.container.querySelectorAll('[data-sort]').forEach((header) => {
+            header.addEventListener('click', () => {
+                const key = header.getAttribute('data-sort');
+                this.sortDescending = key === this.sortKey ? !this.sortDescending : true;
+                this.sortKey = key;
+                this.render();
+            });
+        });
+
+        this.container.querySelectorAll('[data-delete]').forEach((button) => {
+            button.addEventListener('click', () => {
+                this.history.delete(Number(button.getAttribute('data-delete'))).catch((error) => {
+                    console.error('Failed to delete test result:', error);
+                });
+            });
+        });
+
+        this.container.querySelector('#history-clear').addEventListener('click', () => {
+            if (window.confirm('Delete all saved test results?')) {
+                this.history.clear().catch((error) => {
+                    console.error('Failed to clear test history:', error);
+                });
+            }
+        });
+
+        this.container.querySelector('#history-close').addEventListener('click', () => this.toggle());
+    }
+
+    // Inline SVG of download and upload speeds in run order, scaled to the fastest run
+    renderSparkline(width = 300, height = 40) {
+        const records = this.records;
+        if (records.length < 2) return '';
+
+        const max = Math.max(...records.map(record => Math.max(record.download || 0, record.upload || 0)), 1);
+        const line = (key) => records.map((record, index) => {
+            const x = (index / (records.length - 1)) * width;
+            const y = height - ((record[key] || 0) / max) * (height - 2) - 1;
+            return `${x.toFixed(1)},${y.toFixed(1)}`;
+        }).join(' ');
+
+        return `
+            <div style="font-size: 11px; color: #666; margin-bottom: 10px;">
+                <svg width="${width}" height="${height}" style="display: block; border-bottom: 1px solid #eee;">
+                    <polyline points="${line('download')}" fill="none" stroke="#45B7D1" stroke-width="1.5"/>
+                    <polyline points="${line('upload')}" fill="none" stroke="#FF6B6B" stroke-width="1.5"/>
+                </svg>
+                <span style="color: #45B7D1;">Download</span> / <span style="color: #FF6B6B;">Upload</span>, peak ${max.toFixed(1)} Mbps
+            </div>
+        `;
+    }
+
+    formatNumber(value, digits) {
+        return typeof value === 'number' && isFinite(value) ? value.toFixed(digits) : 'N/A';
+    }
+
+    escape(text) {
+        return String(text).replace(/[&<>"]/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    if (!window.resultHistory) return;
+
+    window.historyPanel = new HistoryPanel(window.resultHistory);
+    window.historyPanel.initialize();
+});
+
+window.HistoryPanel = HistoryPanel;
@@ -0,0 +1,353 @@
+/*
+    Monitor Mode
+    For unattended kiosk browsers: ?monitor=15 re-runs the selected protocol (or the full
+    comparison) every 15 minutes, keeps a rolling series in memory and in IndexedDB, draws a
+    trend chart per metric and raises an alert when a metric crosses its threshold.
+*/
+
+class MonitorMode {
+    constructor(speedTest = window.multiProtocolTest, options = {}) {
+        this.speedTest = speedTest;
+        this.options = Object.assign({
+            interval: 15,          // minutes between the start of one run and the next
+            protocol: null,        // 'udp', 'webrtc', 'http', 'compare'; null keeps the selector's choice
+            maxPoints: 288,        // results kept, one per protocol per run (three days of single runs at 15 minutes)
+            thresholds: {}         // { download: 50, upload: 10, ping: 40, jitter: 10, loss: 1 }
+        }, options);
+
+        this.metrics = [
+            { key: 'download', label: 'Download', unit: 'Mbps', alertBelow: true },
+            { key: 'upload', label: 'Upload', unit: 'Mbps', alertBelow: true },
+            { key: 'ping', label: 'Ping', unit: 'ms', alertBelow: false },
+            { key: 'jitter', label: 'Jitter', unit: 'ms', alertBelow: false },
+            { key: 'loss', label: 'Packet Loss', unit: '%', alertBelow: false }
+        ];
+        this.colors = { udp: '#FF6B6B', webrtc: '#4ECDC4', http: '#45B7D1' };
+
+        this.store = new ResultHistory('openspeedtest-monitor');
+        this.series = [];
+        this.alerts = [];
+        this.breached = new Set(); // 'protocol:metric' currently past its threshold
+        this.timer = null;
+        this.running = false;
+        this.paused = false;
+        this.nextRunAt = null;
+        this.lastError = null;
+        this.container = null;
+
+        // Callbacks
+        this.onRun = null;
+        this.onAlert = null;
+    }
+
+    // ?monitor=15&monitorProtocol=compare&monitorPoints=96&alertDownload=50&alertPing=40
+    // (names are case-insensitive); null when monitor mode is not requested
+    static optionsFromURL(search = window.location.search) {
+        const params = {};
+        new URLSearchParams(search).forEach((value, key) => {
+            params[key.toLowerCase()] = value;
+        });
+
+        const interval = parseFloat(params.monitor);
+        if (!(interval > 0)) return null;
+
+        const options = { interval: interval, thresholds: {} };
+
+        if (['udp', 'webrtc', 'http', 'compare'].includes(params.monitorprotocol)) {
+            options.protocol = params.monitorprotocol;
+        }
+
+        const points = parseInt(params.monitorpoints, 10);
+        if (points > 1) {
+            options.maxPoints = points;
+        }
+
+        ['download', 'upload', 'ping', 'jitter', 'loss'].forEach((metric) => {
+            const threshold = parseFloat(params[`alert${metric}`]);
+            if (threshold >= 0) {
+                options.thresholds[metric] = threshold;
+            }
+        });
+
+        return options;
+    }
+
+    async start() {
+        this.applyProtocol();
+        this.render();
+
+        try {
+            this.series = (await this.store.getAll()).slice(-this.options.maxPoints);
+        } catch (error) {
+            // Still monitor, just without the series from earlier page loads
+            console.warn('Monitor series not available:', error);
+        }
+
+        // Alert state carries over from the last stored run, so a reload does not repeat alerts
+        this.series.forEach(point => this.checkThresholds(point, false));
+        this.render();
+        this.runNow();
+    }
+
+    // Pause after the current run, if any; runNow() resumes
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.paused = true;
+        this.nextRunAt = null;
+        this.render();
+    }
+
+    applyProtocol() {
+        const protocol = this.options.protocol;
+        const test = this.speedTest;
+        if (!protocol) return;
+
+        test.comparisonMode = protocol === 'compare';
+        if (protocol !== 'compare' && test.availableProtocols.includes(protocol)) {
+            test.currentProtocol = protocol;
+        }
+
+        // Keep the selector in step with what will actually run
+        const select = document.getElementById('protocol-select');
+        const checkbox = document.getElementById('comparison-mode');
+        if (select && protocol !== 'compare') select.value = test.currentProtocol;
+        if (checkbox) checkbox.checked = test.comparisonMode;
+        test.updateStatus();
+    }
+
+    async runNow() {
+        if (this.running) return;
+
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.paused = false;
+        this.running = true;
+        this.render();
+
+        const startedAt = Date.now();
+
+        try {
+            const results = await this.speedTest.runSpeedTest();
+            const points = this.toPoints(results, startedAt);
+
+            for (const point of points) {
+                await this.addPoint(point);
+            }
+
+            this.lastError = points.length > 0 ? null : 'No results';
+            if (this.onRun) this.onRun(points);
+        } catch (error) {
+            console.error('Monitor run failed:', error);
+            this.lastError = error.message;
+        }
+
+        this.running = false;
+        if (this.paused) {
+            this.render();
+        } else {
+            this.schedule(startedAt + this.options.interval * 60000);
+        }
+    }
+
+    schedule(time) {
+        this.nextRunAt = Math.max(time, Date.now() + 1000);
+        this.timer = setTimeout(() => this.runNow(), this.nextRunAt - Date.now());
+        this.render();
+    }
+
+    // One point per protocol: a single run gives one, a comparison run up to three
+    toPoints(results, timestamp) {
+        if (!results) return [];
+
+        const list = results.protocol ? [results] : Object.values(results).filter(result => result && !result.error);
+
+        return list
+            .filter(result => result.download || result.upload)
+            .map(result => ResultHistory.toRecord(Object.assign({ timestamp: timestamp }, result)));
+    }
+
+    async addPoint(point) {
+        this.series.push(point);
+        this.series = this.series.slice(-this.options.maxPoints);
+        this.checkThresholds(point, true);
+        this.render();
+
+        try {
+            await this.store.add(point);
+
+            const stored = await this.store.getAll();
+            for (const old of stored.slice(0, Math.max(stored.length - this.options.maxPoints, 0))) {
+                await this.store.delete(old.id);
+            }
+        } catch (error) {
+            console.warn('Failed to save monitor point:', error);
+        }
+    }
+
+    value(point, key) {
+        if (key !== 'loss') return typeof point[key] === 'number' ? point[key] : null;
+
+        // Worse direction of the two
+        const loss = point.loss || {};
+        const values = [loss.download, loss.upload].filter(value => typeof value === 'number');
+        return values.length > 0 ? Math.max(...values) : null;
+    }
+
+    // Alerts fire when a metric crosses its threshold and again when it recovers
+    checkThresholds(point, notify) {
+        this.metrics.forEach((metric) => {
+            const threshold = this.options.thresholds[metric.key];
+            const value = this.value(point, metric.key);
+            if (typeof threshold !== 'number' || value === null) return;
+
+            const key = `${point.protocol}:${metric.key}`;
+            const breached = metric.alertBelow ? value < threshold : value > threshold;
+            if (breached === this.breached.has(key)) return;
+
+            if (breached) {
+                this.breached.add(key);
+            } else {
+                this.breached.delete(key);
+            }
+            if (!notify) return;
+
+            const alert = {
+                state: breached ? 'alert' : 'recovered',
+                protocol: point.protocol,
+                metric: metric.key,
+                value: value,
+                threshold: threshold,
+                timestamp: point.timestamp
+            };
+            this.alerts.push(alert);
+            this.alerts = this.alerts.slice(-20);
+
+            console.warn(`Monitor ${alert.state}: ${point.protocol.toUpperCase()} ${metric.label} ${value.toFixed(2)} ${metric.unit} (threshold ${threshold} ${metric.unit})`);
+            if (this.onAlert) this.onAlert(alert);
+        });
+    }
+
+    // --- UI ---
+
+    render() {
+        if (!this.container) {
+            this.container = document.createElement('div');
+            this.container.id = 'monitor-panel';
+            document.body.appendChild(this.container);
+        }
+
+        const status = this.running
+            ? 'Running test...'
+            : this.nextRunAt ? `Next run ${new Date(this.nextRunAt).toLocaleTimeString()}` : 'Paused';
+        const mode = this.speedTest.comparisonMode ? 'all protocols' : this.speedTest.getSelectedProtocol().toUpperCase();
+
+        let html = `
+            <div style="position: fixed; top: 50px; left: 10px; background: white; border: 1px solid #ccc; padding: 10px; border-radius: 5px; z-index: 1001; box-shadow: 0 2px 10px rgba(0,0,0,0.1); max-height: 85vh; overflow: auto;">
+                <h4 style="margin: 0 0 5px 0; font-size: 14px;">Monitor</h4>
+                <div style="font-size: 11px; color: #666; margin-bottom: 5px;">
+                    Every ${this.options.interval} min, ${this.escape(mode)} &middot; ${this.series.length} results &middot; ${this.escape(status)}
+                </div>
+                ${this.lastError ? `<div style="font-size: 11px; color: #c0392b; margin-bottom: 5px;">Last run failed: ${this.escape(this.lastError)}</div>` : ''}
+                ${this.renderAlerts()}
+                ${this.metrics.map(metric => this.renderChart(metric)).join('')}
+                <div style="font-size: 11px; margin-bottom: 5px;">
+                    ${Object.keys(this.colors).map(protocol => `<span style="color: ${this.colors[protocol]}; margin-right: 8px;">${protocol.toUpperCase()}</span>`).join('')}
+                </div>
+                <button id="monitor-run" style="padding: 5px 10px; background: #007cba; color: white; border: none; border-radius: 3px; cursor: pointer;"${this.running ? ' disabled' : ''}>Run Now</button>
+                <button id="monitor-toggle" style="padding: 5px 10px; background: #f5f5f5; border: 1px solid #ccc; border-radius: 3px; cursor: pointer;">${this.paused ? 'Resume' : 'Pause'}</button>
+            </div>
+        `;
+
+        this.container.innerHTML = html;
+
+        this.container.querySelector('#monitor-run').addEventListener('click', () => this.runNow());
+        this.container.querySelector('#monitor-toggle').addEventListener('click', () => {
+            if (!this.paused) {
+                this.stop();
+            } else if (this.running) {
+                this.paused = false;
+                this.render();
+            } else {
+                this.runNow();
+            }
+        });
+    }
+
+    renderAlerts() {
+        const active = this.metrics.filter(metric => Object.keys(this.colors).some(protocol => this.breached.has(`${protocol}:${metric.key}`)));
+        if (this.alerts.length === 0 && active.length === 0) return '';
+
+        const recent = this.alerts.slice(-5).reverse().map((alert) => {
+            const metric = this.metrics.find(item => item.key === alert.metric);
+            const color = alert.state === 'alert' ? '#c0392b' : '#27ae60';
+            return `<div style="color: ${color};">${new Date(alert.timestamp).toLocaleTimeString()} ${alert.protocol.toUpperCase()} ${metric.label} ${alert.value.toFixed(2)} ${metric.unit} ${alert.state === 'alert' ? (metric.alertBelow ? '&lt;' : '&gt;') : 'back within'} ${alert.threshold}</div>`;
+        }).join('');
+
+        return `
+            <div style="font-size: 11px; margin-bottom: 5px; padding: 5px; border: 1px solid ${active.length > 0 ? '#c0392b' : '#ddd'}; border-radius: 3px;">
+                ${active.length > 0 ? `<strong style="color: #c0392b;">Alert: ${active.map(metric => metric.label).join(', ')}</strong>` : '<strong>All metrics within thresholds</strong>'}
+                ${recent}
+            </div>
+        `;
+    }
+
+    // Trend lines per protocol over the series' time span, with the threshold dashed in red
+    renderChart(metric, width = 260, height = 50) {
+        const threshold = this.options.thresholds[metric.key];
+        const points = this.series.filter(point => this.value(point, metric.key) !== null);
+        const latest = points.length > 0 ? this.value(points[points.length - 1], metric.key) : null;
+
+        const header = `
+            <div style="font-size: 11px; color: #666;">
+                ${metric.label}: ${latest === null ? 'N/A' : `${latest.toFixed(2)} ${metric.unit}`}
+                ${typeof threshold === 'number' ? `(alert ${metric.alertBelow ? 'below' : 'above'} ${threshold})` : ''}
+            </div>
+        `;
+        if (points.length < 2) return `<div style="margin-bottom: 5px;">${header}</div>`;
+
+        const first = points[0].timestamp;
+        const span = Math.max(points[points.length - 1].timestamp - first, 1);
+        const max = Math.max(...points.map(point => this.value(point, metric.key)), typeof threshold === 'number' ? threshold : 0) * 1.1 || 1;
+        const x = (time) => ((time - first) / span) * width;
+        const y = (value) => height - (value / max) * (height - 2) - 1;
+
+        const lines = Object.keys(this.colors).map((protocol) => {
+            const line = points.filter(point => point.protocol === protocol)
+                .map(point => `${x(point.timestamp).toFixed(1)},${y(this.value(point, metric.key)).toFixed(1)}`);
+            return line.length > 1
+                ? `<polyline points="${line.join(' ')}" fill="none" stroke="${this.colors[protocol]}" stroke-width="1.5"/>`
+                : '';
+        }).join('');
+
+        const limit = typeof threshold === 'number'
+            ? `<line x1="0" x2="${width}" y1="${y(threshold).toFixed(1)}" y2="${y(threshold).toFixed(1)}" stroke="#c0392b" stroke-dasharray="4 3"/>`
+            : '';
+
+        return `
+            <div style="margin-bottom: 5px;">
+                ${header}
+                <svg width="${width}" height="${height}" style="display: block; border-bottom: 1px solid #eee;">${limit}${lines}</svg>
+            </div>
+        `;
+    }
+
+    escape(text) {
+        return String(text).replace(/[&<>"]/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+    }
+}
+
+window.MonitorMode = MonitorMode;
+
+// Start once the protocol selector knows which protocols are available
+document.addEventListener('DOMContentLoaded', async () => {
+    const options = MonitorMode.optionsFromURL();
+    if (!options || !window.multiProtocolTest) return;
+
+    await window.multiProtocolTest.ready;
+
+    window.monitorMode = new MonitorMode(window.multiProtocolTest, options);
+    window.monitorMode.start().catch((error) => {
+        console.error('Failed to start monitor mode:', error);
+    });
+});
@@ -2,25 +2,35 @@
     Multi-Protocol Speed Test Integration
     Supports WebRTC DataChannels, UDP (via bridge), and HTTP testing
     Allows comparison between different protocols
+    With several servers in openSpeedTestServerList, each protocol runs against the one
+    with the least latency (server-selector.js), or the one picked in the selector.
+    When the list is "fetch", the server list endpoint also says which protocols to set up
 */
 
 class MultiProtocolSpeedTest {
     constructor() {
+        this.webrtcIntegration = null;
         this.webrtcTest = null;
         this.udpTest = null;
         this.httpTest = null; // Reference to original implementation
+        this.servers = null;  // ServerSelector over openSpeedTestServerList
+        this.discovered = false; // the list came from the server list endpoint (/servers.json)
+        this.selectorBuilt = false;
         
         this.availableProtocols = [];
         this.currentProtocol = 'auto';
         this.testResults = {};
         this.comparisonMode = false;
+        this.listeners = {};
+        this.phaseStartedAt = 0;
         
         // Configuration
+        this.webrtcConfig = window.WEBRTC_CONFIG || {};
         this.config = {
             preferredProtocol: 'udp', // 'udp', 'webrtc', 'http', 'auto'
             enableComparison: true,
-            testDuration: 10000,
-            autoFallback: true
+            testDuration: (this.webrtcConfig.testing && this.webrtcConfig.testing.defaultDuration) || 10000,
+            autoFallback: !this.webrtcConfig.fallback || this.webrtcConfig.fallback.autoFallback !== false
         };
     }
 
@@ -28,31 +38,26 @@ class MultiProtocolSpeedTest {
         console.log('Initializing Multi-Protocol Speed Test...');
         
         try {
-            // Initialize WebRTC testing
-            if (window.WebRTCSpeedTest && window.RTCPeerConnection) {
-                this.webrtcTest = new window.WebRTCSpeedTest();
-                const webrtcReady = await this.webrtcTest.initializePeerConnection();
-                if (webrtcReady) {
-                    this.availableProtocols.push('webrtc');
-                    console.log('WebRTC testing available');
+            // Ping the listed servers first, so every protocol connects to the closest one
+            if (window.ServerSelector) {
+                // "fetch": the server list endpoint says which servers there are and what each supports
+                let list = window.openSpeedTestServerList;
+                if (list === 'fetch') {
+                    list = await window.ServerSelector.discover(window.serverListURL || undefined);
+                    this.discovered = Boolean(list);
                 }
-            }
-            
-            // Initialize UDP testing
-            if (window.UDPSpeedTest) {
-                this.udpTest = new window.UDPSpeedTest();
-                const udpReady = await this.udpTest.initialize();
-                if (udpReady) {
-                    this.availableProtocols.push('udp');
-                    console.log('UDP testing available');
+                
+                this.servers = new window.ServerSelector(list, {
+                    pingTimeout: window.pingTimeOut,
+                    pingFile: window.pingFile,
+                    pingMethod: window.pingMethod
+                });
+                if (this.servers.servers.length > 1) {
+                    await this.servers.measure();
                 }
             }
             
-            // HTTP testing is always available (original implementation)
-            this.availableProtocols.push('http');
-            console.log('HTTP testing available');
-            
-            console.log('Available protocols:', this.availableProtocols);
+            await this.connectProtocols();
             
             // Set up UI
             this.setupProtocolSelector();
@@ -64,7 +69,81 @@ class MultiProtocolSpeedTest {
         }
     }
 
+    // WebRTC and UDP connect to their selected servers; HTTP is always available (original implementation)
+    async connectProtocols() {
+        this.availableProtocols = [];
+        
+        // Initialize WebRTC testing; the DataChannel is negotiated through the signaling server
+        if (window.WebRTCSpeedTestIntegration && window.RTCPeerConnection && this.webrtcConfig.enabled !== false && this.offers('webrtc')) {
+            this.webrtcIntegration = new window.WebRTCSpeedTestIntegration(this.webrtcConfig);
+            const server = this.serverFor('webrtc');
+            if (server) {
+                this.webrtcIntegration.useServer(server);
+            }
+            
+            const webrtcReady = await this.webrtcIntegration.initialize();
+            if (webrtcReady) {
+                this.webrtcTest = this.webrtcIntegration.speedTest;
+                this.availableProtocols.push('webrtc');
+                console.log('WebRTC testing available');
+            }
+        }
+        
+        // Initialize UDP testing
+        if (window.UDPSpeedTest && this.offers('udp')) {
+            this.udpTest = new window.UDPSpeedTest();
+            const server = this.serverFor('udp');
+            if (server) {
+                this.udpTest.useServer(server);
+            }
+            
+            const udpReady = await this.udpTest.initialize();
+            if (udpReady) {
+                this.availableProtocols.push('udp');
+                console.log('UDP testing available');
+            }
+        }
+        
+        this.availableProtocols.push('http');
+        console.log('HTTP testing available');
+        console.log('Available protocols:', this.availableProtocols);
+    }
+
+    // A discovered list names the protocols there are; without one the page's default endpoints are tried
+    offers(protocol) {
+        return !this.discovered || Boolean(this.serverFor(protocol));
+    }
+
+    // The listed server a protocol runs against, null for the page's own endpoints
+    serverFor(protocol) {
+        return this.servers ? this.servers.select(protocol) : null;
+    }
+
+    // Manual pick from the selector (null for the least latency): reconnects UDP and WebRTC
+    async selectServer(index) {
+        this.servers.pick(index);
+        
+        if (this.webrtcIntegration) {
+            this.webrtcIntegration.disconnect();
+            this.webrtcIntegration = null;
+            this.webrtcTest = null;
+        }
+        if (this.udpTest) {
+            this.udpTest.disconnect();
+            this.udpTest = null;
+        }
+        
+        await this.connectProtocols();
+        this.setupProtocolSelector();
+    }
+
     setupProtocolSelector() {
+        // A server change rebuilds the selector, keeping the user's choices
+        const previous = document.getElementById('protocol-selector');
+        if (previous) {
+            previous.remove();
+        }
+        
         // Create protocol selector UI
         const selector = document.createElement('div');
         selector.id = 'protocol-selector';
@@ -76,7 +155,9 @@ class MultiProtocolSpeedTest {
                     ${this.availableProtocols.includes('udp') ? '<option value="udp">UDP (True UDP)</option>' : ''}
                     ${this.availableProtocols.includes('webrtc') ? '<option value="webrtc">WebRTC (UDP-like)</option>' : ''}
                     <option value="http">HTTP (TCP)</option>
+                    ${this.availableProtocols.includes('udp') ? '<option value="udp-capacity">UDP Capacity Search</option>' : ''}
                 </select>
+                ${this.renderServerSelect()}
                 <label style="font-size: 12px;">
                     <input type="checkbox" id="comparison-mode"> 
                     Compare All Protocols
@@ -101,18 +182,54 @@ class MultiProtocolSpeedTest {
             this.updateStatus();
         });
         
-        // Set initial values
-        if (this.availableProtocols.includes(this.config.preferredProtocol)) {
-            protocolSelect.value = this.config.preferredProtocol;
-            this.currentProtocol = this.config.preferredProtocol;
+        const serverSelect = document.getElementById('server-select');
+        if (serverSelect) {
+            serverSelect.addEventListener('change', (e) => {
+                serverSelect.disabled = true;
+                this.selectServer(e.target.value === 'auto' ? null : e.target.value).catch((error) => {
+                    console.error('Failed to switch servers:', error);
+                });
+            });
         }
         
-        comparisonCheckbox.checked = this.config.enableComparison;
-        this.comparisonMode = this.config.enableComparison;
+        // Set initial values
+        if (this.selectorBuilt) {
+            const option = Array.from(protocolSelect.options).find(item => item.value === this.currentProtocol);
+            protocolSelect.value = option ? this.currentProtocol : 'auto';
+            this.currentProtocol = protocolSelect.value;
+            comparisonCheckbox.checked = this.comparisonMode;
+        } else {
+            if (this.availableProtocols.includes(this.config.preferredProtocol)) {
+                protocolSelect.value = this.config.preferredProtocol;
+                this.currentProtocol = this.config.preferredProtocol;
+            }
+            
+            comparisonCheckbox.checked = this.config.enableComparison;
+            this.comparisonMode = this.config.enableComparison;
+            this.selectorBuilt = true;
+        }
         
         this.updateStatus();
     }
 
+    // Server choice, only offered when there is more than one server to choose from
+    renderServerSelect() {
+        if (!this.servers || this.servers.servers.length < 2) return '';
+        
+        const options = this.servers.servers.map((server) => {
+            const latency = server.latency === null ? 'no reply' : `${server.latency.toFixed(0)} ms`;
+            const selected = this.servers.manual === server.index ? ' selected' : '';
+            return `<option value="${server.index}"${selected}>${this.escape(server.name)} (${latency})</option>`;
+        }).join('');
+        
+        return `
+                <h4 style="margin: 0 0 10px 0; font-size: 14px;">Server</h4>
+                <select id="server-select" style="width: 100%; margin-bottom: 10px;">
+                    <option value="auto">Auto (Lowest Latency)</option>
+                    ${options}
+                </select>`;
+    }
+
     updateStatus() {
         const statusDiv = document.getElementById('protocol-status');
         if (!statusDiv) return;
@@ -123,7 +240,8 @@ class MultiProtocolSpeedTest {
             status = `Will test: ${this.availableProtocols.join(', ').toUpperCase()}`;
         } else {
             const protocol = this.getSelectedProtocol();
-            status = `Selected: ${protocol.toUpperCase()}`;
+            const server = this.serverFor(protocol === 'udp-capacity' ? 'udp' : protocol);
+            status = `Selected: ${protocol.toUpperCase()}` + (server ? ` on ${server.name}` : '');
         }
         
         statusDiv.textContent = status;
@@ -143,11 +261,17 @@ class MultiProtocolSpeedTest {
     async runSpeedTest() {
         console.log('Starting multi-protocol speed test...');
         
-        if (this.comparisonMode) {
-            return await this.runComparisonTest();
-        } else {
-            return await this.runSingleProtocolTest();
-        }
+        const comparison = this.comparisonMode;
+        const results = comparison ? await this.runComparisonTest() : await this.runSingleProtocolTest();
+        
+        // Every protocol's record once the whole run (single test or comparison) is over
+        const list = results.protocol ? [results] : Object.values(results).filter(result => result && !result.error);
+        this.emit('complete', {
+            comparison: comparison,
+            results: list.filter(result => result.download || result.upload).map(result => ResultHistory.toRecord(result))
+        });
+        
+        return results;
     }
 
     async runSingleProtocolTest() {
@@ -160,17 +284,21 @@ class MultiProtocolSpeedTest {
             
             const results = await this.runProtocolTest(protocol);
             results.protocol = protocol;
+            this.recordResult(protocol, results);
             
             console.log(`${protocol.toUpperCase()} test completed:`, results);
             return results;
             
         } catch (error) {
             console.error(`${protocol.toUpperCase()} test failed:`, error);
+            this.emitError(protocol, error);
             
             // Try fallback if enabled
             if (this.config.autoFallback && protocol !== 'http') {
                 console.log('Falling back to HTTP testing...');
-                return await this.runProtocolTest('http');
+                const results = await this.runProtocolTest('http');
+                this.recordResult('http', results);
+                return results;
             }
             
             throw error;
@@ -190,12 +318,14 @@ class MultiProtocolSpeedTest {
                 const testResult = await this.runProtocolTest(protocol);
                 testResult.protocol = protocol;
                 results[protocol] = testResult;
+                this.recordResult(protocol, testResult);
                 
                 // Brief pause between tests
                 await this.sleep(1000);
                 
             } catch (error) {
                 console.error(`${protocol.toUpperCase()} test failed:`, error);
+                this.emitError(protocol, error);
                 results[protocol] = { error: error.message, protocol: protocol };
             }
         }
@@ -205,6 +335,96 @@ class MultiProtocolSpeedTest {
         return results;
     }
 
+    // Latest result per protocol; UDP and WebRTC runs also get the export bar, go to the
+    // persistent history and are posted to the result sink (HTTP runs are handled by the engine)
+    recordResult(protocol, results) {
+        this.testResults[protocol] = results;
+        
+        if (protocol === 'http' || !(results.download || results.upload)) return;
+        
+        this.emit('result', ResultHistory.toRecord(Object.assign({ timestamp: Date.now() }, results)));
+        
+        if (window.ResultExport && !this.comparisonMode) {
+            window.ResultExport.showExportBar(results);
+        }
+        
+        if (window.saveData && window.saveDataURL) {
+            this.postResult(results);
+        }
+        
+        if (!window.resultHistory) return;
+        
+        window.resultHistory.add(Object.assign({ timestamp: Date.now() }, results)).catch((error) => {
+            console.error('Failed to save test result:', error);
+        });
+    }
+
+    // Send the run to saveDataURL, where the bridge stores it and adds it to /metrics
+    async postResult(results) {
+        try {
+            const response = await fetch(window.saveDataURL, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(ResultHistory.toRecord(Object.assign({ timestamp: Date.now() }, results)))
+            });
+            
+            if (!response.ok) {
+                console.warn(`Saving the ${results.protocol} result failed: HTTP ${response.status}`);
+            }
+        } catch (error) {
+            console.warn('Saving the result failed:', error);
+        }
+    }
+
+    // --- Events ---
+    // Same model as OpenSpeedTest.on() in app-2.5.4.js, whose events cover HTTP runs: 'start',
+    // 'phase', 'progress', 'result' and 'error' for UDP and WebRTC, plus 'complete' for every run
+
+    on(type, listener) {
+        if (typeof listener === 'function') {
+            (this.listeners[type] = this.listeners[type] || []).push(listener);
+        }
+        return this;
+    }
+
+    off(type, listener) {
+        this.listeners[type] = (this.listeners[type] || []).filter(item => item !== listener);
+        return this;
+    }
+
+    emit(type, detail) {
+        (this.listeners[type] || []).slice().forEach((listener) => {
+            try {
+                listener(detail);
+            } catch (error) {
+                console.error(`MultiProtocolSpeedTest ${type} listener failed:`, error);
+            }
+        });
+    }
+
+    // HTTP failures are already reported by the engine's own error event
+    emitError(protocol, error) {
+        if (protocol !== 'http') {
+            this.emit('error', { protocol: protocol, message: error.message });
+        }
+    }
+
+    startPhase(protocol, phase) {
+        this.phaseStartedAt = Date.now();
+        this.emit('phase', { protocol: protocol, phase: phase });
+    }
+
+    // Live latency and speed samples of a tester as progress events, elapsed in seconds
+    watchProgress(tester, protocol) {
+        const report = (phase) => (value) => {
+            this.emit('progress', { protocol: protocol, phase: phase, value: value, elapsed: (Date.now() - this.phaseStartedAt) / 1000 });
+        };
+        
+        tester.onPingProgress = report('ping');
+        tester.onDownloadProgress = report('download');
+        tester.onUploadProgress = report('upload');
+    }
+
     async runProtocolTest(protocol) {
         switch (protocol) {
             case 'udp':
@@ -213,6 +433,8 @@ class MultiProtocolSpeedTest {
                 return await this.runWebRTCTest();
             case 'http':
                 return await this.runHTTPTest();
+            case 'udp-capacity':
+                return await this.runCapacityTest();
             default:
                 throw new Error(`Unknown protocol: ${protocol}`);
         }
@@ -227,11 +449,16 @@ class MultiProtocolSpeedTest {
             ping: null,
             download: null,
             upload: null,
+            server: this.udpTest.serverInfo ? this.udpTest.serverInfo.name : null,
             protocol: 'udp'
         };
 
+        this.emit('start', { protocol: 'udp', tests: ['ping', 'download', 'upload'], duration: this.udpTest.config.testDuration / 1000, server: results.server });
+        this.watchProgress(this.udpTest, 'udp');
+
         // Ping test
         try {
+            this.startPhase('udp', 'ping');
             results.ping = await this.udpTest.startPingTest();
         } catch (error) {
             console.error('UDP ping test failed:', error);
@@ -239,6 +466,7 @@ class MultiProtocolSpeedTest {
 
         // Download test
         try {
+            this.startPhase('udp', 'download');
             results.download = await this.udpTest.startDownloadTest();
         } catch (error) {
             console.error('UDP download test failed:', error);
@@ -246,6 +474,7 @@ class MultiProtocolSpeedTest {
 
         // Upload test
         try {
+            this.startPhase('udp', 'upload');
             results.upload = await this.udpTest.startUploadTest();
         } catch (error) {
             console.error('UDP upload test failed:', error);
@@ -254,20 +483,44 @@ class MultiProtocolSpeedTest {
         return results;
     }
 
+    // Highest loss-free UDP rate instead of a single speed test; see UDPSpeedTest.startCapacitySearch()
+    async runCapacityTest() {
+        if (!this.udpTest) {
+            throw new Error('UDP testing not available');
+        }
+
+        const results = {
+            capacity: await this.udpTest.startCapacitySearch(),
+            protocol: 'udp-capacity'
+        };
+
+        this.showCapacityResults(results.capacity);
+        return results;
+    }
+
     async runWebRTCTest() {
         if (!this.webrtcTest) {
             throw new Error('WebRTC testing not available');
         }
 
+        const signaling = this.webrtcConfig.signaling || {};
+        const server = this.serverFor('webrtc');
         const results = {
             ping: null,
             download: null,
             upload: null,
+            server: server ? server.name : (signaling.host ? `${signaling.host}:${signaling.port}` : null),
             protocol: 'webrtc'
         };
 
+        await this.waitForDataChannel();
+
+        this.emit('start', { protocol: 'webrtc', tests: ['ping', 'download', 'upload'], duration: this.config.testDuration / 1000, server: results.server });
+        this.watchProgress(this.webrtcTest, 'webrtc');
+
         // Ping test
         try {
+            this.startPhase('webrtc', 'ping');
             const latency = await this.webrtcTest.measureLatency();
             results.ping = { average: latency, protocol: 'webrtc' };
         } catch (error) {
@@ -276,43 +529,110 @@ class MultiProtocolSpeedTest {
 
         // Download test
         try {
+            this.startPhase('webrtc', 'download');
             const downloadSpeed = await new Promise((resolve, reject) => {
                 this.webrtcTest.onDownloadComplete = resolve;
+                this.webrtcIntegration.announceTest('download', this.config.testDuration);
                 this.webrtcTest.startDownloadTest(this.config.testDuration);
                 setTimeout(() => reject(new Error('Download test timeout')), this.config.testDuration + 5000);
             });
-            results.download = { speedMbps: downloadSpeed, protocol: 'webrtc' };
+            const download = this.webrtcTest.downloadResults || {};
+            results.download = {
+                speedMbps: downloadSpeed,
+                bytesReceived: download.bytesReceived,
+                lossPercent: download.lossPercent,
+                targetMbps: download.targetMbps,
+                jitter: download.jitter,
+                delayVariation: download.delayVariation,
+                delayHistogram: download.delayHistogram,
+                transport: download.transport || null,
+                protocol: 'webrtc'
+            };
         } catch (error) {
             console.error('WebRTC download test failed:', error);
         }
 
         // Upload test
         try {
+            this.startPhase('webrtc', 'upload');
             const uploadSpeed = await new Promise((resolve, reject) => {
                 this.webrtcTest.onUploadComplete = resolve;
+                // Without it the server peer adds this upload to the totals of the last one
+                this.webrtcIntegration.announceTest('upload', this.config.testDuration);
                 this.webrtcTest.startUploadTest(this.config.testDuration);
                 setTimeout(() => reject(new Error('Upload test timeout')), this.config.testDuration + 5000);
             });
-            results.upload = { speedMbps: uploadSpeed, protocol: 'webrtc' };
+            const upload = this.webrtcTest.uploadResults || {};
+            results.upload = {
+                speedMbps: uploadSpeed,
+                bytesSent: upload.bytesSent,
+                bytesAcked: upload.bytesAcked,
+                lossPercent: upload.lossPercent,
+                targetMbps: upload.targetMbps,
+                jitter: upload.jitter,
+                transport: upload.transport || null,
+                protocol: 'webrtc'
+            };
         } catch (error) {
             console.error('WebRTC upload test failed:', error);
         }
 
+        // Candidate pair of the most recent phase: tells a relayed TURN path from a direct one
+        results.transport = results.upload?.transport || results.download?.transport || null;
+
         return results;
     }
 
+    // The channel opens once the answer and ICE candidates have gone through signaling
+    async waitForDataChannel() {
+        const fallback = this.webrtcConfig.fallback || {};
+        const deadline = Date.now() + (fallback.connectionTimeout || 5000);
+        
+        while (!this.webrtcTest.dataChannel || this.webrtcTest.dataChannel.readyState !== 'open') {
+            if (Date.now() > deadline) {
+                throw new Error('WebRTC DataChannel did not open');
+            }
+            await this.sleep(50);
+        }
+    }
+
     async runHTTPTest() {
-        // Use the original OpenSpeedTest implementation
-        return new Promise((resolve) => {
-            // This would integrate with the existing OpenSpeedTest implementation
-            // For now, return a placeholder
-            resolve({
-                ping: { average: 50, protocol: 'http' },
-                download: { speedMbps: 100, protocol: 'http' },
-                upload: { speedMbps: 50, protocol: 'http' },
-                protocol: 'http'
-            });
+        // Drive the original OpenSpeedTest engine (app-2.5.4.js) through its programmatic API
+        if (!window.OpenSpeedTest || typeof window.OpenSpeedTest.run !== 'function') {
+            throw new Error('HTTP testing not available');
+        }
+
+        // The engine picks the least latency server of its list itself; a manual pick narrows the list to it
+        const picked = this.servers && this.servers.manual !== null ? this.servers.select('http') : null;
+        const httpResults = await window.OpenSpeedTest.run({
+            tests: ['ping', 'download', 'upload'],
+            server: picked ? picked.entry : undefined
         });
+
+        const bytesReceived = httpResults.dataUsed.download;
+        const bytesSent = httpResults.dataUsed.upload;
+
+        return {
+            ping: {
+                average: httpResults.ping,
+                jitter: httpResults.jitter,
+                loaded: httpResults.loadedLatency,
+                protocol: 'http'
+            },
+            download: {
+                speedMbps: httpResults.download,
+                bytesReceived: bytesReceived,
+                protocol: 'http'
+            },
+            upload: {
+                speedMbps: httpResults.upload,
+                bytesSent: bytesSent,
+                protocol: 'http'
+            },
+            bytesTransferred: bytesReceived + bytesSent,
+            server: httpResults.server,
+            protocol: 'http'
+        };
     }
 
     showProtocolIndicator(protocol) {
@@ -328,13 +648,15 @@ class MultiProtocolSpeedTest {
         const protocolNames = {
             'udp': 'UDP (True UDP)',
             'webrtc': 'WebRTC (UDP-like)',
-            'http': 'HTTP (TCP)'
+            'http': 'HTTP (TCP)',
+            'udp-capacity': 'UDP Capacity Search'
         };
         
         const colors = {
             'udp': '#FF6B6B',
             'webrtc': '#4ECDC4',
-            'http': '#45B7D1'
+            'http': '#45B7D1',
+            'udp-capacity': '#FF6B6B'
         };
         
         indicator.innerHTML = `Testing: ${protocolNames[protocol] || protocol.toUpperCase()}`;
@@ -367,28 +689,45 @@ class MultiProtocolSpeedTest {
         }
         
         let html = `
-            <div style="position: fixed; top: 100px; right: 10px; background: white; border: 1px solid #ccc; padding: 15px; border-radius: 5px; z-index: 1003; box-shadow: 0 2px 10px rgba(0,0,0,0.1); max-width: 400px;">
+            <div style="position: fixed; top: 100px; right: 10px; background: white; border: 1px solid #ccc; padding: 15px; border-radius: 5px; z-index: 1003; box-shadow: 0 2px 10px rgba(0,0,0,0.1); max-width: 560px;">
                 <h3 style="margin: 0 0 15px 0; font-size: 16px;">Protocol Comparison</h3>
                 <table style="width: 100%; font-size: 12px; border-collapse: collapse;">
                     <tr style="background: #f5f5f5;">
                         <th style="padding: 5px; border: 1px solid #ddd;">Protocol</th>
                         <th style="padding: 5px; border: 1px solid #ddd;">Ping (ms)</th>
+                        <th style="padding: 5px; border: 1px solid #ddd;">Jitter (ms)</th>
+                        <th style="padding: 5px; border: 1px solid #ddd;">Bufferbloat</th>
                         <th style="padding: 5px; border: 1px solid #ddd;">Download</th>
                         <th style="padding: 5px; border: 1px solid #ddd;">Upload</th>
+                        <th style="padding: 5px; border: 1px solid #ddd;">Loss % (DL/UL)</th>
+                        <th style="padding: 5px; border: 1px solid #ddd;">RTT (ms)</th>
+                        <th style="padding: 5px; border: 1px solid #ddd;">Path</th>
                     </tr>
         `;
         
         Object.entries(results).forEach(([protocol, result]) => {
             const ping = result.ping?.average?.toFixed(1) || 'N/A';
-            const download = result.download?.speedMbps?.toFixed(1) || 'N/A';
-            const upload = result.upload?.speedMbps?.toFixed(1) || 'N/A';
+            // Jitter of the download stream when the protocol measures it, else of the pings
+            const jitter = (result.download?.jitter ?? result.ping?.jitter)?.toFixed(2) || 'N/A';
+            const loaded = result.ping?.loaded;
+            const bufferbloat = loaded?.grade ? `${loaded.grade} (+${loaded.delta} ms)` : 'N/A';
+            const download = this.describeRate(result.download);
+            const upload = this.describeRate(result.upload);
+            const loss = `${result.download?.lossPercent?.toFixed(2) || 'N/A'} / ${result.upload?.lossPercent?.toFixed(2) || 'N/A'}`;
+            const rtt = result.transport?.rtt?.toFixed(1) || 'N/A';
+            const path = this.describeTransportPath(result.transport);
             
             html += `
                 <tr>
                     <td style="padding: 5px; border: 1px solid #ddd; font-weight: bold;">${protocol.toUpperCase()}</td>
                     <td style="padding: 5px; border: 1px solid #ddd;">${ping}</td>
+                    <td style="padding: 5px; border: 1px solid #ddd;" title="${this.describeDelayHistogram(result.download)}">${jitter}</td>
+                    <td style="padding: 5px; border: 1px solid #ddd;">${bufferbloat}</td>
                     <td style="padding: 5px; border: 1px solid #ddd;">${download}</td>
                     <td style="padding: 5px; border: 1px solid #ddd;">${upload}</td>
+                    <td style="padding: 5px; border: 1px solid #ddd;">${loss}</td>
+                    <td style="padding: 5px; border: 1px solid #ddd;">${rtt}</td>
+                    <td style="padding: 5px; border: 1px solid #ddd;${result.transport?.relayed ? ' color: #c0392b;' : ''}">${path}</td>
                 </tr>
             `;
         });
@@ -404,15 +743,111 @@ class MultiProtocolSpeedTest {
         
         table.innerHTML = html;
         table.style.display = 'block';
+        
+        // JSON, CSV and permalink of this comparison run
+        if (window.ResultExport) {
+            const panel = table.firstElementChild;
+            panel.insertBefore(window.ResultExport.createActions(() => window.ResultExport.toRecords(results)), panel.querySelector('button'));
+        }
+    }
+
+    showCapacityResults(capacity) {
+        let table = document.getElementById('capacity-table');
+        
+        if (!table) {
+            table = document.createElement('div');
+            table.id = 'capacity-table';
+            document.body.appendChild(table);
+        }
+        
+        const summary = capacity.limitedByMaxRate
+            ? `at least ${capacity.capacityMbps} Mbps (search ceiling)`
+            : `${capacity.capacityMbps} Mbps`;
+        
+        let html = `
+            <div style="position: fixed; top: 100px; right: 10px; background: white; border: 1px solid #ccc; padding: 15px; border-radius: 5px; z-index: 1003; box-shadow: 0 2px 10px rgba(0,0,0,0.1); max-width: 560px;">
+                <h3 style="margin: 0 0 5px 0; font-size: 16px;">UDP ${capacity.direction} capacity: ${summary}</h3>
+                <div style="font-size: 11px; color: #666; margin-bottom: 10px;">Highest offered rate with loss &le; ${capacity.lossThreshold}%</div>
+                <table style="width: 100%; font-size: 12px; border-collapse: collapse;">
+                    <tr style="background: #f5f5f5;">
+                        <th style="padding: 5px; border: 1px solid #ddd;">Trial</th>
+                        <th style="padding: 5px; border: 1px solid #ddd;">Offered (Mbps)</th>
+                        <th style="padding: 5px; border: 1px solid #ddd;">Achieved (Mbps)</th>
+                        <th style="padding: 5px; border: 1px solid #ddd;">Loss %</th>
+                        <th style="padding: 5px; border: 1px solid #ddd;">Jitter (ms)</th>
+                    </tr>
+        `;
+        
+        capacity.steps.forEach((step, index) => {
+            html += `
+                <tr style="color: ${step.passed ? '#27ae60' : '#c0392b'};">
+                    <td style="padding: 5px; border: 1px solid #ddd;">${index + 1} (${step.phase})</td>
+                    <td style="padding: 5px; border: 1px solid #ddd;">${step.offeredMbps}</td>
+                    <td style="padding: 5px; border: 1px solid #ddd;">${step.achievedMbps?.toFixed(2) || 'N/A'}</td>
+                    <td style="padding: 5px; border: 1px solid #ddd;">${step.lossPercent?.toFixed(2) ?? 'N/A'}</td>
+                    <td style="padding: 5px; border: 1px solid #ddd;">${step.jitter?.toFixed(2) ?? 'N/A'}</td>
+                </tr>
+            `;
+        });
+        
+        html += `
+                </table>
+                <button onclick="document.getElementById('capacity-table').style.display='none'" 
+                        style="margin-top: 10px; padding: 5px 10px; background: #007cba; color: white; border: none; border-radius: 3px; cursor: pointer;">
+                    Close
+                </button>
+            </div>
+        `;
+        
+        table.innerHTML = html;
+        table.style.display = 'block';
+    }
+
+    // Achieved rate, with the offered load when the test ran in constant bitrate mode
+    // or the server's rate cap for a UDP download in max mode
+    describeRate(phase) {
+        const speed = phase?.speedMbps?.toFixed(1);
+        if (!speed) return 'N/A';
+        
+        if (phase.targetMbps) return `${speed} of ${phase.targetMbps}`;
+        return phase.maxRateMbps ? `${speed} (cap ${phase.maxRateMbps})` : speed;
+    }
+
+    // Tooltip text: delay variation percentiles and histogram of the download stream
+    describeDelayHistogram(download) {
+        if (!download || !download.delayHistogram) return '';
+        
+        const variation = download.delayVariation;
+        const lines = [`Delay variation p50 ${variation.p50.toFixed(2)} / p95 ${variation.p95.toFixed(2)} / p99 ${variation.p99.toFixed(2)} ms`];
+        let lower = 0;
+        download.delayHistogram.forEach((bucket) => {
+            const label = bucket.upTo === null ? `≥${lower}` : `${lower}-${bucket.upTo}`;
+            lines.push(`${label} ms: ${bucket.count}`);
+            lower = bucket.upTo;
+        });
+        return lines.join('&#10;');
+    }
+
+    // e.g. "host → srflx (wifi)" or "relay/tcp → host"
+    describeTransportPath(transport) {
+        if (!transport || !transport.localCandidateType) return 'N/A';
+        
+        const local = transport.relayProtocol ? `${transport.localCandidateType}/${transport.relayProtocol}` : transport.localCandidateType;
+        const network = transport.localNetworkType ? ` (${transport.localNetworkType})` : '';
+        return `${local} → ${transport.remoteCandidateType || '?'}${network}`;
     }
 
     sleep(ms) {
         return new Promise(resolve => setTimeout(resolve, ms));
     }
 
+    escape(text) {
+        return String(text).replace(/[&<>"]/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+    }
+
     disconnect() {
-        if (this.webrtcTest) {
-            this.webrtcTest.close();
+        if (this.webrtcIntegration) {
+            this.webrtcIntegration.disconnect();
         }
         
         if (this.udpTest) {
@@ -434,7 +869,9 @@ class MultiProtocolSpeedTest {
 document.addEventListener('DOMContentLoaded', async function() {
     try {
         window.multiProtocolTest = new MultiProtocolSpeedTest();
-        await window.multiProtocolTest.initialize();
+        // Other modules (monitor mode) wait on this before driving the tester
+        window.multiProtocolTest.ready = window.multiProtocolTest.initialize();
+        await window.multiProtocolTest.ready;
         console.log('Multi-protocol speed testing initialized');
     } catch (error) {
         console.error('Failed to initialize multi-protocol testing:', error);
@@ -0,0 +1,171 @@
+/*
+    Per-packet statistics shared by the UDP and WebRTC download tests
+    Streams carry a sequence number and a sender timestamp on every packet
+*/
+
+// Tracks per-packet sequence numbers to detect loss, reordering and duplicates
+class PacketSequenceTracker {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.received = new Uint8Array(1024);
+        this.highestSeq = -1;
+        this.packetsReceived = 0;
+        this.packetsSent = 0;
+        this.outOfOrder = 0;
+        this.duplicates = 0;
+    }
+
+    record(seq) {
+        if (!Number.isInteger(seq) || seq < 0) {
+            return false;
+        }
+
+        if (seq >= this.received.length) {
+            let size = this.received.length;
+            while (size <= seq) size *= 2;
+            const grown = new Uint8Array(size);
+            grown.set(this.received);
+            this.received = grown;
+        }
+
+        if (this.received[seq]) {
+            this.duplicates++;
+            return false;
+        }
+
+        this.received[seq] = 1;
+        this.packetsReceived++;
+
+        if (seq < this.highestSeq) {
+            this.outOfOrder++;
+        } else {
+            this.highestSeq = seq;
+        }
+
+        return true;
+    }
+
+    // Server-reported number of packets sent so far
+    setPacketsSent(count) {
+        if (count > this.packetsSent) {
+            this.packetsSent = count;
+        }
+    }
+
+    getStats() {
+        const expected = Math.max(this.packetsSent, this.highestSeq + 1);
+        let packetsLost = 0;
+        let burst = 0;
+        let longestLossBurst = 0;
+
+        for (let seq = 0; seq < expected; seq++) {
+            if (seq < this.received.length && this.received[seq]) {
+                burst = 0;
+            } else {
+                packetsLost++;
+                burst++;
+                if (burst > longestLossBurst) longestLossBurst = burst;
+            }
+        }
+
+        return {
+            packetsSent: expected,
+            packetsReceived: this.packetsReceived,
+            packetsLost: packetsLost,
+            lossPercent: expected > 0 ? (packetsLost / expected) * 100 : 0,
+            outOfOrder: this.outOfOrder,
+            duplicates: this.duplicates,
+            longestLossBurst: longestLossBurst
+        };
+    }
+}
+
+// RFC 3550 interarrival jitter and one-way delay variation from per-packet sender
+// timestamps. Only differences in transit time are used, so the sender and
+// receiver clocks do not need to be synchronised.
+class PacketDelayTracker {
+    constructor(bucketBounds = [1, 2, 5, 10, 20, 50, 100, 200, 500]) {
+        this.bucketBounds = bucketBounds; // histogram bucket upper bounds (ms)
+        this.reset();
+    }
+
+    reset() {
+        this.transits = new Float64Array(1024);
+        this.count = 0;
+        this.jitter = 0;
+        this.maxJitter = 0;
+        this.lastTransit = null;
+    }
+
+    // sentAt and receivedAt in milliseconds, each on its own clock
+    record(sentAt, receivedAt) {
+        if (!Number.isFinite(sentAt) || !Number.isFinite(receivedAt)) {
+            return;
+        }
+
+        const transit = receivedAt - sentAt;
+
+        // J(i) = J(i-1) + (|D(i-1,i)| - J(i-1)) / 16
+        if (this.lastTransit !== null) {
+            const difference = Math.abs(transit - this.lastTransit);
+            this.jitter += (difference - this.jitter) / 16;
+            if (this.jitter > this.maxJitter) this.maxJitter = this.jitter;
+        }
+        this.lastTransit = transit;
+
+        if (this.count === this.transits.length) {
+            const grown = new Float64Array(this.transits.length * 2);
+            grown.set(this.transits);
+            this.transits = grown;
+        }
+        this.transits[this.count++] = transit;
+    }
+
+    getStats() {
+        if (this.count === 0) {
+            return null;
+        }
+
+        const transits = this.transits.subarray(0, this.count);
+        let minTransit = Infinity;
+        for (let i = 0; i < transits.length; i++) {
+            if (transits[i] < minTransit) minTransit = transits[i];
+        }
+
+        // Delay of each packet relative to the fastest one (RFC 5481 PDV)
+        const variation = transits.map(transit => transit - minTransit).sort();
+        const percentile = (p) => variation[Math.max(0, Math.ceil(p / 100 * variation.length) - 1)];
+        const histogram = this.bucketBounds.map(upTo => ({ upTo: upTo, count: 0 }));
+        histogram.push({ upTo: null, count: 0 });
+
+        let sum = 0;
+        let bucket = 0;
+        for (let i = 0; i < variation.length; i++) {
+            sum += variation[i];
+            // variation is sorted, so the bucket index only moves forward
+            while (bucket < this.bucketBounds.length && variation[i] >= this.bucketBounds[bucket]) bucket++;
+            histogram[bucket].count++;
+        }
+
+        return {
+            samples: this.count,
+            jitter: this.jitter,
+            maxJitter: this.maxJitter,
+            delayVariation: {
+                average: sum / variation.length,
+                p50: percentile(50),
+                p95: percentile(95),
+                p99: percentile(99),
+                max: variation[variation.length - 1]
+            },
+            delayHistogram: histogram
+        };
+    }
+}
+
+// Export for global access
+window.PacketSequenceTracker = PacketSequenceTracker;
+window.PacketDelayTracker = PacketDelayTracker;
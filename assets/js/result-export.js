@@ -0,0 +1,275 @@
+/*
+    Result Export
+    JSON and CSV downloads of the current run and of the stored history, and permalinks
+    that carry a run in the URL fragment (#result=...) so index.html can show it again
+    without running a test or contacting any server.
+*/
+
+class ResultExport {
+    // A run is a list of records (see ResultHistory.toRecord), one per protocol. Accepts an
+    // HTTP engine result, a MultiProtocolSpeedTest result, a comparison map or a list of results.
+    static toRecords(results) {
+        if (!results) return [];
+        if (Array.isArray(results)) return results.map(result => ResultHistory.toRecord(result));
+        if (results.protocol) return [ResultHistory.toRecord(results)];
+
+        // Comparison run: { udp: {...}, webrtc: {...}, http: {...} }, minus failed protocols
+        return Object.values(results)
+            .filter(result => result && !result.error)
+            .map(result => ResultHistory.toRecord(result));
+    }
+
+    static toJSON(records) {
+        return JSON.stringify(records, null, 2);
+    }
+
+    static toCSV(records) {
+        const columns = ['timestamp', 'protocol', 'server', 'ping', 'jitter', 'download', 'upload', 'dataDownload', 'dataUpload', 'userAgent'];
+        const cell = (value) => {
+            if (value === null || value === undefined) return '';
+            const text = String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const rows = records.map((record) => [
+            new Date(record.timestamp).toISOString(),
+            record.protocol,
+            record.server,
+            record.ping,
+            record.jitter,
+            record.download,
+            record.upload,
+            record.dataUsed ? record.dataUsed.download : null,
+            record.dataUsed ? record.dataUsed.upload : null,
+            record.userAgent
+        ].map(cell).join(','));
+
+        return [columns.join(',')].concat(rows).join('\r\n') + '\r\n';
+    }
+
+    static downloadFile(filename, content, type) {
+        const url = URL.createObjectURL(new Blob([content], { type: type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    static filename(prefix, extension) {
+        return `${prefix}-${new Date().toISOString().replace(/[:.]/g, '-')}.${extension}`;
+    }
+
+    // --- Permalinks ---
+
+    // Compact positional form keeps the fragment short; the user agent is left out
+    static encodePermalink(records, base = location.origin + location.pathname) {
+        const payload = {
+            v: 1,
+            r: records.map(record => [
+                record.protocol,
+                record.server,
+                record.ping,
+                record.jitter,
+                record.download,
+                record.upload,
+                record.dataUsed ? record.dataUsed.download : 0,
+                record.dataUsed ? record.dataUsed.upload : 0,
+                record.timestamp
+            ])
+        };
+
+        const bytes = new TextEncoder().encode(JSON.stringify(payload));
+        let binary = '';
+        bytes.forEach((byte) => {
+            binary += String.fromCharCode(byte);
+        });
+        const encoded = btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+        return `${base}#result=${encoded}`;
+    }
+
+    // Records from a "#result=..." fragment, or null when there is none or it is damaged
+    static decodePermalink(hash = location.hash) {
+        const match = /^#result=([A-Za-z0-9_-]+)$/.exec(hash || '');
+        if (!match) return null;
+
+        try {
+            const binary = atob(match[1].replace(/-/g, '+').replace(/_/g, '/'));
+            const bytes = Uint8Array.from(binary, c => c.charCodeAt(0));
+            const payload = JSON.parse(new TextDecoder().decode(bytes));
+            if (payload.v !== 1 || !Array.isArray(payload.r)) return null;
+
+            const number = (value) => typeof value === 'number' && isFinite(value) ? value : null;
+            return payload.r.map(row => ({
+                protocol: String(row[0] || 'http'),
+                server: row[1] ? String(row[1]) : null,
+                ping: number(row[2]),
+                jitter: number(row[3]),
+                download: number(row[4]),
+                upload: number(row[5]),
+                dataUsed: { download: number(row[6]) || 0, upload: number(row[7]) || 0 },
+                userAgent: null,
+                timestamp: number(row[8]) || Date.now()
+            }));
+        } catch (error) {
+            console.warn('Ignoring invalid result permalink:', error);
+            return null;
+        }
+    }
+
+    static async copyPermalink(records) {
+        const url = ResultExport.encodePermalink(records);
+
+        try {
+            await navigator.clipboard.writeText(url);
+        } catch (error) {
+            // Clipboard API needs a secure context; let the user copy it by hand
+            window.prompt('Copy this link:', url);
+        }
+
+        return url;
+    }
+
+    // --- UI ---
+
+    // Export buttons for a run; getRecords is called on click so the latest data is used
+    static createActions(getRecords) {
+        const actions = document.createElement('div');
+        actions.className = 'result-export-actions';
+        actions.style.cssText = 'margin-top: 10px; font-size: 12px;';
+
+        const button = (label, onClick) => {
+            const element = document.createElement('button');
+            element.textContent = label;
+            element.style.cssText = 'margin: 0 5px 5px 0; padding: 5px 10px; background: #f5f5f5; border: 1px solid #ccc; border-radius: 3px; cursor: pointer;';
+            element.addEventListener('click', () => {
+                Promise.resolve(onClick()).catch((error) => {
+                    console.error(`${label} failed:`, error);
+                });
+            });
+            actions.appendChild(element);
+            return element;
+        };
+
+        button('JSON', () => {
+            ResultExport.downloadFile(ResultExport.filename('speedtest', 'json'), ResultExport.toJSON(getRecords()), 'application/json');
+        });
+        button('CSV', () => {
+            ResultExport.downloadFile(ResultExport.filename('speedtest', 'csv'), ResultExport.toCSV(getRecords()), 'text/csv');
+        });
+        const link = button('Copy Link', async () => {
+            await ResultExport.copyPermalink(getRecords());
+            link.textContent = 'Link Copied';
+            setTimeout(() => {
+                link.textContent = 'Copy Link';
+            }, 2000);
+        });
+
+        if (window.resultHistory) {
+            button('History JSON', async () => {
+                const records = await window.resultHistory.getAll();
+                ResultExport.downloadFile(ResultExport.filename('speedtest-history', 'json'), ResultExport.toJSON(records), 'application/json');
+            });
+            button('History CSV', async () => {
+                const records = await window.resultHistory.getAll();
+                ResultExport.downloadFile(ResultExport.filename('speedtest-history', 'csv'), ResultExport.toCSV(records), 'text/csv');
+            });
+        }
+
+        return actions;
+    }
+
+    // Export bar under the results screen for the run that just finished
+    static showExportBar(results) {
+        const records = ResultExport.toRecords(results);
+        if (records.length === 0) return;
+
+        let bar = document.getElementById('result-export');
+        if (!bar) {
+            bar = document.createElement('div');
+            bar.id = 'result-export';
+            bar.style.cssText = 'position: fixed; bottom: 10px; left: 50%; transform: translateX(-50%); background: white; border: 1px solid #ccc; padding: 5px 10px 0 10px; border-radius: 5px; z-index: 1001; box-shadow: 0 2px 10px rgba(0,0,0,0.1);';
+            document.body.appendChild(bar);
+        }
+
+        bar.innerHTML = '';
+        bar.appendChild(ResultExport.createActions(() => records));
+    }
+
+    // Results of a permalinked run: one row per protocol
+    static showSharedRun(records) {
+        let panel = document.getElementById('shared-result');
+        if (!panel) {
+            panel = document.createElement('div');
+            panel.id = 'shared-result';
+            document.body.appendChild(panel);
+        }
+
+        const value = (number, digits) => typeof number === 'number' ? number.toFixed(digits) : 'N/A';
+        const escape = (text) => String(text).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+
+        let html = `
+            <div style="position: fixed; top: 100px; right: 10px; background: white; border: 1px solid #ccc; padding: 15px; border-radius: 5px; z-index: 1003; box-shadow: 0 2px 10px rgba(0,0,0,0.1); max-width: 560px;">
+                <h3 style="margin: 0 0 5px 0; font-size: 16px;">Shared Result</h3>
+                <div style="font-size: 11px; color: #666; margin-bottom: 10px;">${escape(new Date(records[0].timestamp).toLocaleString())}</div>
+                <table style="width: 100%; font-size: 12px; border-collapse: collapse;">
+                    <tr style="background: #f5f5f5;">
+                        <th style="padding: 5px; border: 1px solid #ddd;">Protocol</th>
+                        <th style="padding: 5px; border: 1px solid #ddd;">Server</th>
+                        <th style="padding: 5px; border: 1px solid #ddd;">Ping</th>
+                        <th style="padding: 5px; border: 1px solid #ddd;">Jitter</th>
+                        <th style="padding: 5px; border: 1px solid #ddd;">Download</th>
+                        <th style="padding: 5px; border: 1px solid #ddd;">Upload</th>
+                    </tr>
+        `;
+
+        records.forEach((record) => {
+            html += `
+                <tr>
+                    <td style="padding: 5px; border: 1px solid #ddd; font-weight: bold;">${escape(record.protocol.toUpperCase())}</td>
+                    <td style="padding: 5px; border: 1px solid #ddd;">${escape(record.server || 'N/A')}</td>
+                    <td style="padding: 5px; border: 1px solid #ddd;">${value(record.ping, 1)}</td>
+                    <td style="padding: 5px; border: 1px solid #ddd;">${value(record.jitter, 2)}</td>
+                    <td style="padding: 5px; border: 1px solid #ddd;">${value(record.download, 1)}</td>
+                    <td style="padding: 5px; border: 1px solid #ddd;">${value(record.upload, 1)}</td>
+                </tr>
+            `;
+        });
+
+        html += `
+                </table>
+                <button onclick="document.getElementById('shared-result').style.display='none'"
+                        style="margin-top: 10px; padding: 5px 10px; background: #007cba; color: white; border: none; border-radius: 3px; cursor: pointer;">
+                    Close
+                </button>
+            </div>
+        `;
+
+        panel.innerHTML = html;
+        panel.firstElementChild.insertBefore(ResultExport.createActions(() => records), panel.querySelector('button'));
+        panel.style.display = 'block';
+    }
+}
+
+window.ResultExport = ResultExport;
+
+// Export bar after every HTTP engine run
+if (window.OpenSpeedTest && typeof window.OpenSpeedTest.on === 'function') {
+    window.OpenSpeedTest.on('result', (result) => ResultExport.showExportBar(result));
+}
+
+// Opened from a permalink: show the shared run instead of waiting for a new test
+document.addEventListener('DOMContentLoaded', () => {
+    const records = ResultExport.decodePermalink();
+    if (!records || records.length === 0) return;
+
+    ResultExport.showSharedRun(records);
+
+    // A single run also goes on the main results screen
+    if (records.length === 1 && window.OpenSpeedTest && typeof window.OpenSpeedTest.show === 'function') {
+        window.OpenSpeedTest.show(records[0]);
+    }
+});
@@ -0,0 +1,144 @@
+/*
+    Persistent Test History
+    Stores every completed run (HTTP engine, UDP, WebRTC) in IndexedDB so results
+    survive a page reload. Used by the history panel (history-panel.js).
+*/
+
+class ResultHistory {
+    constructor(dbName = 'openspeedtest-history') {
+        this.dbName = dbName;
+        this.storeName = 'results';
+        this.db = null;
+        this.listeners = [];
+    }
+
+    open() {
+        if (this.db) return Promise.resolve(this.db);
+        if (!this.opening) {
+            this.opening = new Promise((resolve, reject) => {
+                if (typeof indexedDB === 'undefined') {
+                    reject(new Error('IndexedDB not available'));
+                    return;
+                }
+
+                const request = indexedDB.open(this.dbName, 1);
+
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore(this.storeName, { keyPath: 'id', autoIncrement: true });
+                    store.createIndex('protocol', 'protocol');
+                    store.createIndex('timestamp', 'timestamp');
+                };
+
+                request.onsuccess = () => {
+                    this.db = request.result;
+                    resolve(this.db);
+                };
+
+                request.onerror = () => {
+                    this.opening = null;
+                    reject(request.error);
+                };
+            });
+        }
+
+        return this.opening;
+    }
+
+    // Run one request against the results store and resolve with its result
+    async request(mode, operation) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    async add(result) {
+        const record = ResultHistory.toRecord(result);
+        const id = await this.request('readwrite', (store) => store.add(record));
+        record.id = id;
+
+        this.notify();
+        return record;
+    }
+
+    // All records, oldest first
+    async getAll(protocol) {
+        const records = await this.request('readonly', (store) => {
+            return protocol ? store.index('protocol').getAll(protocol) : store.getAll();
+        });
+
+        return records.sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    async delete(id) {
+        await this.request('readwrite', (store) => store.delete(id));
+        this.notify();
+    }
+
+    async clear() {
+        await this.request('readwrite', (store) => store.clear());
+        this.notify();
+    }
+
+    subscribe(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter(item => item !== listener);
+        };
+    }
+
+    notify() {
+        this.listeners.forEach((listener) => {
+            try {
+                listener();
+            } catch (error) {
+                console.error('History listener failed:', error);
+            }
+        });
+    }
+
+    // Flatten an HTTP engine result (speeds as numbers) or a MultiProtocolSpeedTest
+    // result ({ ping: { average }, download: { speedMbps } ... }) into one record shape
+    static toRecord(result) {
+        const speed = (phase) => typeof phase === 'number' ? phase : (phase && phase.speedMbps) ?? null;
+        const ping = typeof result.ping === 'number' ? result.ping : (result.ping && result.ping.average) ?? null;
+        const jitter = typeof result.jitter === 'number'
+            ? result.jitter
+            : (result.download && result.download.jitter) ?? (result.ping && result.ping.jitter) ?? null;
+        const loss = (phase) => phase && typeof phase.lossPercent === 'number' ? phase.lossPercent : null;
+        const dataUsed = result.dataUsed || {
+            download: (result.download && result.download.bytesReceived) || 0,
+            upload: (result.upload && result.upload.bytesSent) || 0
+        };
+
+        return {
+            protocol: result.protocol || 'http',
+            server: result.server || null,
+            ping: ping,
+            jitter: jitter,
+            download: speed(result.download),
+            upload: speed(result.upload),
+            dataUsed: { download: dataUsed.download || 0, upload: dataUsed.upload || 0 },
+            // Packet loss (%) of UDP and WebRTC runs
+            loss: result.loss || { download: loss(result.download), upload: loss(result.upload) },
+            userAgent: result.userAgent || navigator.userAgent,
+            timestamp: result.timestamp || Date.now()
+        };
+    }
+}
+
+window.ResultHistory = ResultHistory;
+window.resultHistory = new ResultHistory();
+
+// Every finished HTTP engine run, whether started from the UI or OpenSpeedTest.run()
+if (window.OpenSpeedTest && typeof window.OpenSpeedTest.on === 'function') {
+    window.OpenSpeedTest.on('result', (result) => {
+        window.resultHistory.add(result).catch((error) => {
+            console.error('Failed to save test result:', error);
+        });
+    });
+}
@@ -0,0 +1,152 @@
+/*
+    Server Selection
+    Reads index.html's openSpeedTestServerList. Besides the HTTP engine's Download and Upload
+    URLs, an entry can name the endpoints of the other protocols on that server:
+
+        "UDPBridge":  "http://fra.example.com:8080"   HTTP-UDP bridge (server/http-udp-bridge.js)
+        "UDPControl": "ws://fra.example.com:9002"     UDP server control WebSocket (server/udp-server.js)
+        "Signaling":  "ws://fra.example.com:8081"     WebRTC signaling server (server/webrtc-server.js)
+
+    "fetch" in place of the list loads it from serverListURL (GET /servers.json on
+    server/http-udp-bridge.js, see discover()). Its entries also carry Protocols, what each
+    server supports: { http: { port }, udp: { port, maxPacketSize, ... }, webrtc: { ... } }.
+
+    As the engine's readServerList() does for HTTP, every server is pinged pingSamples times
+    and its lowest sample is its latency. Each protocol then runs against the server with the
+    least latency among those that offer it, unless the user picked one in the selector.
+*/
+
+// Entry keys a server needs for each protocol
+const SERVER_ENDPOINTS = {
+    webrtc: ['Signaling'],
+    udp: ['UDPBridge', 'UDPControl'],
+    http: ['Download', 'Upload']
+};
+
+class ServerSelector {
+    constructor(list, options = {}) {
+        this.options = {
+            pingSamples: 5,
+            pingTimeout: 5000,  // ms
+            pingFile: 'Upload', // as in index.html: the URL the engine pings
+            pingMethod: 'GET'
+        };
+        // index.html's settings are passed straight in; the ones it leaves out keep the defaults
+        Object.keys(options).forEach((key) => {
+            if (options[key] !== undefined) this.options[key] = options[key];
+        });
+
+        // "fetch" is left to discover(); without a list there is nothing to choose from
+        this.servers = (Array.isArray(list) ? list : []).map((entry, index) => ServerSelector.describe(entry, index));
+        this.manual = null; // index of the user's pick, null for the least latency
+    }
+
+    // The server list from a discovery endpoint, or null when it has none
+    static async discover(url = 'servers.json') {
+        try {
+            const response = await fetch(`${url}?n=${Math.random()}`, { cache: 'no-store' });
+            if (!response.ok) return null;
+
+            const list = await response.json();
+            return Array.isArray(list) && list.length > 0 ? list : null;
+        } catch (error) {
+            console.warn('No server list at', url, error.message);
+            return null;
+        }
+    }
+
+    static describe(entry, index) {
+        const server = {
+            index: index,
+            name: entry.ServerName || `Server ${index + 1}`,
+            icon: entry.ServerIcon || 'DefaultIcon',
+            entry: entry,
+            latency: null,
+            download: resolveURL(entry.Download),
+            upload: resolveURL(entry.Upload),
+            udpBridge: resolveURL(entry.UDPBridge),
+            udpControl: resolveURL(entry.UDPControl),
+            signaling: resolveURL(entry.Signaling),
+            capabilities: entry.Protocols || null // from the discovery endpoint, null when not known
+        };
+        // A protocol needs its endpoints and, where the entry says, the server's support
+        server.protocols = Object.keys(SERVER_ENDPOINTS).filter(protocol => SERVER_ENDPOINTS[protocol].every(key => entry[key]) &&
+            (!server.capabilities || Boolean(server.capabilities[protocol])));
+        return server;
+    }
+
+    // Pings one server at a time, as the engine does, so the samples do not compete
+    async measure() {
+        for (const server of this.servers) {
+            server.latency = await this.ping(server);
+        }
+        return this.servers;
+    }
+
+    async ping(server) {
+        const url = server[this.options.pingFile.toLowerCase()];
+        if (!url) return null;
+
+        let best = null;
+        for (let i = 0; i < this.options.pingSamples; i++) {
+            const controller = new AbortController();
+            const timer = setTimeout(() => controller.abort(), this.options.pingTimeout);
+            const startTime = performance.now();
+
+            try {
+                const response = await fetch(`${url}?n=${Math.random()}`, {
+                    method: this.options.pingMethod,
+                    cache: 'no-store',
+                    signal: controller.signal
+                });
+                const latency = performance.now() - startTime;
+                // Only the round trip counts; a Download URL would send a whole file
+                if (response.body) response.body.cancel();
+
+                if (response.ok && (best === null || latency < best)) {
+                    best = latency;
+                }
+            } catch (error) {
+                // Unreachable or timed out: another sample may still get through
+            } finally {
+                clearTimeout(timer);
+            }
+        }
+
+        return best;
+    }
+
+    // null or an out of range index goes back to the least latency
+    pick(index) {
+        const number = parseInt(index, 10);
+        this.manual = number >= 0 && number < this.servers.length ? number : null;
+    }
+
+    // The server a protocol runs against, or null to keep the page's own endpoints
+    select(protocol) {
+        const picked = this.servers[this.manual];
+        if (picked && picked.protocols.includes(protocol)) {
+            return picked;
+        }
+
+        // Unmeasured servers rank last; ties keep the list order
+        const rank = server => (server.latency === null ? Infinity : server.latency);
+        return this.servers
+            .filter(server => server.protocols.includes(protocol))
+            .reduce((best, server) => (best === null || rank(server) < rank(best) ? server : best), null);
+    }
+}
+
+// Relative URLs are relative to the page, like the engine's Download and Upload entries
+function resolveURL(url) {
+    if (!url) return null;
+
+    try {
+        return new URL(url, window.location.href).href.replace(/\/+$/, '');
+    } catch (error) {
+        console.warn('Ignoring invalid server URL:', url);
+        return null;
+    }
+}
+
+window.ServerSelector = ServerSelector;
@@ -0,0 +1,75 @@
+/*
+    Test Notifications
+    Lets the page embedding the speed test in an iframe (hosted.html) follow each run: events
+    from the HTTP engine (OpenSpeedTest.on) and from MultiProtocolSpeedTest are posted to
+    window.parent as { source: 'openspeedtest', type, detail }. Final results can also be
+    POSTed as JSON to a webhook. Both are configured in index.html (postMessageOrigin, webhookURL).
+*/
+
+class TestNotifier {
+    constructor(options = {}) {
+        this.options = Object.assign({
+            targetOrigin: '',  // origin of the embedding page, '' disables postMessage
+            webhookURL: ''     // '' disables the webhook
+        }, options);
+
+        // Only an embedded page has someone to tell
+        this.parent = window.parent && window.parent !== window ? window.parent : null;
+    }
+
+    // Forward the given event types of OpenSpeedTest or a MultiProtocolSpeedTest
+    attach(source, types) {
+        types.forEach((type) => {
+            source.on(type, detail => this.notify(type, detail));
+        });
+    }
+
+    notify(type, detail) {
+        if (this.parent && this.options.targetOrigin) {
+            try {
+                this.parent.postMessage({ source: 'openspeedtest', type: type, detail: detail }, this.options.targetOrigin);
+            } catch (error) {
+                console.warn(`Failed to post ${type} event to the embedding page:`, error);
+            }
+        }
+
+        if (type === 'result' && this.options.webhookURL) {
+            this.sendWebhook(detail);
+        }
+    }
+
+    async sendWebhook(result) {
+        try {
+            const response = await fetch(this.options.webhookURL, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(result),
+                keepalive: true
+            });
+
+            if (!response.ok) {
+                console.warn(`Webhook ${this.options.webhookURL} failed: HTTP ${response.status}`);
+            }
+        } catch (error) {
+            console.warn(`Webhook ${this.options.webhookURL} failed:`, error);
+        }
+    }
+}
+
+window.TestNotifier = TestNotifier;
+window.testNotifier = new TestNotifier({
+    targetOrigin: typeof window.postMessageOrigin === 'string' ? window.postMessageOrigin : '',
+    webhookURL: window.webhookURL || ''
+});
+
+// HTTP runs, whether started by the multi-protocol tester or OpenSpeedTest.run()
+if (window.OpenSpeedTest && typeof window.OpenSpeedTest.on === 'function') {
+    window.testNotifier.attach(window.OpenSpeedTest, ['start', 'phase', 'progress', 'result', 'saved', 'error']);
+}
+
+// UDP and WebRTC runs, and 'complete' at the end of every single-protocol or comparison run
+document.addEventListener('DOMContentLoaded', () => {
+    if (window.multiProtocolTest) {
+        window.testNotifier.attach(window.multiProtocolTest, ['start', 'phase', 'progress', 'result', 'error', 'complete']);
+    }
+});
@@ -4,6 +4,9 @@
     This works alongside WebRTC and HTTP testing methods
 */
 
+// Bytes of the server's datagram header (server/lib/packet.js)
+const UDP_HEADER_SIZE = 20;
+
 class UDPSpeedTest {
     constructor() {
         this.ws = null;
@@ -17,10 +20,78 @@ class UDPSpeedTest {
             serverHost: window.location.hostname,
             wsPort: 9002,
             udpPort: 9001,
+            bridgePort: 8080,    // HTTP-UDP bridge (server/http-udp-bridge.js)
+            bridgeURL: '',       // full URLs of the bridge and the control WebSocket, used instead of
+            controlURL: '',      // serverHost and the ports when set (see useServer())
             packetSize: 1024,
             testDuration: 10000, // 10 seconds
-            pingCount: 10
+            pingCount: 10,
+            uploadBatchSize: 64, // datagrams per upload request
+            uploadInFlight: 4,   // concurrent upload requests
+            downloadTransport: 'auto', // 'auto' (binary WebSocket, SSE fallback), 'websocket' or 'sse'
+            targetBitrate: 0,    // constant bitrate mode in Mbps (like iperf3 -u -b), 0 sends as fast as possible
+            impairment: '',      // impairment profile or spec for this client's sessions (server/lib/impairment.js), '' for the server's
+
+            // Capacity search: step up the offered rate, then binary-search for the highest loss-free rate
+            capacitySearch: {
+                direction: 'download', // 'download' or 'upload'
+                startRate: 1,          // Mbps
+                maxRate: 1000,         // Mbps, also capped by the server's maxRate
+                stepFactor: 2,         // multiply the rate by this while trials pass
+                lossThreshold: 0.1,    // highest loss (%) that still counts as loss-free
+                trialDuration: 2000,   // ms per trial
+                resolution: 0.5,       // Mbps, stop searching once the bounds are this close
+                maxTrials: 20
+            }
         };
+        
+        this.applyUrlOverrides(window.location.search);
+    }
+
+    // ?bitrate=25&udpPacketSize=1200&impair=loss-2 (names are case-insensitive)
+    applyUrlOverrides(search) {
+        const params = {};
+        new URLSearchParams(search).forEach((value, key) => {
+            params[key.toLowerCase()] = value;
+        });
+        
+        const bitrate = parseFloat(params.bitrate);
+        if (bitrate >= 0) {
+            this.config.targetBitrate = bitrate;
+        }
+        
+        const packetSize = parseInt(params.udppacketsize, 10);
+        if (packetSize > 0) {
+            this.config.packetSize = packetSize;
+        }
+        
+        if (params.impair !== undefined) {
+            this.config.impairment = params.impair;
+        }
+    }
+
+    // Endpoints of a server from the server list (ServerSelector); call before initialize()
+    useServer(server) {
+        const udp = server.capabilities && server.capabilities.udp;
+        this.config.bridgeURL = server.udpBridge;
+        this.config.controlURL = server.udpControl;
+        this.config.serverHost = new URL(server.udpBridge).hostname;
+        if (udp && udp.maxPacketSize) {
+            this.config.packetSize = Math.min(this.config.packetSize, udp.maxPacketSize);
+        }
+    }
+
+    // Datagram size, header included, within the limit of the UDP server as well as the
+    // bridge's (useServer())
+    packetSize() {
+        const max = this.serverInfo && this.serverInfo.maxPacketSize;
+        return max ? Math.min(this.config.packetSize, max) : this.config.packetSize;
+    }
+
+    // http(s) URL of a bridge endpoint, or its ws(s) form for WebSocket paths
+    bridgeURL(path, websocket = false) {
+        const base = this.config.bridgeURL || `http://${this.config.serverHost}:${this.config.bridgePort}`;
+        return (websocket ? base.replace(/^http/, 'ws') : base) + path;
     }
 
     async initialize() {
@@ -41,7 +112,7 @@ class UDPSpeedTest {
 
     connectToControlServer() {
         return new Promise((resolve, reject) => {
-            const wsUrl = `ws://${this.config.serverHost}:${this.config.wsPort}`;
+            const wsUrl = this.config.controlURL || `ws://${this.config.serverHost}:${this.config.wsPort}`;
             
             try {
                 this.ws = new WebSocket(wsUrl);
@@ -113,6 +184,46 @@ class UDPSpeedTest {
         });
     }
 
+    // Changes the server's default impairment for every client; resolves with the new server_info.
+    // Servers refuse it unless started with --allow-impairment-control; config.impairment is per session
+    setImpairment(profile) {
+        return new Promise((resolve, reject) => {
+            if (!this.isConnected) {
+                reject(new Error('Not connected to control server'));
+                return;
+            }
+
+            const messageHandler = (event) => {
+                try {
+                    const data = JSON.parse(event.data);
+                    if (data.type === 'server_info' || data.type === 'error') {
+                        clearTimeout(timer);
+                        this.ws.removeEventListener('message', messageHandler);
+                        if (data.type === 'error') {
+                            reject(new Error(data.message));
+                        } else {
+                            this.serverInfo = data;
+                            resolve(data);
+                        }
+                    }
+                } catch (error) {
+                    // Ignore other messages
+                }
+            };
+
+            this.ws.addEventListener('message', messageHandler);
+            this.ws.send(JSON.stringify({
+                type: 'set_impairment',
+                profile: profile
+            }));
+
+            const timer = setTimeout(() => {
+                this.ws.removeEventListener('message', messageHandler);
+                reject(new Error('Impairment request timeout'));
+            }, 3000);
+        });
+    }
+
     handleControlMessage(data) {
         try {
             const message = JSON.parse(data);
@@ -197,7 +308,7 @@ class UDPSpeedTest {
             const startTime = performance.now();
             
             // Use fetch with a special endpoint that simulates UDP ping
-            fetch(`http://${this.config.serverHost}:8080/udp-ping`, {
+            fetch(this.bridgeURL('/udp-ping'), {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
@@ -205,7 +316,8 @@ class UDPSpeedTest {
                 body: JSON.stringify({
                     type: 'ping',
                     timestamp: startTime,
-                    clientId: clientId
+                    clientId: clientId,
+                    impairment: this.config.impairment || undefined
                 })
             })
             .then(response => response.json())
@@ -236,79 +348,219 @@ class UDPSpeedTest {
         
         this.currentTest = 'download';
         const clientId = this.generateClientId();
+        let query = `clientId=${clientId}&duration=${this.config.testDuration}&packetSize=${this.packetSize()}`;
+        if (this.config.targetBitrate > 0) {
+            // The UDP server paces the stream to this rate
+            query += `&rate=${this.config.targetBitrate}`;
+        }
+        if (this.config.impairment) {
+            query += `&impair=${encodeURIComponent(this.config.impairment)}`;
+        }
         
         try {
-            // Use EventSource for server-sent events to simulate UDP download
-            const downloadUrl = `http://${this.config.serverHost}:8080/udp-download?` + 
-                               `clientId=${clientId}&duration=${this.config.testDuration}&packetSize=${this.config.packetSize}`;
+            if (this.config.downloadTransport !== 'sse' && typeof WebSocket !== 'undefined') {
+                try {
+                    return await this.runWebSocketDownload(query);
+                } catch (error) {
+                    // Older bridges only speak SSE; anything that fails mid-test is a real error
+                    if (!error.connectFailed || this.config.downloadTransport === 'websocket') throw error;
+                    console.warn('Binary UDP download unavailable, falling back to SSE');
+                }
+            }
             
-            const eventSource = new EventSource(downloadUrl);
-            const startTime = performance.now();
-            let bytesReceived = 0;
-            let packetsReceived = 0;
+            return await this.runSSEDownload(query);
+        } catch (error) {
+            console.error('UDP download test failed:', error);
+            throw error;
+        }
+    }
+
+    // Each binary message is one UDP datagram exactly as relayed, so throughput is
+    // computed from the bytes that really arrived
+    runWebSocketDownload(query) {
+        return new Promise((resolve, reject) => {
+            const ws = new WebSocket(this.bridgeURL(`/udp-download?${query}`, true));
+            const download = this.createDownloadState('websocket');
+            let opened = false;
+            let done = false;
             
-            return new Promise((resolve, reject) => {
-                eventSource.onmessage = (event) => {
-                    try {
-                        const data = JSON.parse(event.data);
-                        
-                        if (data.type === 'data') {
-                            bytesReceived += data.size || this.config.packetSize;
-                            packetsReceived++;
-                            
-                            // Calculate current speed
-                            const elapsed = performance.now() - startTime;
-                            const speedMbps = (bytesReceived * 8) / (elapsed / 1000) / 1000000;
-                            
-                            // Update UI
-                            if (typeof this.onDownloadProgress === 'function') {
-                                this.onDownloadProgress(speedMbps);
-                            }
-                            
-                        } else if (data.type === 'complete') {
-                            eventSource.close();
-                            
-                            const duration = performance.now() - startTime;
-                            const speedMbps = (bytesReceived * 8) / (duration / 1000) / 1000000;
-                            
-                            const results = {
-                                duration: duration,
-                                bytesReceived: bytesReceived,
-                                packetsReceived: packetsReceived,
-                                speedMbps: speedMbps,
-                                protocol: 'UDP'
-                            };
-                            
-                            console.log('UDP download test completed:', results);
-                            
-                            if (typeof this.onDownloadComplete === 'function') {
-                                this.onDownloadComplete(results);
-                            }
-                            
-                            resolve(results);
-                        }
-                    } catch (error) {
-                        console.error('Error processing download data:', error);
+            ws.binaryType = 'arraybuffer';
+            
+            const fail = (error) => {
+                if (done) return;
+                done = true;
+                clearTimeout(timeout);
+                ws.close();
+                error.connectFailed = !opened;
+                reject(error);
+            };
+            
+            ws.onopen = () => {
+                opened = true;
+            };
+            
+            ws.onmessage = (event) => {
+                if (typeof event.data === 'string') {
+                    const message = JSON.parse(event.data);
+                    if (message.type === 'complete' && !done) {
+                        done = true;
+                        clearTimeout(timeout);
+                        ws.close();
+                        resolve(this.finishDownload(download, message.packetsSent));
+                    } else if (message.type === 'error') {
+                        // Refused by the bridge (too many downloads from this address)
+                        fail(new Error(`UDP download refused: ${message.message}`));
                     }
-                };
+                    return;
+                }
                 
-                eventSource.onerror = (error) => {
-                    console.error('Download test error:', error);
-                    eventSource.close();
-                    reject(error);
-                };
+                // Datagram: u8 type, u8 flags, u16, u32 session, u32 seq, f64 send time, payload
+                const receivedAt = performance.timeOrigin + performance.now();
+                const view = new DataView(event.data);
+                if (view.byteLength < UDP_HEADER_SIZE) return;
                 
-                // Timeout
-                setTimeout(() => {
-                    eventSource.close();
-                    reject(new Error('Download test timeout'));
-                }, this.config.testDuration + 5000);
-            });
+                this.recordDownloadPacket(download, {
+                    seq: view.getUint32(8),
+                    size: view.byteLength,
+                    sentAt: view.getFloat64(12),
+                    receivedAt: receivedAt
+                });
+            };
             
-        } catch (error) {
-            console.error('UDP download test failed:', error);
-            throw error;
+            ws.onerror = () => {
+                fail(new Error('UDP download WebSocket error'));
+            };
+            
+            ws.onclose = () => {
+                fail(new Error('UDP download WebSocket closed before completion'));
+            };
+            
+            const timeout = setTimeout(() => {
+                fail(new Error('Download test timeout'));
+            }, this.config.testDuration + 5000);
+        });
+    }
+
+    // Fallback: one JSON event per datagram, with the size as declared by the bridge
+    runSSEDownload(query) {
+        return new Promise((resolve, reject) => {
+            // Use EventSource for server-sent events to simulate UDP download
+            const eventSource = new EventSource(this.bridgeURL(`/udp-download?${query}`));
+            const download = this.createDownloadState('sse');
+            
+            eventSource.onmessage = (event) => {
+                try {
+                    const data = JSON.parse(event.data);
+                    
+                    if (data.type === 'data') {
+                        this.recordDownloadPacket(download, {
+                            seq: data.seq,
+                            size: data.size || this.packetSize(),
+                            sentAt: data.sentAt,
+                            receivedAt: performance.timeOrigin + performance.now()
+                        });
+                        
+                    } else if (data.type === 'complete') {
+                        eventSource.close();
+                        clearTimeout(timeout);
+                        resolve(this.finishDownload(download, data.packetsSent));
+                    }
+                } catch (error) {
+                    console.error('Error processing download data:', error);
+                }
+            };
+            
+            eventSource.onerror = (error) => {
+                console.error('Download test error:', error);
+                eventSource.close();
+                clearTimeout(timeout);
+                reject(error);
+            };
+            
+            // Timeout
+            const timeout = setTimeout(() => {
+                eventSource.close();
+                reject(new Error('Download test timeout'));
+            }, this.config.testDuration + 5000);
+        });
+    }
+
+    createDownloadState(dataPath) {
+        return {
+            dataPath: dataPath,
+            startTime: performance.now(),
+            sequence: new PacketSequenceTracker(),
+            delay: new PacketDelayTracker(),
+            sequenced: false,
+            bytesReceived: 0,
+            packetsReceived: 0
+        };
+    }
+
+    recordDownloadPacket(download, packet) {
+        if (typeof packet.seq === 'number') {
+            download.sequenced = true;
+            download.sequence.record(packet.seq);
+        }
+        // UDP server send time and the time the message reached this page
+        if (typeof packet.sentAt === 'number') {
+            download.delay.record(packet.sentAt, packet.receivedAt);
+        }
+        
+        download.bytesReceived += packet.size;
+        download.packetsReceived++;
+        
+        // Calculate current speed
+        const elapsed = performance.now() - download.startTime;
+        const speedMbps = (download.bytesReceived * 8) / (elapsed / 1000) / 1000000;
+        
+        // Update UI
+        if (typeof this.onDownloadProgress === 'function') {
+            this.onDownloadProgress(speedMbps);
+        }
+    }
+
+    finishDownload(download, packetsSent) {
+        const duration = performance.now() - download.startTime;
+        const speedMbps = (download.bytesReceived * 8) / (duration / 1000) / 1000000;
+        
+        if (typeof packetsSent === 'number') {
+            download.sequence.setPacketsSent(packetsSent);
+        }
+        
+        const results = {
+            duration: duration,
+            bytesReceived: download.bytesReceived,
+            packetsReceived: download.packetsReceived,
+            speedMbps: speedMbps,
+            mode: this.config.targetBitrate > 0 ? 'cbr' : 'max',
+            targetMbps: this.config.targetBitrate > 0 ? this.config.targetBitrate : null,
+            // The UDP server paces max mode at its maxRate, so a faster link reads as this
+            maxRateMbps: this.serverInfo && this.serverInfo.maxRate ? this.serverInfo.maxRate : null,
+            dataPath: download.dataPath,
+            protocol: 'UDP'
+        };
+        
+        // Loss statistics need sequence numbers from the bridge
+        if (download.sequenced) {
+            Object.assign(results, download.sequence.getStats());
+        }
+        
+        const delayStats = download.delay.getStats();
+        if (delayStats) {
+            results.jitter = delayStats.jitter;
+            results.maxJitter = delayStats.maxJitter;
+            results.delayVariation = delayStats.delayVariation;
+            results.delayHistogram = delayStats.delayHistogram;
+        }
+        
+        console.log('UDP download test completed:', results);
+        
+        if (typeof this.onDownloadComplete === 'function') {
+            this.onDownloadComplete(results);
         }
+        
+        return results;
     }
 
     async startUploadTest() {
@@ -320,34 +572,69 @@ class UDPSpeedTest {
         
         this.currentTest = 'upload';
         const clientId = this.generateClientId();
+        const packetSize = this.packetSize();
+        const payloadSize = packetSize - UDP_HEADER_SIZE;
         
         try {
-            // Generate test data
-            const testData = new ArrayBuffer(this.config.packetSize);
-            const view = new Uint8Array(testData);
+            // One request carries the payloads of uploadBatchSize datagrams; the bridge adds
+            // a header to each X-Datagram-Size less the header bytes of the body
+            const batch = new ArrayBuffer(payloadSize * this.config.uploadBatchSize);
+            const view = new Uint8Array(batch);
             for (let i = 0; i < view.length; i++) {
                 view[i] = Math.floor(Math.random() * 256);
             }
             
             const startTime = performance.now();
+            const endTime = startTime + this.config.testDuration;
+            const targetBitrate = this.config.targetBitrate;
+            const bytesPerMs = targetBitrate * 1000000 / 8 / 1000;
             let bytesSent = 0;
             let packetsSent = 0;
+            let packetsQueued = 0;
+            let failed = false;
             
-            // Send data continuously for the test duration
-            const uploadInterval = setInterval(async () => {
-                try {
-                    await fetch(`http://${this.config.serverHost}:8080/udp-upload`, {
+            const headers = {
+                'Content-Type': 'application/octet-stream',
+                'X-Client-Id': clientId,
+                'X-Datagram-Size': packetSize.toString()
+            };
+            if (this.config.impairment) {
+                headers['X-Impairment'] = this.config.impairment;
+            }
+            
+            // Keep uploadInFlight requests outstanding until the test duration is up,
+            // or until the bridge refuses one
+            const sendBatches = async () => {
+                while (!failed && performance.now() < endTime) {
+                    let body = batch;
+                    
+                    // CBR: only send the datagrams that are due at the target rate so far
+                    if (targetBitrate > 0) {
+                        const due = Math.floor((performance.now() - startTime) * bytesPerMs / packetSize) - packetsQueued;
+                        if (due <= 0) {
+                            await this.sleep(Math.max(5, packetSize / bytesPerMs));
+                            continue;
+                        }
+                        
+                        const count = Math.min(due, this.config.uploadBatchSize);
+                        body = batch.slice(0, count * payloadSize);
+                    }
+                    packetsQueued += body.byteLength / payloadSize;
+                    
+                    const response = await fetch(this.bridgeURL('/udp-upload'), {
                         method: 'POST',
-                        headers: {
-                            'Content-Type': 'application/octet-stream',
-                            'X-Client-Id': clientId,
-                            'X-Packet-Number': packetsSent.toString()
-                        },
-                        body: testData
+                        headers: headers,
+                        body: body
                     });
+                    if (!response.ok) {
+                        failed = true;
+                        const reply = await response.json().catch(() => ({}));
+                        throw new Error(`UDP upload request failed: ${reply.message || `HTTP ${response.status}`}`);
+                    }
+                    const ack = await response.json();
                     
-                    bytesSent += testData.byteLength;
-                    packetsSent++;
+                    bytesSent += ack.bytes;
+                    packetsSent += ack.datagrams;
                     
                     // Calculate current speed
                     const elapsed = performance.now() - startTime;
@@ -357,37 +644,50 @@ class UDPSpeedTest {
                     if (typeof this.onUploadProgress === 'function') {
                         this.onUploadProgress(speedMbps);
                     }
-                    
-                } catch (error) {
-                    console.error('Upload packet error:', error);
                 }
-            }, 10); // Send every 10ms
+            };
             
-            // Stop after test duration
-            return new Promise((resolve) => {
-                setTimeout(() => {
-                    clearInterval(uploadInterval);
-                    
-                    const duration = performance.now() - startTime;
-                    const speedMbps = (bytesSent * 8) / (duration / 1000) / 1000000;
-                    
-                    const results = {
-                        duration: duration,
-                        bytesSent: bytesSent,
-                        packetsSent: packetsSent,
-                        speedMbps: speedMbps,
-                        protocol: 'UDP'
-                    };
-                    
-                    console.log('UDP upload test completed:', results);
-                    
-                    if (typeof this.onUploadComplete === 'function') {
-                        this.onUploadComplete(results);
-                    }
-                    
-                    resolve(results);
-                }, this.config.testDuration);
-            });
+            const senders = [];
+            for (let i = 0; i < this.config.uploadInFlight; i++) {
+                senders.push(sendBatches());
+            }
+            await Promise.all(senders);
+            
+            const duration = performance.now() - startTime;
+            
+            // Let the last datagrams reach the UDP server before asking what it received
+            await this.sleep(200);
+            const stats = await this.getUploadStats(clientId);
+            
+            const results = {
+                duration: duration,
+                bytesSent: bytesSent,
+                packetsSent: packetsSent,
+                offeredMbps: (bytesSent * 8) / (duration / 1000) / 1000000,
+                speedMbps: (bytesSent * 8) / (duration / 1000) / 1000000,
+                mode: targetBitrate > 0 ? 'cbr' : 'max',
+                targetMbps: targetBitrate > 0 ? targetBitrate : null,
+                protocol: 'UDP'
+            };
+            
+            // Delivered throughput and upload loss from the server's receive counts
+            if (stats) {
+                results.packetsSent = stats.packetsSent;
+                results.packetsReceived = stats.packetsReceived;
+                results.bytesReceived = stats.bytesReceived;
+                results.packetsLost = Math.max(0, stats.packetsSent - stats.packetsReceived);
+                results.lossPercent = stats.packetsSent > 0 ? (results.packetsLost / stats.packetsSent) * 100 : 0;
+                results.speedMbps = (stats.bytesReceived * 8) / (duration / 1000) / 1000000;
+                results.jitter = stats.jitter;
+            }
+            
+            console.log('UDP upload test completed:', results);
+            
+            if (typeof this.onUploadComplete === 'function') {
+                this.onUploadComplete(results);
+            }
+            
+            return results;
             
         } catch (error) {
             console.error('UDP upload test failed:', error);
@@ -395,6 +695,116 @@ class UDPSpeedTest {
         }
     }
 
+    // RFC 2544 style throughput search: short CBR trials at increasing rates until one loses
+    // more than lossThreshold, then halve the interval between the last pass and the first fail
+    async startCapacitySearch(options = {}) {
+        if (!this.serverInfo) {
+            throw new Error('Server not available');
+        }
+
+        const search = Object.assign({}, this.config.capacitySearch, options);
+        // Downloads are paced by the UDP server, which will not go above its own limit
+        const maxRate = search.direction === 'download' && this.serverInfo.maxRate
+            ? Math.min(search.maxRate, this.serverInfo.maxRate)
+            : search.maxRate;
+
+        console.log(`Starting UDP ${search.direction} capacity search up to ${maxRate} Mbps...`);
+
+        const saved = {
+            targetBitrate: this.config.targetBitrate,
+            testDuration: this.config.testDuration
+        };
+        const steps = [];
+        const startTime = performance.now();
+
+        const trial = async (phase, rate) => {
+            this.config.targetBitrate = rate;
+            this.config.testDuration = search.trialDuration;
+
+            const result = search.direction === 'upload'
+                ? await this.startUploadTest()
+                : await this.startDownloadTest();
+
+            const step = {
+                phase: phase,
+                offeredMbps: rate,
+                achievedMbps: result.speedMbps,
+                lossPercent: result.lossPercent ?? null,
+                jitter: result.jitter ?? null,
+                passed: typeof result.lossPercent === 'number' && result.lossPercent <= search.lossThreshold
+            };
+            steps.push(step);
+
+            if (typeof this.onCapacityStep === 'function') {
+                this.onCapacityStep(step);
+            }
+
+            return step.passed;
+        };
+
+        let passRate = 0;
+        let failRate = null;
+
+        try {
+            // Step up until a trial loses too much or the ceiling passes
+            let rate = Math.min(search.startRate, maxRate);
+            while (steps.length < search.maxTrials) {
+                if (!await trial('step', rate)) {
+                    failRate = rate;
+                    break;
+                }
+
+                passRate = rate;
+                if (rate >= maxRate) break;
+                rate = Math.min(rate * search.stepFactor, maxRate);
+            }
+
+            // Binary search between the last passing and the first failing rate
+            while (failRate !== null && failRate - passRate > search.resolution && steps.length < search.maxTrials) {
+                const rate = Math.round((passRate + failRate) / 2 * 100) / 100;
+                if (await trial('search', rate)) {
+                    passRate = rate;
+                } else {
+                    failRate = rate;
+                }
+            }
+        } finally {
+            this.config.targetBitrate = saved.targetBitrate;
+            this.config.testDuration = saved.testDuration;
+        }
+
+        const results = {
+            direction: search.direction,
+            capacityMbps: passRate,
+            lowestFailingMbps: failRate,
+            limitedByMaxRate: failRate === null && passRate >= maxRate,
+            lossThreshold: search.lossThreshold,
+            steps: steps,
+            duration: performance.now() - startTime,
+            protocol: 'UDP'
+        };
+
+        console.log('UDP capacity search completed:', results);
+
+        if (typeof this.onCapacityComplete === 'function') {
+            this.onCapacityComplete(results);
+        }
+
+        return results;
+    }
+
+    async getUploadStats(clientId) {
+        try {
+            const response = await fetch(this.bridgeURL(`/udp-upload-stats?clientId=${clientId}`));
+            if (!response.ok) return null;
+            
+            return await response.json();
+        } catch (error) {
+            console.error('UDP upload stats error:', error);
+            return null;
+        }
+    }
+
     calculateJitter(samples) {
         if (samples.length < 2) return 0;
         
@@ -12,7 +12,7 @@ const WEBRTC_CONFIG = {
     
     // Signaling server configuration
     signaling: {
-        host: window.location.hostname,
+        host: typeof window !== 'undefined' ? window.location.hostname : 'localhost',
         port: 8081,
         protocol: 'ws'
     },
@@ -32,7 +32,12 @@ const WEBRTC_CONFIG = {
         maxRetransmits: 0,     // Don't retransmit lost packets (UDP-like)
         protocol: 'speed-test',
         // Packet size for testing (bytes)
-        packetSize: 16 * 1024  // 16KB
+        packetSize: 16 * 1024, // 16KB
+        
+        // Upload refills the send buffer up to maxBufferedAmount whenever it
+        // drains below bufferedAmountLowThreshold (bytes)
+        maxBufferedAmount: 1024 * 1024,
+        bufferedAmountLowThreshold: 256 * 1024
     },
     
     // Test configuration
@@ -46,8 +51,14 @@ const WEBRTC_CONFIG = {
         // Default test duration (ms)
         defaultDuration: 10000,
         
-        // Packet sending interval during tests (ms)
-        packetInterval: 10
+        // Constant bitrate mode: offered load in Mbps for download and upload
+        // (like iperf3 -u -b), 0 sends as fast as the channel allows
+        targetBitrate: 0,
+        
+        // Network impairment the server peer applies to this connection, a profile
+        // name such as 'loss-2' or a spec such as 'delay:40,loss:2' (server/lib/impairment.js).
+        // Empty keeps the server's default
+        impairment: ''
     },
     
     // Fallback behavior
@@ -94,8 +105,88 @@ const WEBRTC_CONFIG = {
     }
 };
 
+/*
+   URL parameter overrides (names are case-insensitive):
+     webrtc=0|1                     enable or disable WebRTC testing
+     signaling=wss://host:8443      signaling server URL (or signalingHost / signalingPort)
+     ice=stun:host:3478,turn:host   replace the ICE server list
+     iceUser=name&iceCredential=pw  credentials for the TURN entries in "ice"
+     packetSize, maxBuffered, pingSamples, pingInterval, duration, rtcTimeout (ms or bytes)
+     bitrate=25                     constant bitrate mode at 25 Mbps (0 for as fast as possible)
+     impair=loss-2                  ask the server to impair the connection (profile or spec, none to turn it off)
+     debug=1                        enable all debug logging
+*/
+function applyWebRTCConfigOverrides(config, search) {
+    const params = {};
+    new URLSearchParams(search).forEach((value, key) => {
+        params[key.toLowerCase()] = value;
+    });
+
+    const number = (name) => {
+        const value = parseInt(params[name], 10);
+        return value > 0 ? value : undefined;
+    };
+    const set = (target, key, value) => {
+        if (value !== undefined) target[key] = value;
+    };
+
+    if (params.webrtc !== undefined) {
+        config.enabled = !['0', 'false', 'off', 'no'].includes(params.webrtc.toLowerCase());
+    }
+
+    if (params.signaling) {
+        try {
+            const url = new URL(params.signaling);
+            config.signaling.protocol = url.protocol.replace(':', '');
+            config.signaling.host = url.hostname;
+            config.signaling.port = url.port ? parseInt(url.port, 10) : (url.protocol === 'wss:' ? 443 : 80);
+        } catch (error) {
+            console.warn('Ignoring invalid signaling URL:', params.signaling);
+        }
+    }
+    set(config.signaling, 'host', params.signalinghost);
+    set(config.signaling, 'port', number('signalingport'));
+
+    if (params.ice) {
+        config.peerConnection.iceServers = params.ice.split(',').filter(Boolean).map((urls) => {
+            const server = { urls: urls };
+            if (/^turns?:/.test(urls) && params.iceuser) {
+                server.username = params.iceuser;
+                server.credential = params.icecredential || '';
+            }
+            return server;
+        });
+    }
+
+    set(config.dataChannel, 'packetSize', number('packetsize'));
+    set(config.dataChannel, 'maxBufferedAmount', number('maxbuffered'));
+    set(config.testing, 'pingSamples', number('pingsamples'));
+    set(config.testing, 'pingInterval', number('pinginterval'));
+    set(config.testing, 'defaultDuration', number('duration'));
+    set(config.fallback, 'connectionTimeout', number('rtctimeout'));
+
+    if (params.bitrate !== undefined) {
+        const bitrate = parseFloat(params.bitrate);
+        if (bitrate >= 0) config.testing.targetBitrate = bitrate;
+    }
+
+    if (params.impair !== undefined) {
+        config.testing.impairment = params.impair;
+    }
+
+    if (params.debug !== undefined) {
+        const enabled = !['0', 'false', 'off', 'no'].includes(params.debug.toLowerCase());
+        config.debug.enabled = enabled;
+        config.debug.logConnections = enabled;
+        config.debug.logDataTransfer = enabled;
+    }
+
+    return config;
+}
+
 // Export configuration for use by other modules
 if (typeof window !== 'undefined') {
+    applyWebRTCConfigOverrides(WEBRTC_CONFIG, window.location.search);
     window.WEBRTC_CONFIG = WEBRTC_CONFIG;
 }
 
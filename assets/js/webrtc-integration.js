@@ -11,26 +11,47 @@ let isWebRTCMode = false;
 
 // WebRTC Speed Test Integration Class
 class WebRTCSpeedTestIntegration {
-    constructor() {
+    constructor(config = window.WEBRTC_CONFIG || {}) {
+        this.config = config;
         this.speedTest = null;
         this.signalingSocket = null;
         this.isConnected = false;
         this.currentTest = null;
-        this.signalingServerUrl = `ws://${window.location.hostname}:8081`;
+        
+        const signaling = config.signaling || {};
+        const testing = config.testing || {};
+        const fallback = config.fallback || {};
+        
+        this.signalingServerUrl = `${signaling.protocol || 'ws'}://${signaling.host || window.location.hostname}:${signaling.port || 8081}`;
+        this.pingCount = testing.pingSamples || 10;
+        this.pingInterval = testing.pingInterval || 100;
+        this.connectionTimeout = fallback.connectionTimeout || 5000;
+        this.impairment = testing.impairment || '';
+        this.maxPacketSize = null; // the server's limit, from the server list
+    }
+
+    // Signaling endpoint of a server from the server list (ServerSelector); call before initialize()
+    useServer(server) {
+        const webrtc = server.capabilities && server.capabilities.webrtc;
+        this.signalingServerUrl = server.signaling;
+        this.maxPacketSize = (webrtc && webrtc.maxPacketSize) || null;
     }
 
     async initialize() {
         try {
-            // Connect to signaling server
-            await this.connectToSignalingServer();
-            
-            // Initialize WebRTC speed test
-            this.speedTest = new WebRTCSpeedTest();
+            // Initialize WebRTC speed test before signaling, the server greets us immediately
+            this.speedTest = new WebRTCSpeedTest(this.config);
+            if (this.maxPacketSize) {
+                this.speedTest.packetSize = Math.min(this.speedTest.packetSize, this.maxPacketSize);
+            }
             await this.speedTest.initializePeerConnection();
             
             // Set up event handlers
             this.setupEventHandlers();
             
+            // Connect to signaling server
+            await this.connectToSignalingServer();
+            
             console.log('WebRTC Speed Test initialized successfully');
             return true;
         } catch (error) {
@@ -64,12 +85,11 @@ class WebRTCSpeedTestIntegration {
                     this.isConnected = false;
                 };
                 
-                // Timeout after 5 seconds
                 setTimeout(() => {
                     if (!this.isConnected) {
                         reject(new Error('Signaling server connection timeout'));
                     }
-                }, 5000);
+                }, this.connectionTimeout);
                 
             } catch (error) {
                 reject(error);
@@ -80,12 +100,28 @@ class WebRTCSpeedTestIntegration {
     handleSignalingMessage(data) {
         try {
             const message = JSON.parse(data);
+            this.speedTest.debugLog('connections', 'Signaling message:', message.type);
             
             switch (message.type) {
                 case 'welcome':
                     console.log('Received welcome from signaling server');
+                    this.serverImpairment = message.impairment || null;
+                    // Ask for the impairment first so the DataChannel is impaired from the start
+                    if (this.impairment) {
+                        this.signalingSocket.send(JSON.stringify({
+                            type: 'set-impairment',
+                            profile: this.impairment
+                        }));
+                    }
                     this.establishPeerConnection();
                     break;
+                case 'impairment':
+                    this.serverImpairment = message.profile;
+                    console.log('Server impairment:', message.profile ? message.profile.name : 'none');
+                    break;
+                case 'error':
+                    console.warn('Signaling server error:', message.message);
+                    break;
                 case 'answer':
                     this.speedTest.handleAnswer(message.answer);
                     break;
@@ -93,10 +129,12 @@ class WebRTCSpeedTestIntegration {
                     this.speedTest.handleIceCandidate(message.candidate);
                     break;
                 case 'download-complete':
-                    this.handleDownloadComplete();
+                    // Server-side send counts; the local timer completes the download test
+                    this.serverDownloadResults = message.results;
                     break;
                 case 'upload-complete':
-                    this.handleUploadComplete(message.results);
+                    // The server totals also arrive as upload_ack messages on the DataChannel
+                    this.serverUploadResults = message.results;
                     break;
                 case 'pong':
                     this.handlePingResponse(message);
@@ -122,6 +160,16 @@ class WebRTCSpeedTestIntegration {
     }
 
     setupEventHandlers() {
+        // Forward local ICE candidates to the server-side peer
+        this.speedTest.onIceCandidate = (candidate) => {
+            if (this.signalingSocket && this.signalingSocket.readyState === WebSocket.OPEN) {
+                this.signalingSocket.send(JSON.stringify({
+                    type: 'ice-candidate',
+                    candidate: candidate
+                }));
+            }
+        };
+
         // Download progress handler
         this.speedTest.onDownloadProgress = (speedMbps) => {
             this.updateDownloadSpeed(speedMbps);
@@ -154,9 +202,8 @@ class WebRTCSpeedTestIntegration {
             Show.statusMessage("Testing Latency");
             
             const pingSamples = [];
-            const pingCount = 10;
             
-            for (let i = 0; i < pingCount; i++) {
+            for (let i = 0; i < this.pingCount; i++) {
                 const latency = await this.speedTest.measureLatency();
                 if (latency !== null) {
                     pingSamples.push(latency);
@@ -164,8 +211,7 @@ class WebRTCSpeedTestIntegration {
                     Show.pingResults(latency, "Ping");
                 }
                 
-                // Wait 100ms between pings
-                await new Promise(resolve => setTimeout(resolve, 100));
+                await new Promise(resolve => setTimeout(resolve, this.pingInterval));
             }
             
             if (pingSamples.length > 0) {
@@ -197,6 +243,17 @@ class WebRTCSpeedTestIntegration {
         return jitterSum / (pingSamples.length - 1);
     }
 
+    // The server peer starts fresh upload totals on start-speed-test; send it before every test
+    announceTest(testType, duration) {
+        if (this.signalingSocket && this.signalingSocket.readyState === WebSocket.OPEN) {
+            this.signalingSocket.send(JSON.stringify({
+                type: 'start-speed-test',
+                testType: testType,
+                duration: duration
+            }));
+        }
+    }
+
     async startDownloadTest() {
         if (!this.speedTest) {
             console.error('WebRTC Speed Test not initialized');
@@ -207,15 +264,11 @@ class WebRTCSpeedTestIntegration {
             Status = "initDown";
             Show.statusMessage("Initializing Download Test");
             
-            // Start download test via signaling server
-            this.signalingSocket.send(JSON.stringify({
-                type: 'start-speed-test',
-                testType: 'download',
-                duration: dlDuration
-            }));
+            // Start download test via signaling server (dlDuration is in seconds)
+            this.announceTest('download', dlDuration * 1000);
             
             this.currentTest = 'download';
-            this.speedTest.startDownloadTest(dlDuration);
+            this.speedTest.startDownloadTest(dlDuration * 1000);
             
         } catch (error) {
             console.error('Download test failed:', error);
@@ -234,15 +287,11 @@ class WebRTCSpeedTestIntegration {
             Status = "initup";
             Show.statusMessage("Initializing Upload Test");
             
-            // Start upload test via signaling server
-            this.signalingSocket.send(JSON.stringify({
-                type: 'start-speed-test',
-                testType: 'upload',
-                duration: ulDuration
-            }));
+            // Start upload test via signaling server (ulDuration is in seconds)
+            this.announceTest('upload', ulDuration * 1000);
             
             this.currentTest = 'upload';
-            this.speedTest.startUploadTest(ulDuration);
+            this.speedTest.startUploadTest(ulDuration * 1000);
             
         } catch (error) {
             console.error('Upload test failed:', error);
@@ -318,6 +367,13 @@ class WebRTCSpeedTestIntegration {
 
 // Initialize WebRTC integration when page loads
 document.addEventListener('DOMContentLoaded', async function() {
+    const config = window.WEBRTC_CONFIG || {};
+    
+    if (config.enabled === false) {
+        console.log('WebRTC testing disabled by configuration');
+        return;
+    }
+    
     // Check if WebRTC is supported
     if (!window.RTCPeerConnection) {
         console.warn('WebRTC not supported in this browser');
@@ -333,21 +389,24 @@ document.addEventListener('DOMContentLoaded', async function() {
             console.log('WebRTC mode enabled');
             
             // Add UI indicator for WebRTC mode
-            const indicator = document.createElement('div');
-            indicator.id = 'webrtc-indicator';
-            indicator.innerHTML = 'WebRTC UDP-like Mode';
-            indicator.style.cssText = `
-                position: fixed;
-                top: 10px;
-                right: 10px;
-                background: #4CAF50;
-                color: white;
-                padding: 5px 10px;
-                border-radius: 5px;
-                font-size: 12px;
-                z-index: 1000;
-            `;
-            document.body.appendChild(indicator);
+            const ui = config.ui || {};
+            if (ui.showModeIndicator !== false) {
+                const indicator = document.createElement('div');
+                indicator.id = 'webrtc-indicator';
+                indicator.textContent = ui.indicatorText || 'WebRTC UDP-like Mode';
+                Object.assign(indicator.style, ui.indicatorStyle || {
+                    position: 'fixed',
+                    top: '10px',
+                    right: '10px',
+                    background: '#4CAF50',
+                    color: 'white',
+                    padding: '5px 10px',
+                    borderRadius: '5px',
+                    fontSize: '12px',
+                    zIndex: '1000'
+                });
+                document.body.appendChild(indicator);
+            }
         } else {
             console.log('Falling back to standard HTTP speed test');
         }
@@ -375,6 +434,7 @@ function runWebRTCSpeedTest() {
 }
 
 // Export for global access
+window.WebRTCSpeedTestIntegration = WebRTCSpeedTestIntegration;
 window.webrtcSpeedTest = webrtcSpeedTest;
 window.runWebRTCSpeedTest = runWebRTCSpeedTest;
 window.isWebRTCMode = isWebRTCMode;
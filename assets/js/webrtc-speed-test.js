@@ -5,7 +5,8 @@
 */
 
 class WebRTCSpeedTest {
-    constructor() {
+    constructor(config = window.WEBRTC_CONFIG || {}) {
+        this.config = config;
         this.peerConnection = null;
         this.dataChannel = null;
         this.isTestRunning = false;
@@ -16,25 +17,63 @@ class WebRTCSpeedTest {
         };
         this.uploadStats = {
             startTime: 0,
-            bytesSent: 0,
-            packetsSent: 0
+            bytesQueued: 0,
+            packetsSent: 0,
+            bytesAcked: 0,
+            packetsAcked: 0,
+            highestSeqAcked: -1,
+            jitter: null,
+            lastAckTime: 0
         };
+        this.downloadResults = null;
+        this.downloadDelay = null;
+        this.downloadSequence = null;
+        this.uploadResults = null;
+        this.transportSampler = null;
+        this.uploadTimer = null;
+        this.uploadProgressTimer = null;
+        this.uploadPacer = null;
+        this.uploadFinalAck = null;
         
-        // WebRTC configuration for optimal UDP-like behavior
+        const peerConnection = config.peerConnection || {};
+        const dataChannel = config.dataChannel || {};
+        const testing = config.testing || {};
+        
+        // WebRTC configuration for optimal UDP-like behavior (STUN/TURN from WEBRTC_CONFIG)
         this.rtcConfig = {
-            iceServers: [
+            iceServers: peerConnection.iceServers || [
                 { urls: 'stun:stun.l.google.com:19302' },
                 { urls: 'stun:stun1.l.google.com:19302' }
             ],
-            iceCandidatePoolSize: 10
+            iceCandidatePoolSize: peerConnection.iceCandidatePoolSize ?? 10
         };
         
         // DataChannel configuration for UDP-like behavior
         this.dataChannelConfig = {
-            ordered: false,        // Don't guarantee packet order (UDP-like)
-            maxRetransmits: 0,     // Don't retransmit lost packets (UDP-like)
-            protocol: 'speed-test' // Custom protocol identifier
+            ordered: dataChannel.ordered ?? false,          // Don't guarantee packet order (UDP-like)
+            maxRetransmits: dataChannel.maxRetransmits ?? 0, // Don't retransmit lost packets (UDP-like)
+            protocol: dataChannel.protocol || 'speed-test'  // Custom protocol identifier
         };
+        
+        // At least one 20 byte packet header
+        this.packetSize = Math.max(dataChannel.packetSize || 16 * 1024, 20);
+        // Upload keeps the send buffer between these marks instead of sending on a timer
+        this.maxBufferedAmount = dataChannel.maxBufferedAmount || 1024 * 1024;
+        // The threshold has to sit below the high water mark, or bufferedamountlow never fires and the upload stalls
+        this.bufferedAmountLowThreshold = Math.min(dataChannel.bufferedAmountLowThreshold || 256 * 1024, this.maxBufferedAmount / 2);
+        this.defaultDuration = testing.defaultDuration || 10000;
+        // Constant bitrate mode (Mbps): pace both directions to this offered load, 0 sends as fast as possible
+        this.targetBitrate = testing.targetBitrate || 0;
+    }
+
+    // Debug logging controlled by WEBRTC_CONFIG.debug ('connections' or 'data')
+    debugLog(category, ...args) {
+        const debug = this.config.debug || {};
+        if (!debug.enabled) return;
+        if (category === 'connections' && !debug.logConnections) return;
+        if (category === 'data' && !debug.logDataTransfer) return;
+        
+        console.log('[WebRTC]', ...args);
     }
 
     async initializePeerConnection() {
@@ -46,6 +85,16 @@ class WebRTCSpeedTest {
                 console.log('ICE connection state:', this.peerConnection.iceConnectionState);
             };
             
+            // Trickle local candidates to the remote peer via signaling
+            this.peerConnection.onicecandidate = (event) => {
+                if (event.candidate) {
+                    this.debugLog('connections', 'Local ICE candidate:', event.candidate.candidate);
+                }
+                if (event.candidate && typeof this.onIceCandidate === 'function') {
+                    this.onIceCandidate(event.candidate);
+                }
+            };
+            
             this.peerConnection.ondatachannel = (event) => {
                 const channel = event.channel;
                 this.setupDataChannel(channel);
@@ -60,6 +109,7 @@ class WebRTCSpeedTest {
 
     setupDataChannel(channel) {
         this.dataChannel = channel;
+        channel.binaryType = 'arraybuffer';
         
         channel.onopen = () => {
             console.log('DataChannel opened');
@@ -106,6 +156,8 @@ class WebRTCSpeedTest {
     }
 
     async handleIceCandidate(candidate) {
+        this.debugLog('connections', 'Remote ICE candidate:', candidate && candidate.candidate);
+        
         try {
             await this.peerConnection.addIceCandidate(candidate);
             return true;
@@ -120,24 +172,29 @@ class WebRTCSpeedTest {
         // Channel is ready for bidirectional communication
     }
 
-    startDownloadTest(duration = 10000) {
+    startDownloadTest(duration = this.defaultDuration) {
         if (!this.dataChannel || this.dataChannel.readyState !== 'open') {
             console.error('DataChannel not ready');
             return false;
         }
 
         this.isTestRunning = true;
+        this.downloadResults = null;
         this.downloadStats = {
             startTime: performance.now(),
             bytesReceived: 0,
             packetsReceived: 0
         };
+        this.downloadDelay = new PacketDelayTracker();
+        this.downloadSequence = new PacketSequenceTracker();
+        this.startTransportSampling();
 
         // Request download test from server
         const request = JSON.stringify({
             type: 'download_test',
             duration: duration,
-            packetSize: 1024 * 16 // 16KB packets
+            packetSize: this.packetSize,
+            bitrate: this.targetBitrate > 0 ? this.targetBitrate * 1000000 : undefined
         });
         
         this.dataChannel.send(request);
@@ -150,21 +207,29 @@ class WebRTCSpeedTest {
         return true;
     }
 
-    startUploadTest(duration = 10000) {
+    startUploadTest(duration = this.defaultDuration) {
         if (!this.dataChannel || this.dataChannel.readyState !== 'open') {
             console.error('DataChannel not ready');
             return false;
         }
 
+        const channel = this.dataChannel;
+        
         this.isTestRunning = true;
+        this.uploadResults = null;
         this.uploadStats = {
             startTime: performance.now(),
-            bytesSent: 0,
-            packetsSent: 0
+            bytesQueued: 0,
+            packetsSent: 0,
+            bytesAcked: 0,
+            packetsAcked: 0,
+            highestSeqAcked: -1,
+            jitter: null,
+            lastAckTime: 0
         };
 
         // Generate test data
-        const testData = new ArrayBuffer(1024 * 16); // 16KB packets
+        const testData = new ArrayBuffer(this.packetSize);
         const view = new Uint8Array(testData);
         
         // Fill with random data
@@ -172,49 +237,189 @@ class WebRTCSpeedTest {
             view[i] = Math.floor(Math.random() * 256);
         }
 
-        // Send packets continuously
-        const uploadInterval = setInterval(() => {
-            if (!this.isTestRunning) {
-                clearInterval(uploadInterval);
-                return;
+        // Every packet starts with an UPLOAD_DATA header (see server/lib/packet.js) so the
+        // server peer can count loss and jitter: u8 type, u32 seq at 8, f64 send time at 12
+        const sendPacket = () => {
+            const packet = testData.slice(0);
+            const header = new DataView(packet);
+            header.setUint8(0, 6);
+            header.setUint32(8, this.uploadStats.packetsSent);
+            header.setFloat64(12, performance.timeOrigin + performance.now());
+            channel.send(packet);
+            this.uploadStats.bytesQueued += packet.byteLength;
+            this.uploadStats.packetsSent++;
+        };
+
+        // Top the send buffer up to the high water mark; onbufferedamountlow calls
+        // this again once SCTP has drained it below the threshold
+        const pump = () => {
+            if (!this.uploadTimer || channel.readyState !== 'open') return;
+
+            try {
+                while (channel.bufferedAmount < this.maxBufferedAmount) {
+                    sendPacket();
+                }
+            } catch (error) {
+                console.error('Upload error:', error);
+                this.stopUploadTest();
             }
+        };
+
+        // CBR: send whatever is due at the target rate since the start, never more
+        // than the buffer allows, so the offered load stays constant
+        const bytesPerMs = this.targetBitrate * 1000000 / 8 / 1000;
+        const pace = () => {
+            if (!this.uploadTimer || channel.readyState !== 'open') return;
 
+            const due = Math.floor((performance.now() - this.uploadStats.startTime) * bytesPerMs / this.packetSize) - this.uploadStats.packetsSent;
             try {
-                this.dataChannel.send(testData);
-                this.uploadStats.bytesSent += testData.byteLength;
-                this.uploadStats.packetsSent++;
-                
-                // Update UI with current upload speed
-                this.updateUploadSpeed();
+                for (let i = 0; i < due && channel.bufferedAmount < this.maxBufferedAmount; i++) {
+                    sendPacket();
+                }
             } catch (error) {
                 console.error('Upload error:', error);
-                clearInterval(uploadInterval);
+                this.stopUploadTest();
             }
-        }, 10); // Send every 10ms for high throughput
+        };
+
+        if (this.targetBitrate > 0) {
+            this.uploadPacer = setInterval(pace, 5);
+        } else {
+            channel.bufferedAmountLowThreshold = this.bufferedAmountLowThreshold;
+            channel.onbufferedamountlow = pump;
+        }
+        this.startTransportSampling();
 
         // Set up test completion timer
-        setTimeout(() => {
+        this.uploadTimer = setTimeout(() => {
             this.stopUploadTest();
-            clearInterval(uploadInterval);
         }, duration);
 
+        // The buffer may drain slowly on slow links, so report progress on a timer
+        this.uploadProgressTimer = setInterval(() => {
+            this.updateUploadSpeed();
+        }, 250);
+
+        if (this.targetBitrate > 0) {
+            pace();
+        } else {
+            pump();
+        }
+
         return true;
     }
 
+    // Bytes that have actually left the DataChannel send buffer
+    getUploadBytesSent() {
+        const buffered = this.dataChannel ? this.dataChannel.bufferedAmount : 0;
+        return Math.max(0, this.uploadStats.bytesQueued - buffered);
+    }
+
     handleIncomingData(data) {
+        // Text messages are control traffic from the server peer, not payload
+        if (typeof data === 'string') {
+            this.handleControlMessage(data);
+            return;
+        }
+        
         if (!this.isTestRunning) return;
 
         this.downloadStats.bytesReceived += data.byteLength || data.length;
         this.downloadStats.packetsReceived++;
+        this.recordPacketDelay(data);
         
         // Update UI with current download speed
         this.updateDownloadSpeed();
     }
 
-    stopDownloadTest() {
+    // Download packets start with the server's 20 byte header:
+    // u8 type, u8 flags, u16 reserved, u32 session, u32 seq, f64 send time (ms)
+    recordPacketDelay(data) {
+        if (!this.downloadDelay || data.byteLength < 20) return;
+        
+        const view = ArrayBuffer.isView(data)
+            ? new DataView(data.buffer, data.byteOffset, data.byteLength)
+            : new DataView(data);
+        
+        if (view.getUint8(0) !== 4) return; // DATA
+        
+        this.downloadSequence.record(view.getUint32(8));
+        this.downloadDelay.record(view.getFloat64(12), performance.timeOrigin + performance.now());
+    }
+
+    handleControlMessage(data) {
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch (error) {
+            return;
+        }
+        
+        // Running totals from the server peer while an upload is in progress
+        if (message.type === 'upload_ack' && (this.uploadTimer || this.uploadFinalAck)) {
+            this.uploadStats.bytesAcked = message.bytesReceived;
+            this.uploadStats.packetsAcked = message.packetsReceived;
+            this.uploadStats.highestSeqAcked = message.highestSeq ?? -1;
+            this.uploadStats.jitter = message.jitter ?? null;
+            this.uploadStats.lastAckTime = performance.now();
+            if (this.uploadFinalAck) this.uploadFinalAck();
+        }
+        
+        // End of a download: how many packets the server sent, for the loss count
+        if (message.type === 'download_complete' && this.downloadSequence) {
+            this.downloadSequence.setPacketsSent(message.packetsSent);
+        }
+    }
+
+    // Ask the server peer for its final upload totals once the sender has stopped
+    waitForFinalUploadAck(timeout = 1000) {
+        if (!this.dataChannel || this.dataChannel.readyState !== 'open') return Promise.resolve();
+        
+        return new Promise((resolve) => {
+            const timer = setTimeout(() => this.uploadFinalAck(), timeout);
+            this.uploadFinalAck = () => {
+                clearTimeout(timer);
+                this.uploadFinalAck = null;
+                resolve();
+            };
+            this.dataChannel.send(JSON.stringify({ type: 'upload_done' }));
+        });
+    }
+
+    async stopDownloadTest() {
         this.isTestRunning = false;
         const duration = performance.now() - this.downloadStats.startTime;
         const speedMbps = (this.downloadStats.bytesReceived * 8) / (duration / 1000) / 1000000;
+        const delayStats = this.downloadDelay ? this.downloadDelay.getStats() : null;
+        const sequence = this.downloadSequence;
+        this.downloadDelay = null;
+        this.downloadSequence = null;
+        
+        this.downloadResults = {
+            duration: duration,
+            bytesReceived: this.downloadStats.bytesReceived,
+            packetsReceived: this.downloadStats.packetsReceived,
+            speedMbps: speedMbps,
+            mode: this.targetBitrate > 0 ? 'cbr' : 'max',
+            targetMbps: this.targetBitrate > 0 ? this.targetBitrate : null,
+            transport: await this.stopTransportSampling()
+        };
+        
+        // Counted up to the highest sequence seen: the server may still be sending when our timer fires
+        if (sequence && sequence.highestSeq >= 0) {
+            const loss = sequence.getStats();
+            this.downloadResults.packetsSent = loss.packetsSent;
+            this.downloadResults.packetsLost = loss.packetsLost;
+            this.downloadResults.lossPercent = loss.lossPercent;
+        }
+        
+        // Interarrival jitter and delay variation of the download stream under load
+        if (delayStats) {
+            this.downloadResults.jitter = delayStats.jitter;
+            this.downloadResults.maxJitter = delayStats.maxJitter;
+            this.downloadResults.delayVariation = delayStats.delayVariation;
+            this.downloadResults.delayHistogram = delayStats.delayHistogram;
+        }
         
         console.log('Download test completed:', {
             duration: duration + 'ms',
@@ -229,15 +434,64 @@ class WebRTCSpeedTest {
         }
     }
 
-    stopUploadTest() {
+    async stopUploadTest() {
+        if (!this.uploadTimer) return;
+        
+        clearTimeout(this.uploadTimer);
+        clearInterval(this.uploadProgressTimer);
+        clearInterval(this.uploadPacer);
+        this.uploadTimer = null;
+        this.uploadProgressTimer = null;
+        this.uploadPacer = null;
+        if (this.dataChannel) {
+            this.dataChannel.onbufferedamountlow = null;
+        }
+        
         this.isTestRunning = false;
-        const duration = performance.now() - this.uploadStats.startTime;
-        const speedMbps = (this.uploadStats.bytesSent * 8) / (duration / 1000) / 1000000;
+        const stats = this.uploadStats;
+        const duration = performance.now() - stats.startTime;
+        const bytesSent = this.getUploadBytesSent();
+        
+        // At a fixed offered load, loss is only meaningful once the last packets have landed
+        if (this.targetBitrate > 0) {
+            await this.waitForFinalUploadAck();
+        }
+        
+        // Prefer what the server peer acknowledged; fall back to what left the send buffer
+        const acked = stats.lastAckTime > stats.startTime;
+        const speedMbps = acked
+            ? (stats.bytesAcked * 8) / ((stats.lastAckTime - stats.startTime) / 1000) / 1000000
+            : (bytesSent * 8) / (duration / 1000) / 1000000;
+        
+        this.uploadResults = {
+            duration: duration,
+            bytesQueued: stats.bytesQueued,
+            bytesSent: bytesSent,
+            bytesAcked: stats.bytesAcked,
+            packetsSent: stats.packetsSent,
+            packetsAcked: stats.packetsAcked,
+            speedMbps: speedMbps,
+            measuredBy: acked ? 'server' : 'sender',
+            mode: this.targetBitrate > 0 ? 'cbr' : 'max',
+            targetMbps: this.targetBitrate > 0 ? this.targetBitrate : null,
+            transport: null
+        };
+        
+        // Packets still in the send buffer never had a chance to arrive, so loss is
+        // counted against the highest sequence number the server peer saw
+        if (stats.highestSeqAcked >= 0) {
+            const expected = stats.highestSeqAcked + 1;
+            this.uploadResults.packetsLost = Math.max(0, expected - stats.packetsAcked);
+            this.uploadResults.lossPercent = (this.uploadResults.packetsLost / expected) * 100;
+            this.uploadResults.jitter = stats.jitter;
+        }
+        this.uploadResults.transport = await this.stopTransportSampling();
         
         console.log('Upload test completed:', {
             duration: duration + 'ms',
-            bytesSent: this.uploadStats.bytesSent,
-            packetsSent: this.uploadStats.packetsSent,
+            bytesSent: bytesSent,
+            bytesAcked: stats.bytesAcked,
+            packetsSent: stats.packetsSent,
             speedMbps: speedMbps.toFixed(2) + ' Mbps'
         });
 
@@ -253,6 +507,10 @@ class WebRTCSpeedTest {
         const duration = performance.now() - this.downloadStats.startTime;
         const speedMbps = (this.downloadStats.bytesReceived * 8) / (duration / 1000) / 1000000;
         
+        if (this.downloadStats.packetsReceived % 100 === 0) {
+            this.debugLog('data', `Download: ${this.downloadStats.packetsReceived} packets, ${speedMbps.toFixed(2)} Mbps`);
+        }
+        
         // Notify UI of live speed update
         if (typeof this.onDownloadProgress === 'function') {
             this.onDownloadProgress(speedMbps);
@@ -263,7 +521,9 @@ class WebRTCSpeedTest {
         if (!this.isTestRunning) return;
         
         const duration = performance.now() - this.uploadStats.startTime;
-        const speedMbps = (this.uploadStats.bytesSent * 8) / (duration / 1000) / 1000000;
+        const speedMbps = (this.getUploadBytesSent() * 8) / (duration / 1000) / 1000000;
+        
+        this.debugLog('data', `Upload: ${this.uploadStats.packetsSent} packets, ${this.uploadStats.bytesAcked} bytes acked, ${speedMbps.toFixed(2)} Mbps`);
         
         // Notify UI of live speed update
         if (typeof this.onUploadProgress === 'function') {
@@ -271,6 +531,114 @@ class WebRTCSpeedTest {
         }
     }
 
+    // --- Transport statistics from RTCPeerConnection.getStats() ---
+
+    startTransportSampling(interval = 1000) {
+        if (this.transportSampler) clearInterval(this.transportSampler.timer);
+        
+        const sampler = {
+            samples: [],
+            timer: null
+        };
+        const sample = async () => {
+            const stats = await this.getTransportStats();
+            if (stats && this.transportSampler === sampler) sampler.samples.push(stats);
+        };
+        
+        sampler.timer = setInterval(sample, interval);
+        this.transportSampler = sampler;
+        sample();
+    }
+
+    async stopTransportSampling() {
+        const sampler = this.transportSampler;
+        if (!sampler) return null;
+        
+        clearInterval(sampler.timer);
+        this.transportSampler = null;
+        const stats = await this.getTransportStats();
+        if (stats) sampler.samples.push(stats);
+        
+        return this.summarizeTransportStats(sampler.samples);
+    }
+
+    // Snapshot of the selected ICE candidate pair, or null before it is connected
+    async getTransportStats() {
+        if (!this.peerConnection || typeof this.peerConnection.getStats !== 'function') return null;
+        
+        let report;
+        try {
+            report = await this.peerConnection.getStats();
+        } catch (error) {
+            this.debugLog('connections', 'getStats failed:', error);
+            return null;
+        }
+        
+        const stats = new Map();
+        let transport = null;
+        report.forEach((stat) => {
+            stats.set(stat.id, stat);
+            if (stat.type === 'transport') transport = stat;
+        });
+        
+        let pair = transport && transport.selectedCandidatePairId ? stats.get(transport.selectedCandidatePairId) : null;
+        if (!pair) {
+            // Firefox has no transport stats and flags the pair itself
+            for (const stat of stats.values()) {
+                if (stat.type === 'candidate-pair' && (stat.selected || (stat.nominated && stat.state === 'succeeded'))) {
+                    pair = stat;
+                    break;
+                }
+            }
+        }
+        if (!pair) return null;
+        
+        const local = stats.get(pair.localCandidateId) || {};
+        const remote = stats.get(pair.remoteCandidateId) || {};
+        const source = transport && transport.bytesSent !== undefined ? transport : pair;
+        
+        return {
+            timestamp: performance.now(),
+            rtt: pair.currentRoundTripTime !== undefined ? pair.currentRoundTripTime * 1000 : null,
+            availableOutgoingBitrate: pair.availableOutgoingBitrate !== undefined ? pair.availableOutgoingBitrate / 1000000 : null,
+            bytesSent: source.bytesSent || 0,
+            bytesReceived: source.bytesReceived || 0,
+            localCandidateType: local.candidateType || null,
+            remoteCandidateType: remote.candidateType || null,
+            localNetworkType: local.networkType || null,
+            remoteNetworkType: remote.networkType || null,
+            protocol: local.protocol || null,
+            relayProtocol: local.relayProtocol || null
+        };
+    }
+
+    summarizeTransportStats(samples) {
+        if (samples.length === 0) return null;
+        
+        const first = samples[0];
+        const last = samples[samples.length - 1];
+        const average = (values) => values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+        const rtts = samples.map(sample => sample.rtt).filter(rtt => rtt !== null);
+        const bitrates = samples.map(sample => sample.availableOutgoingBitrate).filter(bitrate => bitrate !== null);
+        
+        return {
+            samples: samples.length,
+            rtt: average(rtts),
+            rttMin: rtts.length ? Math.min(...rtts) : null,
+            rttMax: rtts.length ? Math.max(...rtts) : null,
+            availableOutgoingBitrate: average(bitrates),
+            bytesSent: last.bytesSent - first.bytesSent,
+            bytesReceived: last.bytesReceived - first.bytesReceived,
+            localCandidateType: last.localCandidateType,
+            remoteCandidateType: last.remoteCandidateType,
+            localNetworkType: last.localNetworkType,
+            remoteNetworkType: last.remoteNetworkType,
+            protocol: last.protocol,
+            relayProtocol: last.relayProtocol,
+            relayed: last.localCandidateType === 'relay' || last.remoteCandidateType === 'relay'
+        };
+    }
+
     measureLatency() {
         return new Promise((resolve) => {
             if (!this.dataChannel || this.dataChannel.readyState !== 'open') {
@@ -284,13 +652,18 @@ class WebRTCSpeedTest {
                 timestamp: startTime
             });
 
+            // The channel may be closed by the time the pong or the timeout arrives
+            const channel = this.dataChannel;
+            let timer = null;
+
             // Set up one-time message handler for pong response
             const messageHandler = (event) => {
                 try {
                     const response = JSON.parse(event.data);
                     if (response.type === 'pong') {
                         const latency = performance.now() - response.timestamp;
-                        this.dataChannel.removeEventListener('message', messageHandler);
+                        clearTimeout(timer);
+                        channel.removeEventListener('message', messageHandler);
                         resolve(latency);
                     }
                 } catch (error) {
@@ -298,18 +671,29 @@ class WebRTCSpeedTest {
                 }
             };
 
-            this.dataChannel.addEventListener('message', messageHandler);
-            this.dataChannel.send(pingData);
+            channel.addEventListener('message', messageHandler);
+            channel.send(pingData);
 
             // Timeout after 5 seconds
-            setTimeout(() => {
-                this.dataChannel.removeEventListener('message', messageHandler);
+            timer = setTimeout(() => {
+                channel.removeEventListener('message', messageHandler);
                 resolve(null);
             }, 5000);
         });
     }
 
     close() {
+        if (this.transportSampler) {
+            clearInterval(this.transportSampler.timer);
+            this.transportSampler = null;
+        }
+        clearTimeout(this.uploadTimer);
+        clearInterval(this.uploadProgressTimer);
+        clearInterval(this.uploadPacer);
+        this.uploadTimer = null;
+        this.uploadProgressTimer = null;
+        this.uploadPacer = null;
+        
         if (this.dataChannel) {
             this.dataChannel.close();
             this.dataChannel = null;
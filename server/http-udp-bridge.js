@@ -0,0 +1,799 @@
+/*
+    HTTP-UDP Bridge
+    Browsers cannot open UDP sockets, so this bridge relays the HTTP requests made by
+    assets/js/udp-speed-test.js to the UDP server and streams the results back:
+
+        POST /udp-ping      JSON ping, answered after a UDP round trip to the server
+        WS   /udp-download  one binary message per UDP datagram received, the datagram
+                            as received, then a JSON text message
+                            { type: 'complete', packetsSent }
+        GET  /udp-download  Server-Sent Events fallback, one event per UDP datagram
+                            (seq, size and server send time)
+        POST /udp-upload    request body forwarded to the server as UDP datagrams of
+                            X-Datagram-Size bytes, header included (many datagrams
+                            per request)
+        GET  /udp-upload-stats?clientId=  datagrams forwarded for a client and how many
+                            of them the UDP server received
+
+    Network impairment (lib/impairment.js) is chosen per request and applied by the UDP
+    server: an impairment field in the ping body, ?impair= on /udp-download and an
+    X-Impairment header on /udp-upload. /downloading?impair= impairs the HTTP engine's
+    download here, as a TCP stream would see it: late data rather than missing data.
+    --impair sets the profile of /downloading requests that do not name one.
+
+    All relayed downloads reach the UDP server from this bridge's address, so the bridge
+    limits them per browser address instead (--max-downloads-per-client); the UDP server
+    exempts its --bridge-address from its own per-address cap.
+
+    It also serves the speed test itself (index.html, assets/) together with the
+    /downloading and /upload endpoints used by the HTTP engine, and the self-hosted
+    result sink (saveDataURL in index.html):
+
+        POST /results           JSON result, stored in --results-file; replies { id, url }
+                                ({ id: null } with 202 when storage is disabled)
+        GET  /results/<id>      result page, /results/<id>.json for the stored JSON
+        GET  /metrics           Prometheus histograms and counters of the posted results,
+                                labelled by protocol and server (lib/metrics.js)
+        GET  /servers.json      the test servers and the protocols each supports
+                                (lib/server-list.js): this bridge, or the --servers file
+
+    Usage: node http-udp-bridge.js --http-port 8080 --udp-port 9001 [--results-file results.jsonl|none] [--impair wifi]
+               [--name Home] [--protocols http,udp,webrtc] [--ws-port 9002] [--signaling-port 8081] [--servers servers.json]
+               [--max-downloads-per-client 4]
+*/
+
+const crypto = require('crypto');
+const dgram = require('dgram');
+const http = require('http');
+const path = require('path');
+const { WebSocketServer } = require('ws');
+const { parseArgs } = require('./lib/args');
+const { HEADER_SIZE, PacketType, now, encode, decode, decodeJSON } = require('./lib/packet');
+const { ImpairedLink, parseProfile } = require('./lib/impairment');
+const { parseRequestURL, serveStatic } = require('./lib/static');
+const { parseProtocols, describeServer, loadServerList } = require('./lib/server-list');
+const ResultMetrics = require('./lib/metrics');
+const ResultStore = require('./lib/result-store');
+const { renderResultPage } = require('./lib/result-page');
+
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, HEAD, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, X-Client-Id, X-Packet-Number, X-Datagram-Size, X-Impairment'
+};
+
+// Impaired /downloading responses go out in segments, with at most a window of them in flight
+const SEGMENT_SIZE = 64 * 1024;
+const IMPAIRED_WINDOW = 4 * 1024 * 1024;
+
+// Smallest X-Datagram-Size accepted on /udp-upload; tiny datagrams would turn one request
+// into a long synchronous send loop
+const MIN_UPLOAD_PACKET = 64;
+
+class HTTPUDPBridge {
+    constructor(options = {}) {
+        this.options = Object.assign({
+            host: '0.0.0.0',
+            httpPort: 8080,
+            udpHost: '127.0.0.1',
+            udpPort: 9001,
+            root: path.join(__dirname, '..'),
+            pingTimeout: 2000,       // ms
+            downloadSize: 32,        // MiB served per /downloading request
+            maxUploadPacket: 1472,   // bytes per forwarded UDP datagram, header included
+            maxWSBuffered: 8 * 1024 * 1024, // datagrams are dropped when a WebSocket client falls this far behind
+            maxDownloadsPerClient: 4, // concurrent /udp-download relays per browser address
+            resultsFile: path.join(__dirname, 'data', 'results.jsonl'), // '' disables the result sink
+            maxResultSize: 64 * 1024, // bytes per posted result
+            maxPingBody: 4 * 1024,   // bytes per /udp-ping request
+            maxUploadBody: 1024 * 1024, // bytes per /udp-upload request, many datagrams
+            impairment: null,        // profile or spec for /downloading requests that do not name one
+            serverName: 'Home',      // this bridge's entry on /servers.json
+            serverIcon: 'DefaultIcon',
+            protocols: 'http,udp,webrtc', // offered on /servers.json
+            wsPort: 9002,            // UDP server control WebSocket, on the udpHost machine
+            signalingPort: 8081,     // WebRTC signaling server, on this machine
+            serversFile: ''          // JSON server list served on /servers.json instead of this bridge
+        }, options);
+        this.options.protocols = parseProtocols(this.options.protocols);
+
+        this.server = null;
+        this.wss = null;
+        this.pingSocket = null;
+        this.uploadSocket = null;
+        this.pendingPings = new Map();
+        this.pingSeq = 0;
+        this.uploadSessions = new Map();
+        this.clientDownloads = new Map();
+        this.pendingUploadStats = new Map();
+        this.downloadBlock = crypto.randomBytes(1024 * 1024);
+        this.results = null;
+        this.metrics = new ResultMetrics();
+        this.impairment = parseProfile(this.options.impairment);
+        this.serverList = null;
+    }
+
+    async start() {
+        if (this.options.resultsFile) {
+            this.results = new ResultStore(path.resolve(this.options.resultsFile));
+            await this.results.open();
+        }
+        if (this.options.serversFile) {
+            this.serverList = await loadServerList(path.resolve(this.options.serversFile));
+        }
+
+        this.pingSocket = await this.createSocket((message) => this.handlePong(message));
+        this.uploadSocket = await this.createSocket((message) => this.handleUploadStatsReply(message));
+
+        this.server = http.createServer((req, res) => this.handleRequest(req, res));
+
+        this.wss = new WebSocketServer({ noServer: true });
+        this.server.on('upgrade', (req, socket, head) => {
+            const url = parseRequestURL(req);
+            if (!url || url.pathname !== '/udp-download') {
+                socket.destroy();
+                return;
+            }
+            this.wss.handleUpgrade(req, socket, head, (ws) => this.handleWSDownload(req, ws, url));
+        });
+
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.options.httpPort, this.options.host, () => {
+                this.server.removeListener('error', reject);
+                this.httpPort = this.server.address().port;
+                resolve();
+            });
+        });
+
+        console.log(`HTTP-UDP bridge listening on http://${this.options.host}:${this.httpPort}`);
+        console.log(`Relaying to UDP server at ${this.options.udpHost}:${this.options.udpPort}`);
+    }
+
+    createSocket(onMessage) {
+        return new Promise((resolve) => {
+            const socket = dgram.createSocket('udp4');
+            socket.on('message', onMessage);
+            socket.on('error', (error) => console.error('Bridge UDP socket error:', error));
+            socket.bind(0, () => resolve(socket));
+        });
+    }
+
+    sendUDP(socket, buffer) {
+        socket.send(buffer, this.options.udpPort, this.options.udpHost);
+    }
+
+    handleRequest(req, res) {
+        const url = parseRequestURL(req);
+        if (!url) {
+            sendJSON(res, 400, { type: 'error', message: 'Invalid request target' });
+            return;
+        }
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204, CORS_HEADERS);
+            res.end();
+            return;
+        }
+
+        switch (url.pathname) {
+            case '/udp-ping':
+                this.handlePing(req, res);
+                break;
+            case '/udp-download':
+                this.handleDownload(req, res, url);
+                break;
+            case '/udp-upload':
+                this.handleUpload(req, res);
+                break;
+            case '/udp-upload-stats':
+                this.handleUploadStats(req, res, url);
+                break;
+            case '/downloading':
+                this.handleHTTPDownload(req, res, url);
+                break;
+            case '/upload':
+                this.handleHTTPUpload(req, res);
+                break;
+            case '/results':
+                this.handleSaveResult(req, res);
+                break;
+            case '/servers.json':
+                sendJSON(res, 200, this.serverList || [describeServer(Object.assign({}, this.options, { httpPort: this.httpPort }), req)]);
+                break;
+            case '/metrics':
+                res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+                res.end(this.metrics.render());
+                break;
+            default:
+                if (url.pathname.startsWith('/results/')) {
+                    this.handleResultPage(req, res, url.pathname.slice('/results/'.length));
+                } else {
+                    serveStatic(req, res, url.pathname, this.options.root);
+                }
+        }
+    }
+
+    // --- UDP ping ---
+
+    handlePing(req, res) {
+        readBody(req, res, this.options.maxPingBody, (body) => {
+            let ping;
+            try {
+                ping = JSON.parse(body.toString());
+            } catch (error) {
+                sendJSON(res, 400, { type: 'error', message: 'Invalid JSON' });
+                return;
+            }
+            if (ping === null || typeof ping !== 'object' || Array.isArray(ping)) {
+                sendJSON(res, 400, { type: 'error', message: 'Expected a JSON object' });
+                return;
+            }
+
+            const seq = this.pingSeq++ >>> 0;
+            const sentAt = now();
+
+            const timeout = setTimeout(() => {
+                this.pendingPings.delete(seq);
+                sendJSON(res, 504, { type: 'timeout', clientId: ping.clientId });
+            }, this.options.pingTimeout);
+
+            this.pendingPings.set(seq, {
+                timeout: timeout,
+                reply: () => {
+                    clearTimeout(timeout);
+                    sendJSON(res, 200, {
+                        type: 'pong',
+                        timestamp: ping.timestamp,
+                        clientId: ping.clientId,
+                        udpRtt: now() - sentAt
+                    });
+                }
+            });
+
+            const payload = ping.impairment !== undefined ? { impairment: ping.impairment } : undefined;
+            this.sendUDP(this.pingSocket, encode(PacketType.PING, 0, seq, sentAt, payload));
+        });
+    }
+
+    handlePong(message) {
+        const packet = decode(message);
+        if (!packet || packet.type !== PacketType.PONG) return;
+
+        const pending = this.pendingPings.get(packet.seq);
+        if (pending) {
+            this.pendingPings.delete(packet.seq);
+            pending.reply();
+        }
+    }
+
+    // --- UDP download ---
+
+    // Requests a download stream from the UDP server on a fresh socket and hands every
+    // DATA datagram to onData(message, packet). Returns a function that
+    // aborts the relay without calling onComplete.
+    relayDownload(url, onData, onComplete) {
+        const duration = Number(url.searchParams.get('duration')) || 10000;
+        const packetSize = Number(url.searchParams.get('packetSize')) || 1024;
+        const rateMbps = Number(url.searchParams.get('rate')) || 0;
+        const session = crypto.randomBytes(4).readUInt32BE(0);
+
+        const socket = dgram.createSocket('udp4');
+        const request = {
+            duration: duration,
+            packetSize: packetSize,
+            rate: rateMbps * 1000000,
+            impairment: url.searchParams.has('impair') ? url.searchParams.get('impair') : undefined
+        };
+        let finished = false;
+        let cookieSent = false;
+        let lastSeq = -1;
+
+        const close = () => {
+            if (finished) return false;
+            finished = true;
+            clearTimeout(timeout);
+            socket.close();
+            return true;
+        };
+
+        const finish = (packetsSent) => {
+            if (close()) onComplete(packetsSent);
+        };
+
+        // Fall back to what we saw if every completion marker was lost
+        const timeout = setTimeout(() => finish(lastSeq + 1), duration + 3000);
+
+        socket.on('message', (message) => {
+            const packet = decode(message);
+            if (!packet || packet.session !== session || finished) return;
+
+            if (packet.type === PacketType.DATA) {
+                lastSeq = Math.max(lastSeq, packet.seq);
+                onData(message, packet);
+            } else if (packet.type === PacketType.DOWNLOAD_COMPLETE) {
+                finish(packet.seq);
+            } else if (packet.type === PacketType.DOWNLOAD_COOKIE && !cookieSent) {
+                // The server checks that we can receive at this address before it streams to it
+                cookieSent = true;
+                request.cookie = packet.payload.toString('hex');
+                this.sendUDP(socket, encode(PacketType.DOWNLOAD_REQUEST, session, 0, now(), request));
+            }
+        });
+
+        socket.on('error', (error) => {
+            console.error('Download socket error:', error);
+            finish(lastSeq + 1);
+        });
+
+        socket.bind(0, () => {
+            this.sendUDP(socket, encode(PacketType.DOWNLOAD_REQUEST, session, 0, now(), request));
+        });
+
+        return close;
+    }
+
+    // Every relay reaches the UDP server from this bridge's address, so the UDP server cannot
+    // tell browsers apart: limit concurrent downloads per browser here. Returns a release
+    // function, or null when the browser already has maxDownloadsPerClient running.
+    claimDownload(req) {
+        const address = req.socket.remoteAddress;
+        const running = this.clientDownloads.get(address) || 0;
+        if (running >= this.options.maxDownloadsPerClient) return null;
+
+        this.clientDownloads.set(address, running + 1);
+        let released = false;
+        return () => {
+            if (released) return;
+            released = true;
+            const left = this.clientDownloads.get(address) - 1;
+            if (left > 0) {
+                this.clientDownloads.set(address, left);
+            } else {
+                this.clientDownloads.delete(address);
+            }
+        };
+    }
+
+    // Binary path: the client counts the bytes of every datagram it actually receives
+    handleWSDownload(req, ws, url) {
+        const release = this.claimDownload(req);
+        if (!release) {
+            ws.send(JSON.stringify({ type: 'error', message: 'Too many downloads from this address' }));
+            ws.close();
+            return;
+        }
+
+        const abort = this.relayDownload(url, (message) => {
+            // A client that cannot keep up loses datagrams, as a UDP receiver would
+            if (ws.readyState !== ws.OPEN || ws.bufferedAmount > this.options.maxWSBuffered) return;
+
+            ws.send(message);
+        }, (packetsSent) => {
+            if (ws.readyState === ws.OPEN) {
+                ws.send(JSON.stringify({ type: 'complete', packetsSent: packetsSent }));
+                ws.close();
+            }
+        });
+
+        ws.on('close', () => {
+            abort();
+            release();
+        });
+        ws.on('error', abort);
+    }
+
+    // Server-Sent Events fallback for clients without the binary path
+    handleDownload(req, res, url) {
+        const release = this.claimDownload(req);
+        if (!release) {
+            sendJSON(res, 429, { type: 'error', message: 'Too many downloads from this address' });
+            return;
+        }
+        res.on('close', release);
+
+        res.writeHead(200, Object.assign({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-store',
+            'Connection': 'keep-alive'
+        }, CORS_HEADERS));
+
+        const abort = this.relayDownload(url, (message, packet) => {
+            writeEvent(res, {
+                type: 'data',
+                seq: packet.seq,
+                size: packet.size,
+                sentAt: roundTime(packet.timestamp)
+            });
+        }, (packetsSent) => {
+            writeEvent(res, { type: 'complete', packetsSent: packetsSent });
+            res.end();
+        });
+
+        req.on('close', abort);
+    }
+
+    // --- UDP upload ---
+
+    handleUpload(req, res) {
+        // Datagram size, header included, as chosen by the client and capped at maxUploadPacket;
+        // the body is split into payloads of that size less the header
+        const maxPacket = this.options.maxUploadPacket;
+        const header = req.headers['x-datagram-size'];
+        const requested = header === undefined ? maxPacket : parseInt(header, 10);
+        if (!(requested >= MIN_UPLOAD_PACKET)) {
+            sendJSON(res, 400, { type: 'error', message: `X-Datagram-Size must be at least ${MIN_UPLOAD_PACKET} bytes` });
+            req.resume();
+            return;
+        }
+        const chunkSize = Math.min(requested, maxPacket) - HEADER_SIZE;
+
+        const clientId = req.headers['x-client-id'] || 'anonymous';
+        const upload = this.getUploadSession(clientId);
+
+        // The server applies the session's profile to the datagrams that follow
+        const impairment = req.headers['x-impairment'];
+        if (impairment !== undefined && impairment !== upload.impairment) {
+            upload.impairment = impairment;
+            this.sendUDP(this.uploadSocket, encode(PacketType.SET_IMPAIRMENT, upload.session, 0, now(), { impairment: impairment }));
+        }
+
+        readBody(req, res, this.options.maxUploadBody, (body) => {
+            let datagrams = 0;
+
+            for (let offset = 0; offset < body.length; offset += chunkSize) {
+                const chunk = body.subarray(offset, offset + chunkSize);
+                this.sendUDP(this.uploadSocket, encode(PacketType.UPLOAD_DATA, upload.session, upload.seq++, now(), chunk));
+                datagrams++;
+            }
+
+            // Datagram bytes, headers included, as the download side counts them
+            const bytes = body.length + datagrams * HEADER_SIZE;
+            upload.bytes += bytes;
+            upload.lastActivity = Date.now();
+            sendJSON(res, 200, { type: 'ack', bytes: bytes, datagrams: datagrams });
+        });
+    }
+
+    handleUploadStats(req, res, url) {
+        const upload = this.uploadSessions.get(url.searchParams.get('clientId'));
+        if (!upload) {
+            sendJSON(res, 404, { type: 'error', message: 'Unknown upload session' });
+            return;
+        }
+
+        const timeout = setTimeout(() => {
+            this.pendingUploadStats.delete(upload.session);
+            sendJSON(res, 504, { type: 'timeout' });
+        }, this.options.pingTimeout);
+
+        this.pendingUploadStats.set(upload.session, {
+            timeout: timeout,
+            reply: (stats) => {
+                clearTimeout(timeout);
+                sendJSON(res, 200, {
+                    type: 'upload_stats',
+                    packetsSent: upload.seq,
+                    bytesSent: upload.bytes,
+                    packetsReceived: stats.packetsReceived || 0,
+                    bytesReceived: (stats.bytesReceived || 0) + (stats.packetsReceived || 0) * HEADER_SIZE,
+                    duration: stats.duration || 0,
+                    jitter: stats.jitter || 0
+                });
+            }
+        });
+
+        // Sent from the upload socket so the server finds the session it has been counting
+        this.sendUDP(this.uploadSocket, encode(PacketType.UPLOAD_STATS_REQUEST, upload.session, 0, now()));
+    }
+
+    handleUploadStatsReply(message) {
+        const packet = decode(message);
+        if (!packet || packet.type !== PacketType.UPLOAD_STATS) return;
+
+        const pending = this.pendingUploadStats.get(packet.session);
+        if (pending) {
+            this.pendingUploadStats.delete(packet.session);
+            pending.reply(decodeJSON(packet.payload));
+        }
+    }
+
+    getUploadSession(clientId) {
+        let upload = this.uploadSessions.get(clientId);
+
+        if (!upload) {
+            upload = {
+                session: crypto.randomBytes(4).readUInt32BE(0),
+                seq: 0,
+                bytes: 0,
+                impairment: undefined,
+                lastActivity: Date.now()
+            };
+            this.uploadSessions.set(clientId, upload);
+        }
+
+        // Forget idle clients so the map does not grow forever
+        const cutoff = Date.now() - 60000;
+        for (const [id, session] of this.uploadSessions) {
+            if (session.lastActivity < cutoff) this.uploadSessions.delete(id);
+        }
+
+        return upload;
+    }
+
+    // --- HTTP engine endpoints ---
+
+    handleHTTPDownload(req, res, url) {
+        const total = this.options.downloadSize * this.downloadBlock.length;
+
+        let profile;
+        try {
+            profile = url.searchParams.has('impair') ? parseProfile(url.searchParams.get('impair')) : this.impairment;
+        } catch (error) {
+            sendJSON(res, 400, { type: 'error', message: error.message });
+            return;
+        }
+
+        res.writeHead(200, Object.assign({
+            'Content-Type': 'application/octet-stream',
+            'Content-Length': total,
+            'Cache-Control': 'no-store'
+        }, CORS_HEADERS));
+
+        if (req.method === 'HEAD') {
+            res.end();
+            return;
+        }
+
+        if (profile) {
+            this.writeImpaired(req, res, total, profile);
+            return;
+        }
+
+        let sent = 0;
+        const write = () => {
+            while (sent < total) {
+                sent += this.downloadBlock.length;
+                if (!res.write(this.downloadBlock)) {
+                    res.once('drain', write);
+                    return;
+                }
+            }
+            res.end();
+        };
+
+        req.on('close', () => res.removeAllListeners('drain'));
+        write();
+    }
+
+    // Segments pass through a reliable link, so loss shows up as stalls while the lost
+    // segment is resent and everything behind it waits, as on a real TCP connection
+    writeImpaired(req, res, total, profile) {
+        const link = new ImpairedLink(profile, { reliable: true });
+        let sent = 0;
+        let delivered = 0;
+        let timer = null;
+
+        const pump = () => {
+            clearTimeout(timer);
+            timer = null;
+
+            while (sent < total && !link.isFull() && link.queuedBytes < IMPAIRED_WINDOW && !res.writableNeedDrain) {
+                const offset = sent % this.downloadBlock.length;
+                const segment = this.downloadBlock.subarray(offset, offset + SEGMENT_SIZE);
+                sent += segment.length;
+
+                link.send(segment.length, () => {
+                    res.write(segment);
+                    delivered += segment.length;
+                    if (delivered >= total) {
+                        res.end();
+                    } else {
+                        pump();
+                    }
+                });
+            }
+
+            // Wait for the bandwidth cap's queue or the response buffer to go down
+            if (sent < total) {
+                timer = setTimeout(pump, 5);
+            }
+        };
+
+        req.on('close', () => {
+            clearTimeout(timer);
+            link.close();
+        });
+        pump();
+    }
+
+    handleHTTPUpload(req, res) {
+        req.on('data', () => {});
+        req.on('end', () => {
+            res.writeHead(200, Object.assign({
+                'Content-Type': 'text/plain',
+                'Cache-Control': 'no-store'
+            }, CORS_HEADERS));
+            res.end();
+        });
+    }
+
+    // --- Result sink ---
+
+    handleSaveResult(req, res) {
+        if (req.method !== 'POST') {
+            sendJSON(res, 405, { type: 'error', message: 'POST a JSON result' });
+            return;
+        }
+        readBody(req, res, this.options.maxResultSize, (body) => {
+            let result;
+            try {
+                result = ResultStore.sanitize(JSON.parse(body.toString()));
+            } catch (error) {
+                sendJSON(res, 400, { type: 'error', message: error instanceof TypeError ? error.message : 'Invalid JSON' });
+                return;
+            }
+
+            this.metrics.observe(result);
+
+            // Metrics still count results when storage is disabled
+            if (!this.results) {
+                sendJSON(res, 202, { id: null });
+                return;
+            }
+
+            this.results.add(result).then((entry) => {
+                sendJSON(res, 201, { id: entry.id, url: `/results/${entry.id}` });
+            }).catch((error) => {
+                console.error('Failed to store result:', error);
+                sendJSON(res, 500, { type: 'error', message: 'Failed to store result' });
+            });
+        });
+    }
+
+    handleResultPage(req, res, name) {
+        const json = name.endsWith('.json');
+        const entry = this.results && this.results.get(json ? name.slice(0, -'.json'.length) : name);
+
+        if (!entry) {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            res.end('Not Found');
+            return;
+        }
+
+        if (json) {
+            sendJSON(res, 200, entry);
+            return;
+        }
+
+        res.writeHead(200, {
+            'Content-Type': 'text/html; charset=utf-8',
+            'Cache-Control': 'no-store'
+        });
+        res.end(renderResultPage(entry));
+    }
+
+    async stop() {
+        for (const pending of [...this.pendingPings.values(), ...this.pendingUploadStats.values()]) {
+            clearTimeout(pending.timeout);
+        }
+        this.pendingPings.clear();
+        this.pendingUploadStats.clear();
+
+        if (this.wss) {
+            this.wss.clients.forEach((ws) => ws.terminate());
+            await new Promise((resolve) => this.wss.close(resolve));
+            this.wss = null;
+        }
+
+        if (this.server) {
+            // Node 18.2+; older versions close keep-alive connections when they go idle
+            if (typeof this.server.closeAllConnections === 'function') {
+                this.server.closeAllConnections();
+            }
+            await new Promise((resolve) => this.server.close(resolve));
+            this.server = null;
+        }
+
+        [this.pingSocket, this.uploadSocket].forEach((socket) => socket && socket.close());
+        this.pingSocket = null;
+        this.uploadSocket = null;
+    }
+}
+
+// Collects a request body of at most limit bytes; a larger one is answered with 413 and
+// the rest of it is discarded as it arrives
+function readBody(req, res, limit, callback) {
+    const chunks = [];
+    let size = 0;
+    let tooLarge = false;
+
+    const refuse = () => {
+        tooLarge = true;
+        chunks.length = 0;
+        sendJSON(res, 413, { type: 'error', message: 'Request body too large' });
+    };
+
+    if (Number(req.headers['content-length']) > limit) {
+        refuse();
+    }
+
+    req.on('data', (chunk) => {
+        if (tooLarge) return;
+
+        size += chunk.length;
+        if (size > limit) {
+            refuse();
+        } else {
+            chunks.push(chunk);
+        }
+    });
+    req.on('end', () => {
+        if (!tooLarge) callback(Buffer.concat(chunks));
+    });
+}
+
+function sendJSON(res, status, body) {
+    if (res.headersSent) return;
+
+    res.writeHead(status, Object.assign({
+        'Content-Type': 'application/json',
+        'Cache-Control': 'no-store'
+    }, CORS_HEADERS));
+    res.end(JSON.stringify(body));
+}
+
+// Microsecond precision is plenty and keeps the event stream small
+function roundTime(time) {
+    return Math.round(time * 1000) / 1000;
+}
+
+function writeEvent(res, data) {
+    res.write(`data: ${JSON.stringify(data)}\n\n`);
+}
+
+if (require.main === module) {
+    const args = parseArgs(process.argv.slice(2), {
+        'host': '0.0.0.0',
+        'http-port': 8080,
+        'udp-host': '127.0.0.1',
+        'udp-port': 9001,
+        'root': path.join(__dirname, '..'),
+        'results-file': path.join(__dirname, 'data', 'results.jsonl'),
+        'impair': '',
+        'name': 'Home',
+        'icon': 'DefaultIcon',
+        'protocols': 'http,udp,webrtc',
+        'ws-port': 9002,
+        'signaling-port': 8081,
+        'servers': '',
+        'max-downloads-per-client': 4
+    });
+
+    const bridge = new HTTPUDPBridge({
+        host: args['host'],
+        httpPort: args['http-port'],
+        udpHost: args['udp-host'],
+        udpPort: args['udp-port'],
+        root: args['root'],
+        resultsFile: args['results-file'] === 'none' ? '' : args['results-file'],
+        impairment: args['impair'],
+        serverName: args['name'],
+        serverIcon: args['icon'],
+        protocols: args['protocols'],
+        wsPort: args['ws-port'],
+        signalingPort: args['signaling-port'],
+        serversFile: args['servers'],
+        maxDownloadsPerClient: args['max-downloads-per-client']
+    });
+
+    bridge.start().catch((error) => {
+        console.error('Failed to start HTTP-UDP bridge:', error);
+        process.exit(1);
+    });
+
+    process.on('SIGINT', () => bridge.stop().then(() => process.exit(0)));
+    process.on('SIGTERM', () => bridge.stop().then(() => process.exit(0)));
+}
+
+module.exports = HTTPUDPBridge;
@@ -0,0 +1,35 @@
+/*
+    Minimal command line parser: --udp-port 9001 --verbose -> { 'udp-port': 9001, verbose: true }
+*/
+
+function parseArgs(argv, defaults) {
+    const options = Object.assign({}, defaults);
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) continue;
+
+        let key = arg.slice(2);
+        let value;
+
+        const eq = key.indexOf('=');
+        if (eq >= 0) {
+            value = key.slice(eq + 1);
+            key = key.slice(0, eq);
+        } else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+            value = argv[++i];
+        } else {
+            value = true;
+        }
+
+        if (typeof defaults[key] === 'number') {
+            value = Number(value);
+        }
+
+        options[key] = value;
+    }
+
+    return options;
+}
+
+module.exports = { parseArgs };
@@ -0,0 +1,77 @@
+/*
+    Runs the browser modules from assets/js (packet-stats.js, webrtc-speed-test.js, ...) inside
+    Node, so the command line client measures exactly the way the web client does. Each call
+    gets its own sandbox with the Node versions of the browser APIs those modules use:
+    WebSocket from ws, RTCPeerConnection from werift, fetch, performance and timers.
+*/
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ASSETS = path.join(__dirname, '..', '..', 'assets', 'js');
+
+// location is { hostname, search }: webrtc-config.js reads its URL overrides from it.
+// logger stands in for console, the modules log every connection and test step.
+function loadBrowserScripts(files, location = {}, logger = console) {
+    const sandbox = {
+        console: logger,
+        setTimeout,
+        clearTimeout,
+        setInterval,
+        clearInterval,
+        performance,
+        // Node 18+, only result posting uses it
+        fetch: globalThis.fetch,
+        URL,
+        URLSearchParams,
+        TextEncoder,
+        TextDecoder,
+        location: Object.assign({ hostname: 'localhost', search: '' }, location),
+        navigator: { userAgent: `Node.js ${process.version}` },
+        // webrtc-integration.js waits for DOMContentLoaded, which never comes here
+        document: { addEventListener() {} }
+    };
+    sandbox.window = sandbox;
+
+    if (files.some((file) => file.startsWith('webrtc'))) {
+        sandbox.WebSocket = require('ws');
+        sandbox.RTCPeerConnection = createPeerConnectionClass();
+    }
+
+    vm.createContext(sandbox);
+    for (const file of files) {
+        vm.runInContext(fs.readFileSync(path.join(ASSETS, file), 'utf8'), sandbox, { filename: file });
+    }
+
+    return sandbox;
+}
+
+// Evaluate an expression in a sandbox, e.g. a class declared with `class X` at the top level
+function evaluate(sandbox, expression) {
+    return vm.runInContext(expression, sandbox);
+}
+
+// werift signals a drained send buffer through bufferedAmountLow.subscribe(); the browser
+// modules expect onbufferedamountlow like RTCDataChannel has. werift also rejects
+// iceCandidatePoolSize, which browsers only take as a hint.
+function createPeerConnectionClass() {
+    const werift = require('werift');
+
+    return class extends werift.RTCPeerConnection {
+        constructor(config = {}) {
+            const { iceCandidatePoolSize, ...supported } = config;
+            super(supported);
+        }
+
+        createDataChannel(label, options) {
+            const channel = super.createDataChannel(label, options);
+            channel.bufferedAmountLow.subscribe(() => {
+                if (typeof channel.onbufferedamountlow === 'function') channel.onbufferedamountlow();
+            });
+            return channel;
+        }
+    };
+}
+
+module.exports = { loadBrowserScripts, evaluate };
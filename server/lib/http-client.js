@@ -0,0 +1,243 @@
+/*
+    HTTP speed test client for the command line, following the OpenSpeedTest engine
+    (assets/js/app-2.5.4.js) step by step so terminal and browser results compare:
+
+    - ping: pingSamples GET requests to the server's Upload URL; ping is the lowest sample,
+      jitter the mean of the smallest half of the differences between consecutive samples
+    - download/upload: `threads` parallel requests for `duration` seconds, sampled every
+      100 ms. The running totals are scaled down halfway through the averaging window (and
+      every 10 s after that) to forget the TCP ramp-up, and the result is the average of
+      the live samples over the last `final` seconds, times the overhead factor (clean)
+*/
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+
+const TICK = 100; // ms, the engine's sampling interval
+
+class HTTPClient {
+    constructor(options = {}) {
+        this.options = Object.assign({
+            server: 'http://localhost:8080',
+            pingSamples: 10,
+            pingTimeout: 5000,      // ms
+            jitterFinalSample: 0.5,
+            threads: 6,
+            duration: 12,           // seconds per download/upload phase
+            ulDataSize: 30,         // MB per upload request
+            overhead: 1.04,         // compensation factor, see --clean
+            impairment: ''          // profile or spec for the bridge's /downloading (lib/impairment.js)
+        }, options);
+
+        this.server = this.options.server.replace(/\/+$/, '');
+        this.downloadURL = `${this.server}/downloading`;
+        this.downloadQuery = this.options.impairment ? `&impair=${encodeURIComponent(this.options.impairment)}` : '';
+        this.uploadURL = `${this.server}/upload`;
+
+        // Callbacks
+        this.onProgress = null;
+    }
+
+    request(method, url, options = {}) {
+        const target = new URL(`${url}?n=${Math.random()}${options.query || ''}`);
+        const transport = target.protocol === 'https:' ? https : http;
+        return transport.request(target, Object.assign({ method: method, agent: options.agent }, options.request));
+    }
+
+    progress(phase, value, elapsed) {
+        if (typeof this.onProgress === 'function') this.onProgress(phase, value, elapsed);
+    }
+
+    pingOnce() {
+        return new Promise((resolve) => {
+            const startTime = performance.now();
+            const req = this.request('GET', this.uploadURL);
+
+            req.setTimeout(this.options.pingTimeout, () => req.destroy());
+            req.on('response', (res) => {
+                res.resume();
+                res.on('end', () => resolve(res.statusCode === 200 ? performance.now() - startTime : null));
+            });
+            req.on('error', () => resolve(null));
+            req.end();
+        });
+    }
+
+    async ping() {
+        const samples = [];
+        const jitters = [];
+
+        for (let i = 0; i < this.options.pingSamples; i++) {
+            const latency = await this.pingOnce();
+            if (latency === null) continue;
+
+            // The engine rounds to 0.1 ms and never reports 0
+            const sample = Math.max(parseFloat(latency.toFixed(1)), 0.1);
+            if (samples.length > 0) {
+                jitters.push(parseFloat(Math.abs(sample - samples[samples.length - 1]).toFixed(1)));
+            }
+            samples.push(sample);
+            this.progress('ping', sample, samples.length);
+        }
+
+        if (samples.length < 2) {
+            throw new Error(`Server ${this.server} did not answer enough pings`);
+        }
+
+        const lowest = jitters.sort((a, b) => a - b).slice(0, jitters.length * this.options.jitterFinalSample);
+        const jitter = lowest.length > 0 ? lowest.reduce((a, b) => a + b, 0) / lowest.length : 0;
+
+        return { ping: Math.min(...samples), jitter: parseFloat(jitter.toFixed(1)), samples: samples };
+    }
+
+    download() {
+        return this.measure('download', (state, agent) => {
+            const fetchNext = () => {
+                if (state.stopped) return;
+
+                const req = this.request('GET', this.downloadURL, { agent: agent, query: this.downloadQuery });
+                state.requests.add(req);
+                req.on('response', (res) => {
+                    res.on('data', (chunk) => state.loaded(chunk.length));
+                    res.on('end', () => {
+                        state.requests.delete(req);
+                        fetchNext();
+                    });
+                });
+                req.on('error', () => {
+                    state.requests.delete(req);
+                    if (!state.stopped) setTimeout(fetchNext, TICK);
+                });
+                req.end();
+            };
+            fetchNext();
+        });
+    }
+
+    upload() {
+        const chunk = crypto.randomBytes(1024 * 1024);
+        const size = this.options.ulDataSize * 1048576;
+
+        return this.measure('upload', (state, agent) => {
+            const sendNext = () => {
+                if (state.stopped) return;
+
+                const req = this.request('POST', this.uploadURL, {
+                    agent: agent,
+                    request: { headers: { 'Content-Type': 'application/octet-stream', 'Content-Length': size } }
+                });
+                state.requests.add(req);
+
+                // Bytes count once the socket has taken them, like XHR upload progress
+                let written = 0;
+                const write = () => {
+                    while (written < size && !state.stopped) {
+                        const piece = chunk.subarray(0, Math.min(chunk.length, size - written));
+                        written += piece.length;
+                        const more = req.write(piece, () => state.loaded(piece.length));
+                        if (!more) {
+                            req.once('drain', write);
+                            return;
+                        }
+                    }
+                    if (!state.stopped) req.end();
+                };
+
+                req.on('response', (res) => {
+                    res.resume();
+                    res.on('end', () => {
+                        state.requests.delete(req);
+                        sendNext();
+                    });
+                });
+                req.on('error', () => {
+                    state.requests.delete(req);
+                    if (!state.stopped) setTimeout(sendNext, TICK);
+                });
+                write();
+            };
+            sendNext();
+        });
+    }
+
+    // Runs `threads` copies of start(state, agent) and samples the bytes they report
+    measure(phase, start) {
+        const duration = this.options.duration;
+        const final = Math.min(duration * 0.6, 7);
+        // The engine forgets the ramp-up harder for downloads than for uploads
+        const forget = phase === 'download' ? 0.01 : 0.1;
+        const agent = new (this.server.startsWith('https:') ? https : http).Agent({ keepAlive: true, maxSockets: this.options.threads });
+
+        return new Promise((resolve) => {
+            let loaded = 0;
+            let firstByte = null;
+            const startTime = performance.now();
+            const state = {
+                stopped: false,
+                requests: new Set(),
+                loaded: (bytes) => {
+                    loaded += bytes;
+                    if (firstByte === null) firstByte = (performance.now() - startTime) / 1000;
+                }
+            };
+
+            let total = 0;
+            let totalTime = 0;
+            let lastLoaded = 0;
+            let lastTime = 0;
+            let forgotten = false;
+            let nextForget = 0;
+            const samples = [];
+            let speed = 0;
+
+            const timer = setInterval(() => {
+                if (firstByte === null) return;
+
+                // Time to the first byte does not count against the test, as in the engine
+                const elapsed = (performance.now() - startTime) / 1000;
+                const end = duration + firstByte;
+                const time = elapsed * 1000;
+
+                if (!forgotten && time > (firstByte + final / 2) * 1000) {
+                    forgotten = true;
+                    total *= forget;
+                    totalTime *= forget;
+                    nextForget = time + 10000;
+                }
+                if (forgotten && time >= nextForget && nextForget < end * 1000 - 6000) {
+                    nextForget += 10000;
+                    total *= forget;
+                    totalTime *= forget;
+                }
+
+                total += loaded - lastLoaded;
+                totalTime += time - lastTime;
+                lastLoaded = loaded;
+                lastTime = time;
+
+                const current = total > 0 ? total / totalTime / 125 * this.options.overhead : 0;
+                if (elapsed >= end - final && current > 0) {
+                    samples.push(current);
+                }
+                this.progress(phase, current, elapsed);
+
+                if (elapsed >= end) {
+                    state.stopped = true;
+                    clearInterval(timer);
+                    state.requests.forEach((req) => req.destroy());
+                    agent.destroy();
+
+                    speed = samples.length > 0 ? samples.reduce((a, b) => a + b, 0) / samples.length : 0;
+                    resolve({ speedMbps: speed, bytes: loaded, duration: elapsed });
+                }
+            }, TICK);
+
+            for (let i = 0; i < this.options.threads; i++) {
+                start(state, agent);
+            }
+        });
+    }
+}
+
+module.exports = HTTPClient;
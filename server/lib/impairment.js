@@ -0,0 +1,337 @@
+/*
+    Network impairment emulator, modelled on Linux netem
+
+    A profile describes one direction of a path:
+        delay      ms added to every packet
+        jitter     ms, each packet's delay varies uniformly by up to this much either way.
+                   As with netem, jitter larger than the packet spacing reorders packets
+        loss       % of packets dropped independently (Bernoulli)
+        gilbert    Gilbert-Elliott loss instead: { p, r, bad, good } in %. p is the chance of
+                   moving from the good to the bad state, r of moving back, bad and good the
+                   loss in each state (defaults 100 and 0). Gives bursts of loss
+        reorder    % of packets sent straight away, overtaking the delayed ones
+        duplicate  % of packets delivered twice
+        rate       Mbps bandwidth cap; packets queue behind each other at this rate
+        queue      ms of queue behind the cap before packets are tail dropped (default 200)
+
+    Profiles are named presets (PROFILES) or specs such as
+        delay:40,jitter:10,loss:2,reorder:5,duplicate:1,rate:20
+        delay:20,gilbert:2/30/100/0
+    parseProfile() turns either, or a profile object, into a normalized profile; 'none' and
+    empty specs give null, an unimpaired path.
+
+    An ImpairedLink applies a profile to packets going one way: send(size, deliver) calls
+    deliver once for every copy that makes it through, when it arrives. A reliable link
+    stands in for TCP: packets stay in order and a lost packet is delivered late, after a
+    retransmission timeout, instead of not at all.
+*/
+
+const PROFILES = {
+    'none': {},
+    'loss-1': { loss: 1 },
+    'loss-2': { loss: 2 },
+    'loss-5': { loss: 5 },
+    'bursty': { delay: 10, gilbert: { p: 1, r: 25 } },
+    'jittery': { delay: 20, jitter: 15 },
+    'wifi': { delay: 5, jitter: 4, loss: 0.5, duplicate: 0.1 },
+    'lte': { delay: 35, jitter: 10, loss: 0.5, reorder: 1, rate: 30 },
+    '3g': { delay: 100, jitter: 30, loss: 1.5, rate: 2 },
+    'satellite': { delay: 300, jitter: 5, loss: 0.5, rate: 10 },
+    'congested': { delay: 30, jitter: 20, gilbert: { p: 2, r: 30 }, rate: 5, queue: 400 }
+};
+
+// netem defaults: what a spec leaves out is not impaired
+const DEFAULTS = {
+    delay: 0,
+    jitter: 0,
+    loss: 0,
+    gilbert: null,
+    reorder: 0,
+    duplicate: 0,
+    rate: 0,
+    queue: 200
+};
+
+const KEYS = Object.keys(DEFAULTS);
+
+// Shortest retransmission timeout of a reliable link (RFC 6298 uses 1 s, Linux 200 ms)
+const MIN_RTO = 200;
+
+function parseProfile(spec) {
+    if (spec === undefined || spec === null || spec === '' || spec === 'none') {
+        return null;
+    }
+
+    let name = null;
+    let values;
+
+    if (typeof spec === 'string') {
+        const text = spec.trim().toLowerCase();
+        if (Object.prototype.hasOwnProperty.call(PROFILES, text)) {
+            name = text;
+            values = PROFILES[text];
+        } else {
+            values = parseSpec(text);
+        }
+    } else if (typeof spec === 'object') {
+        values = spec;
+    } else {
+        throw new TypeError(`Invalid impairment profile: ${spec}`);
+    }
+
+    const profile = Object.assign({}, DEFAULTS);
+    for (const key of KEYS) {
+        if (values[key] === undefined || values[key] === null) continue;
+        profile[key] = key === 'gilbert' ? parseGilbert(values[key]) : parseNumber(key, values[key]);
+    }
+
+    if (profile.loss > 100 || profile.reorder > 100 || profile.duplicate > 100) {
+        throw new TypeError('Impairment percentages must be between 0 and 100');
+    }
+
+    const impaired = profile.delay || profile.jitter || profile.loss || profile.gilbert ||
+        profile.reorder || profile.duplicate || profile.rate;
+    if (!impaired) return null;
+
+    // Specs and objects that match a preset go by its name
+    const text = describeProfile(profile);
+    profile.name = name || Object.keys(PROFILES).find((preset) => preset !== 'none' && describeProfile(parseProfile(preset)) === text) || text;
+    return profile;
+}
+
+// delay:40,jitter:10,gilbert:2/30
+function parseSpec(text) {
+    const values = {};
+
+    for (const item of text.split(',')) {
+        if (!item.trim()) continue;
+
+        const [key, value] = item.split(':').map((part) => part.trim());
+        if (!KEYS.includes(key) || value === undefined) {
+            throw new TypeError(`Unknown impairment "${item.trim()}"; use a profile (${Object.keys(PROFILES).join(', ')}) or key:value pairs of ${KEYS.join(', ')}`);
+        }
+
+        values[key] = key === 'gilbert' ? value.split('/') : value;
+    }
+
+    return values;
+}
+
+function parseGilbert(value) {
+    const parts = Array.isArray(value) ? value : [value.p, value.r, value.bad, value.good];
+    const gilbert = {
+        p: parseNumber('gilbert', parts[0]),
+        r: parseNumber('gilbert', parts[1]),
+        bad: parts[2] === undefined || parts[2] === '' ? 100 : parseNumber('gilbert', parts[2]),
+        good: parts[3] === undefined || parts[3] === '' ? 0 : parseNumber('gilbert', parts[3])
+    };
+
+    if (gilbert.r <= 0 || [gilbert.p, gilbert.r, gilbert.bad, gilbert.good].some((value) => value > 100)) {
+        throw new TypeError('Gilbert-Elliott needs p/r[/bad[/good]] in %, with r above 0');
+    }
+
+    return gilbert;
+}
+
+function parseNumber(key, value) {
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < 0) {
+        throw new TypeError(`Invalid impairment ${key}: ${value}`);
+    }
+    return number;
+}
+
+// The spec string of a profile, as accepted by parseProfile()
+function describeProfile(profile) {
+    if (!profile) return 'none';
+
+    return KEYS.filter((key) => key !== 'queue' || profile.rate)
+        .filter((key) => profile[key] && profile[key] !== DEFAULTS[key])
+        .map((key) => {
+            if (key !== 'gilbert') return `${key}:${profile[key]}`;
+            const { p, r, bad, good } = profile.gilbert;
+            return `gilbert:${p}/${r}/${bad}/${good}`;
+        })
+        .join(',');
+}
+
+// Long run loss of a profile in %, for server_info and logs
+function expectedLoss(profile) {
+    if (!profile) return 0;
+    if (!profile.gilbert) return profile.loss;
+
+    const { p, r, bad, good } = profile.gilbert;
+    return (p * bad + r * good) / (p + r);
+}
+
+// Presets for server_info, so clients can offer them
+function listProfiles() {
+    return Object.keys(PROFILES).map((name) => ({
+        name: name,
+        spec: describeProfile(parseProfile(name)),
+        loss: expectedLoss(parseProfile(name))
+    }));
+}
+
+class ImpairedLink {
+    constructor(profile, options = {}) {
+        this.profile = profile || null;
+        this.reliable = Boolean(options.reliable);
+        this.random = options.random || Math.random;
+
+        this.pending = [];
+        this.timer = null;
+        this.timerAt = 0;
+        this.queueFree = 0;       // when the bandwidth cap has sent everything accepted so far
+        this.lastDelivery = 0;    // reliable links keep their order
+        this.badState = false;
+        this.queuedBytes = 0;
+        this.closed = false;
+
+        this.stats = {
+            packets: 0,
+            delivered: 0,
+            lost: 0,
+            tailDropped: 0,
+            reordered: 0,
+            duplicated: 0
+        };
+    }
+
+    // Whether the bandwidth cap's queue is already as long as the profile allows
+    isFull() {
+        const profile = this.profile;
+        return Boolean(profile && profile.rate) && this.queueFree - performance.now() > profile.queue;
+    }
+
+    // Returns false when the packet was dropped (lost or tail dropped)
+    send(size, deliver) {
+        this.stats.packets++;
+
+        const profile = this.profile;
+        if (!profile) {
+            this.stats.delivered++;
+            deliver();
+            return true;
+        }
+
+        if (this.closed) return false;
+
+        const time = performance.now();
+        let sendTime = time;
+
+        // Bandwidth cap: serialize behind what is already queued, drop what does not fit
+        if (profile.rate) {
+            // A reliable sender waits instead; callers hold back while isFull()
+            if (!this.reliable && this.queueFree - time > profile.queue) {
+                this.stats.tailDropped++;
+                return false;
+            }
+            this.queueFree = Math.max(this.queueFree, time) + size * 8 / (profile.rate * 1000);
+            sendTime = this.queueFree;
+        }
+
+        let arrival = sendTime + this.nextDelay();
+        const lost = this.isLost();
+
+        if (lost && !this.reliable) {
+            this.stats.lost++;
+            return false;
+        }
+
+        if (this.reliable) {
+            // A lost segment arrives once the sender has timed out and sent it again
+            if (lost) {
+                this.stats.lost++;
+                arrival += Math.max(MIN_RTO, 2 * profile.delay);
+            }
+            arrival = Math.max(arrival, this.lastDelivery);
+            this.lastDelivery = arrival;
+        } else if (profile.reorder && this.random() * 100 < profile.reorder) {
+            this.stats.reordered++;
+            arrival = sendTime;
+        }
+
+        this.schedule(arrival, size, deliver);
+
+        if (!this.reliable && profile.duplicate && this.random() * 100 < profile.duplicate) {
+            this.stats.duplicated++;
+            this.schedule(arrival, size, deliver);
+        }
+
+        return true;
+    }
+
+    nextDelay() {
+        const { delay, jitter } = this.profile;
+        if (!jitter) return delay;
+        return Math.max(0, delay + (this.random() * 2 - 1) * jitter);
+    }
+
+    isLost() {
+        const { loss, gilbert } = this.profile;
+
+        if (gilbert) {
+            this.badState = this.badState
+                ? this.random() * 100 >= gilbert.r
+                : this.random() * 100 < gilbert.p;
+            return this.random() * 100 < (this.badState ? gilbert.bad : gilbert.good);
+        }
+
+        return loss > 0 && this.random() * 100 < loss;
+    }
+
+    // Pending deliveries stay sorted by arrival; most packets go on the end
+    schedule(arrival, size, deliver) {
+        const entry = { arrival, size, deliver };
+        let index = this.pending.length;
+        while (index > 0 && this.pending[index - 1].arrival > arrival) index--;
+        this.pending.splice(index, 0, entry);
+        this.queuedBytes += size;
+
+        if (!this.timer || arrival < this.timerAt) {
+            this.arm();
+        }
+    }
+
+    arm() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (this.pending.length === 0) return;
+
+        this.timerAt = this.pending[0].arrival;
+        this.timer = setTimeout(() => this.flush(), Math.max(0, this.timerAt - performance.now()));
+    }
+
+    flush() {
+        this.timer = null;
+        const time = performance.now();
+
+        while (!this.closed && this.pending.length > 0 && this.pending[0].arrival <= time + 0.5) {
+            const entry = this.pending.shift();
+            this.queuedBytes -= entry.size;
+            this.stats.delivered++;
+            entry.deliver();
+        }
+
+        if (!this.closed) this.arm();
+    }
+
+    // Drops whatever is still on the way
+    close() {
+        this.closed = true;
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.pending = [];
+        this.queuedBytes = 0;
+    }
+}
+
+module.exports = {
+    PROFILES,
+    ImpairedLink,
+    parseProfile,
+    describeProfile,
+    expectedLoss,
+    listProfiles
+};
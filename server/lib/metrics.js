@@ -0,0 +1,144 @@
+/*
+    Prometheus metrics for results posted by browsers (POST /results), served as
+    text exposition format on GET /metrics
+
+        speedtest_tests_total{protocol,server}
+        speedtest_download_mbps / speedtest_upload_mbps{protocol,server}     histograms
+        speedtest_ping_ms / speedtest_jitter_ms{protocol,server}             histograms
+        speedtest_packet_loss_percent{protocol,server,direction}             histogram
+*/
+
+const HISTOGRAMS = {
+    download: {
+        name: 'speedtest_download_mbps',
+        help: 'Download speed reported by browser tests (Mbps)',
+        buckets: [1, 5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000]
+    },
+    upload: {
+        name: 'speedtest_upload_mbps',
+        help: 'Upload speed reported by browser tests (Mbps)',
+        buckets: [1, 5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000]
+    },
+    ping: {
+        name: 'speedtest_ping_ms',
+        help: 'Idle latency reported by browser tests (ms)',
+        buckets: [1, 2, 5, 10, 20, 50, 100, 200, 500, 1000]
+    },
+    jitter: {
+        name: 'speedtest_jitter_ms',
+        help: 'Jitter reported by browser tests (ms)',
+        buckets: [0.5, 1, 2, 5, 10, 20, 50, 100, 200]
+    },
+    loss: {
+        name: 'speedtest_packet_loss_percent',
+        help: 'Packet loss reported by UDP and WebRTC tests (%)',
+        buckets: [0, 0.1, 0.5, 1, 2, 5, 10, 25, 50, 100]
+    }
+};
+
+const PROTOCOLS = ['http', 'udp', 'webrtc'];
+const MAX_LABEL_LENGTH = 64;
+
+class ResultMetrics {
+    constructor(options = {}) {
+        // Server names come from the browser, so cap how many label sets a client can create
+        this.maxServers = options.maxServers || 50;
+        this.servers = new Set();
+        this.tests = new Map();
+        this.histograms = new Map();
+    }
+
+    observe(result) {
+        const protocol = PROTOCOLS.includes(result.protocol) ? result.protocol : 'other';
+        const labels = { protocol: protocol, server: this.serverLabel(result.server) };
+        const key = labelKey(labels);
+
+        this.tests.set(key, (this.tests.get(key) || 0) + 1);
+
+        ['download', 'upload', 'ping', 'jitter'].forEach((metric) => {
+            if (typeof result[metric] === 'number') {
+                this.record(metric, labels, result[metric]);
+            }
+        });
+
+        const loss = result.loss || {};
+        ['download', 'upload'].forEach((direction) => {
+            if (typeof loss[direction] === 'number') {
+                this.record('loss', Object.assign({}, labels, { direction: direction }), loss[direction]);
+            }
+        });
+    }
+
+    serverLabel(server) {
+        const name = typeof server === 'string' && server ? server.slice(0, MAX_LABEL_LENGTH) : 'unknown';
+        if (this.servers.has(name)) return name;
+        if (this.servers.size >= this.maxServers) return 'other';
+
+        this.servers.add(name);
+        return name;
+    }
+
+    record(metric, labels, value) {
+        const definition = HISTOGRAMS[metric];
+        const key = metric + labelKey(labels);
+        let histogram = this.histograms.get(key);
+
+        if (!histogram) {
+            histogram = {
+                metric: metric,
+                labels: labels,
+                counts: new Array(definition.buckets.length).fill(0),
+                sum: 0,
+                count: 0
+            };
+            this.histograms.set(key, histogram);
+        }
+
+        definition.buckets.forEach((bound, index) => {
+            if (value <= bound) histogram.counts[index]++;
+        });
+        histogram.sum += value;
+        histogram.count++;
+    }
+
+    render() {
+        const lines = [
+            '# HELP speedtest_tests_total Completed browser tests posted to the server',
+            '# TYPE speedtest_tests_total counter'
+        ];
+
+        for (const [key, count] of this.tests) {
+            lines.push(`speedtest_tests_total${key} ${count}`);
+        }
+
+        for (const [metric, definition] of Object.entries(HISTOGRAMS)) {
+            lines.push(`# HELP ${definition.name} ${definition.help}`);
+            lines.push(`# TYPE ${definition.name} histogram`);
+
+            for (const histogram of this.histograms.values()) {
+                if (histogram.metric !== metric) continue;
+
+                definition.buckets.forEach((bound, index) => {
+                    const labels = labelKey(Object.assign({}, histogram.labels, { le: String(bound) }));
+                    lines.push(`${definition.name}_bucket${labels} ${histogram.counts[index]}`);
+                });
+                lines.push(`${definition.name}_bucket${labelKey(Object.assign({}, histogram.labels, { le: '+Inf' }))} ${histogram.count}`);
+                lines.push(`${definition.name}_sum${labelKey(histogram.labels)} ${histogram.sum}`);
+                lines.push(`${definition.name}_count${labelKey(histogram.labels)} ${histogram.count}`);
+            }
+        }
+
+        return lines.join('\n') + '\n';
+    }
+}
+
+// {protocol="udp",server="Home"}, with label values escaped as the exposition format requires
+function labelKey(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) => {
+        const escaped = String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+        return `${name}="${escaped}"`;
+    });
+    return `{${pairs.join(',')}}`;
+}
+
+module.exports = ResultMetrics;
@@ -0,0 +1,93 @@
+/*
+    Datagram format shared by the UDP server and the HTTP-UDP bridge
+
+    Every datagram starts with a 20 byte header followed by an optional payload:
+        u8  type       - one of PacketType
+        u8  flags      - reserved, 0
+        u16 reserved
+        u32 session    - test session chosen by the bridge
+        u32 seq        - per-session sequence number (or a count, see below)
+        f64 timestamp  - sender clock in milliseconds
+*/
+
+const HEADER_SIZE = 20;
+
+// Largest UDP payload over IPv4
+const MAX_DATAGRAM_SIZE = 65507;
+
+const PacketType = {
+    PING: 1,                // payload: optional JSON { impairment }
+    PONG: 2,
+    DOWNLOAD_REQUEST: 3,    // payload: JSON { duration, packetSize, rate, impairment, cookie }
+    DATA: 4,
+    DOWNLOAD_COMPLETE: 5,   // seq: number of DATA packets sent
+    UPLOAD_DATA: 6,
+    UPLOAD_STATS_REQUEST: 7,
+    UPLOAD_STATS: 8,        // payload: JSON { packetsReceived, bytesReceived, duration, jitter }
+    SET_IMPAIRMENT: 9,      // payload: JSON { impairment } for the session's uploads (lib/impairment.js)
+    DOWNLOAD_COOKIE: 10     // payload: 16 byte cookie, repeat DOWNLOAD_REQUEST with { cookie: hex }
+};
+
+// Wall clock with sub-millisecond resolution
+function now() {
+    return performance.timeOrigin + performance.now();
+}
+
+function encode(type, session, seq, timestamp, payload) {
+    const body = payload ? toBuffer(payload) : null;
+    const packet = Buffer.allocUnsafe(HEADER_SIZE + (body ? body.length : 0));
+
+    packet.writeUInt8(type, 0);
+    packet.writeUInt8(0, 1);
+    packet.writeUInt16BE(0, 2);
+    packet.writeUInt32BE(session >>> 0, 4);
+    packet.writeUInt32BE(seq >>> 0, 8);
+    packet.writeDoubleBE(timestamp || 0, 12);
+
+    if (body) {
+        body.copy(packet, HEADER_SIZE);
+    }
+
+    return packet;
+}
+
+function decode(buffer) {
+    if (!buffer || buffer.length < HEADER_SIZE) {
+        return null;
+    }
+
+    return {
+        type: buffer.readUInt8(0),
+        session: buffer.readUInt32BE(4),
+        seq: buffer.readUInt32BE(8),
+        timestamp: buffer.readDoubleBE(12),
+        payload: buffer.subarray(HEADER_SIZE),
+        size: buffer.length
+    };
+}
+
+// Payload as an object; {} for anything else, so callers can read fields of any datagram
+function decodeJSON(payload) {
+    try {
+        const value = JSON.parse(payload.toString('utf8'));
+        return value !== null && typeof value === 'object' && !Array.isArray(value) ? value : {};
+    } catch (error) {
+        return {};
+    }
+}
+
+function toBuffer(payload) {
+    if (Buffer.isBuffer(payload)) return payload;
+    if (typeof payload === 'string') return Buffer.from(payload, 'utf8');
+    return Buffer.from(JSON.stringify(payload), 'utf8');
+}
+
+module.exports = {
+    HEADER_SIZE,
+    MAX_DATAGRAM_SIZE,
+    PacketType,
+    now,
+    encode,
+    decode,
+    decodeJSON
+};
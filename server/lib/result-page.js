@@ -0,0 +1,57 @@
+/*
+    HTML page for a result saved in the self-hosted result sink (GET /results/<id>)
+*/
+
+function escapeHTML(text) {
+    return String(text).replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+function format(value, digits, unit) {
+    return typeof value === 'number' ? `${value.toFixed(digits)} ${unit}` : 'N/A';
+}
+
+// UTC date and time, or null for a time a Date cannot hold
+function formatDate(time) {
+    const date = new Date(time);
+    return time && !Number.isNaN(date.getTime()) ? date.toISOString().replace('T', ' ').slice(0, 19) + ' UTC' : null;
+}
+
+function renderResultPage(entry) {
+    const result = entry.result;
+    // Entries stored before timestamps were range checked can still hold one out of range
+    const date = formatDate(result.timestamp) || formatDate(entry.savedAt) || 'N/A';
+    const loaded = result.loadedLatency;
+    const megabytes = (bytes) => (bytes / 1048576).toFixed(1) + ' MB';
+
+    const rows = [
+        ['Download', format(result.download, 2, 'Mbps')],
+        ['Upload', format(result.upload, 2, 'Mbps')],
+        ['Ping', format(result.ping, 1, 'ms')],
+        ['Jitter', format(result.jitter, 2, 'ms')],
+        ['Bufferbloat', loaded && loaded.grade ? `${loaded.grade} (+${loaded.delta} ms under load)` : 'N/A'],
+        ['Protocol', (result.protocol || 'http').toUpperCase()],
+        ['Server', result.server || 'N/A'],
+        ['Data used', `${megabytes(result.dataUsed.download)} down, ${megabytes(result.dataUsed.upload)} up`],
+        ['Tested', date],
+        ['Browser', result.userAgent || 'N/A']
+    ];
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>Speed Test Result ${escapeHTML(entry.id)}</title>
+</head>
+<body style="font-family: sans-serif; max-width: 560px; margin: 40px auto; padding: 0 15px; color: #333;">
+  <h1 style="font-size: 20px;">Speed Test Result</h1>
+  <table style="width: 100%; font-size: 14px; border-collapse: collapse;">
+${rows.map(([label, value]) => `    <tr><th style="text-align: left; padding: 6px; border: 1px solid #ddd; background: #f5f5f5;">${label}</th><td style="padding: 6px; border: 1px solid #ddd;">${escapeHTML(value)}</td></tr>`).join('\n')}
+  </table>
+  <p style="font-size: 12px; color: #666;">Result ID ${escapeHTML(entry.id)} &middot; <a href="${escapeHTML(entry.id)}.json">JSON</a> &middot; <a href="/">Run a new test</a></p>
+</body>
+</html>
+`;
+}
+
+module.exports = { renderResultPage };
@@ -0,0 +1,148 @@
+/*
+    Result storage for the self-hosted result sink: one JSON object per line in an
+    append-only file, indexed in memory by ID
+
+        { "id": "3f9c0a1b2c4d", "savedAt": 1760000000000, "result": { ...as posted... } }
+*/
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Numeric fields kept from a posted result; anything else is dropped. Measurements must be
+// finite and at least 0, or the result is refused
+const MEASUREMENT_FIELDS = ['ping', 'jitter', 'download', 'upload'];
+const TEXT_FIELDS = ['protocol', 'server', 'userAgent'];
+const MAX_TEXT_LENGTH = 512;
+
+// Latest time a JavaScript Date can hold (ms); later timestamps cannot be shown
+const MAX_TIMESTAMP = 8.64e15;
+const GRADES = ['A+', 'A', 'B', 'C', 'D', 'F'];
+
+class ResultStore {
+    constructor(file) {
+        this.file = file;
+        this.results = new Map();
+    }
+
+    async open() {
+        await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+
+        let text = '';
+        try {
+            text = await fs.promises.readFile(this.file, 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        for (const line of text.split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                const entry = JSON.parse(line);
+                this.results.set(entry.id, entry);
+            } catch (error) {
+                // A torn last line after a crash; the rest of the file is still good
+                console.warn(`Skipping unreadable line in ${this.file}`);
+            }
+        }
+    }
+
+    async add(result) {
+        const entry = {
+            id: crypto.randomBytes(6).toString('hex'),
+            savedAt: Date.now(),
+            result: sanitize(result)
+        };
+
+        await fs.promises.appendFile(this.file, JSON.stringify(entry) + '\n');
+        this.results.set(entry.id, entry);
+        return entry;
+    }
+
+    get(id) {
+        return this.results.get(id) || null;
+    }
+}
+
+ResultStore.sanitize = sanitize;
+
+// Keep the fields the result page and exports know about, with the right types
+function sanitize(result) {
+    if (!result || typeof result !== 'object' || Array.isArray(result)) {
+        throw new TypeError('Result must be a JSON object');
+    }
+
+    const clean = {};
+
+    for (const key of MEASUREMENT_FIELDS) {
+        clean[key] = measurement(result[key], key);
+    }
+    clean.timestamp = number(result.timestamp);
+    if (clean.timestamp !== null && (clean.timestamp < 0 || clean.timestamp > MAX_TIMESTAMP)) {
+        clean.timestamp = null;
+    }
+
+    for (const key of TEXT_FIELDS) {
+        clean[key] = typeof result[key] === 'string' ? result[key].slice(0, MAX_TEXT_LENGTH) : null;
+    }
+
+    const dataUsed = result.dataUsed || {};
+    clean.dataUsed = {
+        download: measurement(dataUsed.download, 'dataUsed.download') || 0,
+        upload: measurement(dataUsed.upload, 'dataUsed.upload') || 0
+    };
+
+    const loss = result.loss || {};
+    const percent = (value) => value !== null && value !== undefined && Number.isFinite(Number(value))
+        ? Math.min(Math.max(Number(value), 0), 100)
+        : null;
+    clean.loss = {
+        download: percent(loss.download),
+        upload: percent(loss.upload)
+    };
+
+    if (result.loadedLatency && typeof result.loadedLatency === 'object') {
+        const loaded = result.loadedLatency;
+        clean.loadedLatency = {
+            idle: number(loaded.idle),
+            download: latencySummary(loaded.download),
+            upload: latencySummary(loaded.upload),
+            delta: number(loaded.delta),
+            grade: GRADES.includes(loaded.grade) ? loaded.grade : null
+        };
+    }
+
+    if (clean.download === null && clean.upload === null && clean.ping === null) {
+        throw new TypeError('Result has no ping, download or upload');
+    }
+
+    return clean;
+}
+
+function number(value) {
+    return value !== null && value !== undefined && Number.isFinite(Number(value)) ? Number(value) : null;
+}
+
+// A missing measurement is null; one that is not a finite number of at least 0 is refused
+function measurement(value, name) {
+    if (value === null || value === undefined) return null;
+
+    const result = number(value);
+    if (result === null || result < 0) {
+        throw new TypeError(`${name} must be a finite number of at least 0`);
+    }
+    return result;
+}
+
+// The engine's { samples, median, max } for one phase of the latency under load probe
+function latencySummary(summary) {
+    if (!summary || typeof summary !== 'object') return null;
+
+    return {
+        samples: number(summary.samples),
+        median: number(summary.median),
+        max: number(summary.max)
+    };
+}
+
+module.exports = ResultStore;
@@ -0,0 +1,126 @@
+/*
+    The server list served on GET /servers.json: index.html's openSpeedTestServerList
+    entries, so the HTTP engine can use the reply as is, with the endpoints of the other
+    protocols (assets/js/server-selector.js) and what each server supports:
+
+        {
+            "ServerName": "Home", "ServerIcon": "DefaultIcon",
+            "Download": "http://host:8080/downloading", "Upload": "http://host:8080/upload",
+            "UDPBridge": "http://host:8080", "UDPControl": "ws://host:9002", "Signaling": "ws://host:8081",
+            "Protocols": {
+                "http":   { "port": 8080 },
+                "udp":    { "port": 9001, "controlPort": 9002, "bridgePort": 8080, "maxPacketSize": 1472 },
+                "webrtc": { "port": 8081, "maxPacketSize": 65536 }
+            }
+        }
+
+    Without a --servers file the bridge describes itself, with URLs on the host name the
+    browser used to reach it.
+*/
+
+const fs = require('fs');
+
+const PROTOCOLS = ['http', 'udp', 'webrtc'];
+
+// Largest DataChannel message the server-side peer sends (lib/speed-test-peer.js)
+const WEBRTC_MAX_PACKET_SIZE = 64 * 1024;
+
+// Entry keys each protocol needs, as in assets/js/server-selector.js
+const ENDPOINT_KEYS = {
+    http: ['Download', 'Upload'],
+    udp: ['UDPBridge', 'UDPControl'],
+    webrtc: ['Signaling']
+};
+
+// 'http,webrtc' or an array -> the known protocols in that list
+function parseProtocols(value) {
+    const names = Array.isArray(value) ? value : String(value || '').split(',');
+    const protocols = names.map(name => String(name).trim().toLowerCase()).filter(Boolean);
+
+    protocols.forEach((name) => {
+        if (!PROTOCOLS.includes(name)) {
+            throw new TypeError(`Unknown protocol "${name}", expected ${PROTOCOLS.join(', ')}`);
+        }
+    });
+    return PROTOCOLS.filter(name => protocols.includes(name));
+}
+
+// host[:port] from the Host header, or localhost on the bridge's port when it is
+// missing or anything more than a host and port
+function requestHost(req, port) {
+    try {
+        const url = new URL(`http://${req.headers.host}`);
+        if (req.headers.host && url.pathname === '/' && !url.username && !url.password && !url.search && !url.hash) {
+            return url;
+        }
+    } catch (error) {
+        // Not a host name, use the fallback
+    }
+    return new URL(`http://localhost:${port}`);
+}
+
+// The bridge's own entry. options are the bridge's; req is the request for /servers.json
+function describeServer(options, req) {
+    const forwarded = String(req.headers['x-forwarded-proto'] || '').split(',')[0].trim();
+    const secure = forwarded === 'https' || Boolean(req.socket.encrypted);
+    const { host, hostname } = requestHost(req, options.httpPort);
+    const base = `${secure ? 'https' : 'http'}://${host}`;
+    const ws = secure ? 'wss' : 'ws';
+
+    const entry = {
+        ServerName: options.serverName,
+        ServerIcon: options.serverIcon,
+        Download: `${base}/downloading`,
+        Upload: `${base}/upload`,
+        Protocols: {}
+    };
+
+    parseProtocols(options.protocols).forEach((protocol) => {
+        switch (protocol) {
+            case 'http':
+                entry.Protocols.http = { port: options.httpPort };
+                break;
+            case 'udp':
+                entry.UDPBridge = base;
+                entry.UDPControl = `${ws}://${hostname}:${options.wsPort}`;
+                entry.Protocols.udp = {
+                    port: options.udpPort,
+                    controlPort: options.wsPort,
+                    bridgePort: options.httpPort,
+                    maxPacketSize: options.maxUploadPacket
+                };
+                break;
+            case 'webrtc':
+                entry.Signaling = `${ws}://${hostname}:${options.signalingPort}`;
+                entry.Protocols.webrtc = { port: options.signalingPort, maxPacketSize: WEBRTC_MAX_PACKET_SIZE };
+                break;
+        }
+    });
+
+    return entry;
+}
+
+// A --servers file: a JSON array of entries in the format above, served as it is. Entries
+// without Protocols get one from the endpoints they list
+async function loadServerList(file) {
+    const list = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+
+    if (!Array.isArray(list) || list.length === 0) {
+        throw new TypeError(`${file} must hold a non-empty array of servers`);
+    }
+
+    return list.map((entry, index) => {
+        if (!entry || typeof entry !== 'object' || !entry.Download || !entry.Upload) {
+            throw new TypeError(`Server ${index + 1} in ${file} needs Download and Upload URLs`);
+        }
+        if (entry.Protocols) return entry;
+
+        const protocols = {};
+        PROTOCOLS.forEach((protocol) => {
+            if (ENDPOINT_KEYS[protocol].every(key => entry[key])) protocols[protocol] = {};
+        });
+        return Object.assign({}, entry, { Protocols: protocols });
+    });
+}
+
+module.exports = { PROTOCOLS, parseProtocols, describeServer, loadServerList };
@@ -0,0 +1,378 @@
+/*
+    Headless WebRTC peer that terminates the speed test DataChannel on the server
+
+    Answers the requests sent by assets/js/webrtc-speed-test.js over the channel:
+        { type: 'ping', timestamp }                 -> { type: 'pong', timestamp }
+        { type: 'download_test', duration, packetSize, bitrate }
+                                                    -> binary packets for `duration` ms, each starting with a
+                                                       lib/packet.js DATA header (seq, send time), paced to
+                                                       `bitrate` bps when given, then { type: 'download_complete', packetsSent }
+        binary messages                             -> counted as upload traffic (UPLOAD_DATA headers add loss and jitter),
+                                                       acknowledged with { type: 'upload_ack', bytesReceived, packetsReceived, ... }
+        { type: 'upload_done' }                     -> final upload_ack right away
+
+    An impairment profile (lib/impairment.js) puts an impaired link in each direction.
+    Binary messages, pings and pongs pass through them; the other requests and replies
+    stand in for a reliable control path, but completion messages wait for the packets
+    still on the link so they do not overtake them.
+
+    Events: 'ice-candidate', 'download-complete', 'upload-complete', 'close'
+*/
+
+const EventEmitter = require('events');
+const { RTCPeerConnection } = require('werift');
+const { HEADER_SIZE, PacketType, now, encode, decode } = require('./packet');
+const { ImpairedLink, parseProfile } = require('./impairment');
+
+// Keep this much queued in the SCTP send buffer while streaming a download
+const HIGH_WATER_MARK = 1024 * 1024;
+const MAX_PACKET_SIZE = 64 * 1024;
+// Running upload totals are sent back this often so the client can measure delivered bytes
+const ACK_INTERVAL = 250;
+
+class SpeedTestPeer extends EventEmitter {
+    constructor(options = {}) {
+        super();
+
+        this.options = Object.assign({
+            iceServers: [],
+            maxDuration: 60000,
+            maxRate: 1000,           // Mbps, upper bound for paced downloads
+            impairment: null         // profile or spec applied in both directions
+        }, options);
+
+        this.channel = null;
+        this.download = null;
+        this.upload = null;
+        this.setImpairment(this.options.impairment);
+
+        this.pc = new RTCPeerConnection({ iceServers: this.options.iceServers });
+
+        this.pc.onIceCandidate.subscribe((candidate) => {
+            if (candidate) {
+                this.emit('ice-candidate', candidate.toJSON());
+            }
+        });
+
+        this.pc.onDataChannel.subscribe((channel) => this.setupDataChannel(channel));
+
+        this.pc.connectionStateChange.subscribe((state) => {
+            if (state === 'failed' || state === 'closed') {
+                this.close();
+            }
+        });
+    }
+
+    // Packets already on the old links still arrive; throws a TypeError for a bad spec
+    setImpairment(spec) {
+        const profile = parseProfile(spec);
+        this.links = {
+            up: new ImpairedLink(profile),
+            down: new ImpairedLink(profile)
+        };
+        return profile;
+    }
+
+    // Calls back once everything on the link has arrived
+    afterLink(link, callback) {
+        if (link.queuedBytes === 0) {
+            callback();
+            return;
+        }
+        setTimeout(() => this.afterLink(link, callback), 5);
+    }
+
+    async handleOffer(offer) {
+        await this.pc.setRemoteDescription(offer);
+        const answer = await this.pc.createAnswer();
+        await this.pc.setLocalDescription(answer);
+
+        const description = this.pc.localDescription;
+        return { type: description.type, sdp: description.sdp };
+    }
+
+    async addIceCandidate(candidate) {
+        if (!candidate || !candidate.candidate) return;
+        await this.pc.addIceCandidate(candidate);
+    }
+
+    setupDataChannel(channel) {
+        this.channel = channel;
+
+        channel.onMessage.subscribe((data) => {
+            if (typeof data === 'string') {
+                this.handleControl(data);
+            } else {
+                this.links.up.send(data.length, () => this.recordUpload(data.length, decode(data)));
+            }
+        });
+
+        channel.stateChanged.subscribe((state) => {
+            if (state === 'closed') {
+                this.stopDownload();
+            }
+        });
+    }
+
+    handleControl(text) {
+        let message = null;
+        try {
+            message = JSON.parse(text);
+        } catch (error) {
+            // Not a request, handled below
+        }
+
+        // Text that is not a request (any JSON but an object) still counts as upload traffic
+        if (message === null || typeof message !== 'object') {
+            const bytes = Buffer.byteLength(text);
+            this.links.up.send(bytes, () => this.recordUpload(bytes));
+            return;
+        }
+
+        switch (message.type) {
+            case 'ping': {
+                const pong = JSON.stringify({ type: 'pong', timestamp: message.timestamp });
+                const { up, down } = this.links;
+                up.send(Buffer.byteLength(text), () => {
+                    down.send(pong.length, () => this.sendText(pong));
+                });
+                break;
+            }
+            case 'download_test':
+                this.startDownload(message.duration, message.packetSize, message.bitrate);
+                break;
+            case 'upload_done':
+                this.afterLink(this.links.up, () => {
+                    if (this.upload) this.sendUploadAck(this.upload);
+                });
+                break;
+        }
+    }
+
+    sendText(message) {
+        if (this.channel && this.channel.readyState === 'open') {
+            this.channel.send(typeof message === 'string' ? message : JSON.stringify(message));
+        }
+    }
+
+    // --- Download: stream packets as fast as the SCTP buffer drains, or at a constant bitrate ---
+
+    startDownload(duration, packetSize, bitrate) {
+        if (this.download) return;
+
+        duration = clamp(duration, 100, this.options.maxDuration, 10000);
+        packetSize = clamp(packetSize, HEADER_SIZE, MAX_PACKET_SIZE, 16 * 1024);
+        const rateMbps = clamp(bitrate / 1000000, 0.001, this.options.maxRate, 0);
+
+        const payload = Buffer.alloc(packetSize - HEADER_SIZE, 0x55);
+        const download = {
+            startTime: Date.now(),
+            packetsSent: 0,
+            bytesSent: 0,
+            timer: null
+        };
+        this.download = download;
+
+        this.channel.bufferedAmountLowThreshold = HIGH_WATER_MARK / 2;
+
+        const send = () => {
+            // Stamped when queued: time spent in the send buffer shows up as delay
+            const packet = encode(PacketType.DATA, 0, download.packetsSent, now(), payload);
+            this.links.down.send(packet.length, () => {
+                if (this.channel.readyState === 'open') this.channel.send(packet);
+            });
+            download.packetsSent++;
+            download.bytesSent += packet.length;
+        };
+
+        // Packets held by an impaired link count against the send buffer
+        const canSend = () => {
+            const link = this.links.down;
+            return this.channel.readyState === 'open' && !link.isFull() &&
+                this.channel.bufferedAmount + link.queuedBytes < HIGH_WATER_MARK;
+        };
+
+        const pump = () => {
+            if (this.download !== download) return;
+
+            while (canSend()) {
+                send();
+            }
+        };
+
+        download.timer = setTimeout(() => this.finishDownload(), duration);
+
+        if (rateMbps > 0) {
+            // Pace packets against the elapsed time so the average rate matches rateMbps
+            const bytesPerMs = rateMbps * 1000000 / 8 / 1000;
+            download.paceTimer = setInterval(() => {
+                const due = Math.floor((Date.now() - download.startTime) * bytesPerMs / packetSize) - download.packetsSent;
+                for (let i = 0; i < due && canSend(); i++) {
+                    send();
+                }
+            }, 2);
+        } else {
+            download.onLow = this.channel.bufferedAmountLow.subscribe(pump);
+            // The send buffer does not see the impaired link drain, so poll while it holds packets
+            download.pumpTimer = setInterval(() => {
+                if (this.links.down.queuedBytes > 0) pump();
+            }, 2);
+            pump();
+        }
+    }
+
+    finishDownload() {
+        const download = this.download;
+        if (!download) return;
+
+        this.stopDownload();
+        this.afterLink(this.links.down, () => {
+            this.sendText({ type: 'download_complete', packetsSent: download.packetsSent });
+        });
+
+        this.emit('download-complete', {
+            duration: Date.now() - download.startTime,
+            packetsSent: download.packetsSent,
+            bytesSent: download.bytesSent
+        });
+    }
+
+    stopDownload() {
+        if (!this.download) return;
+
+        clearTimeout(this.download.timer);
+        clearInterval(this.download.paceTimer);
+        clearInterval(this.download.pumpTimer);
+        if (this.download.onLow) this.download.onLow.unSubscribe();
+        this.download = null;
+    }
+
+    // --- Upload: count what actually arrives ---
+
+    startUpload(duration) {
+        duration = clamp(duration, 100, this.options.maxDuration, 10000);
+
+        if (!this.upload || this.upload.timer) {
+            if (this.upload) {
+                clearTimeout(this.upload.timer);
+                clearInterval(this.upload.ackTimer);
+            }
+            this.upload = createUploadStats();
+        }
+
+        this.upload.timer = setTimeout(() => this.finishUpload(), duration);
+    }
+
+    recordUpload(bytes, packet) {
+        // A new upload counts from 0 again; its first packets can arrive here before its
+        // start-speed-test, which comes over the signaling socket, and belong to it
+        const restarted = this.upload && this.upload.finished && packet &&
+            packet.type === PacketType.UPLOAD_DATA && packet.seq < this.upload.highestSeq / 2;
+        if (!this.upload || restarted) {
+            this.upload = createUploadStats();
+        }
+
+        const upload = this.upload;
+        const time = Date.now();
+        if (!upload.firstPacket) upload.firstPacket = time;
+        upload.lastPacket = time;
+        upload.packetsReceived++;
+        upload.bytesReceived += bytes;
+
+        // Sequenced packets from the client: RFC 3550 interarrival jitter on the upload path
+        if (packet && packet.type === PacketType.UPLOAD_DATA) {
+            const transit = now() - packet.timestamp;
+            if (upload.lastTransit !== null) {
+                upload.jitter += (Math.abs(transit - upload.lastTransit) - upload.jitter) / 16;
+            }
+            upload.lastTransit = transit;
+            upload.highestSeq = Math.max(upload.highestSeq, packet.seq);
+        }
+
+        if (!upload.ackTimer) {
+            upload.ackTimer = setInterval(() => {
+                this.sendUploadAck(upload);
+
+                // Stop acknowledging once the client has gone quiet
+                if (Date.now() - upload.lastPacket > 1000) {
+                    clearInterval(upload.ackTimer);
+                    upload.ackTimer = null;
+                }
+            }, ACK_INTERVAL);
+        }
+    }
+
+    sendUploadAck(upload) {
+        this.sendText({
+            type: 'upload_ack',
+            bytesReceived: upload.bytesReceived,
+            packetsReceived: upload.packetsReceived,
+            highestSeq: upload.highestSeq,
+            jitter: upload.jitter
+        });
+    }
+
+    // The totals stay until the next upload starts: packets still in flight and the
+    // client's upload_done belong to this upload, not to a new one
+    finishUpload() {
+        const upload = this.upload;
+        if (!upload || upload.finished) return;
+
+        upload.finished = true;
+        clearInterval(upload.ackTimer);
+        upload.ackTimer = null;
+        this.sendUploadAck(upload);
+
+        const duration = upload.lastPacket > upload.firstPacket ? upload.lastPacket - upload.firstPacket : 0;
+        const speedMbps = duration > 0 ? (upload.bytesReceived * 8) / (duration / 1000) / 1000000 : 0;
+
+        this.emit('upload-complete', {
+            duration: duration,
+            bytesReceived: upload.bytesReceived,
+            packetsReceived: upload.packetsReceived,
+            highestSeq: upload.highestSeq,
+            jitter: upload.jitter,
+            speedMbps: speedMbps
+        });
+    }
+
+    close() {
+        if (this.closed) return;
+        this.closed = true;
+
+        this.stopDownload();
+        if (this.upload) {
+            clearTimeout(this.upload.timer);
+            clearInterval(this.upload.ackTimer);
+        }
+        this.upload = null;
+        this.links.up.close();
+        this.links.down.close();
+
+        this.pc.close();
+        this.emit('close');
+    }
+}
+
+function createUploadStats() {
+    return {
+        firstPacket: 0,
+        lastPacket: 0,
+        packetsReceived: 0,
+        bytesReceived: 0,
+        highestSeq: -1,
+        lastTransit: null,
+        jitter: 0,
+        timer: null,
+        ackTimer: null,
+        finished: false
+    };
+}
+
+function clamp(value, min, max, fallback) {
+    const number = Number(value);
+    if (!Number.isFinite(number) || number <= 0) return fallback;
+    return Math.min(Math.max(number, min), max);
+}
+
+module.exports = SpeedTestPeer;
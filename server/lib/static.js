@@ -0,0 +1,93 @@
+/*
+    Static file serving for the speed test web client (index.html and assets/)
+*/
+
+const fs = require('fs');
+const path = require('path');
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.ico': 'image/x-icon',
+    '.json': 'application/json',
+    '.webmanifest': 'application/manifest+json',
+    '.xml': 'application/xml',
+    '.woff': 'font/woff',
+    '.woff2': 'font/woff2',
+    '.ttf': 'font/ttf',
+    '.eot': 'application/vnd.ms-fontobject'
+};
+
+const STATIC_FILES = ['/index.html', '/hosted.html'];
+
+const DEFAULT_ROOT = path.join(__dirname, '..', '..');
+
+// Only the web client is served, never the server sources or dotfiles
+function isPublicPath(relative) {
+    if (relative.split('/').some((part) => part.startsWith('.'))) return false;
+    return STATIC_FILES.includes(relative) || relative.startsWith('/assets/');
+}
+
+// URL of a request, or null for a request target that does not parse (e.g. //[)
+function parseRequestURL(req) {
+    try {
+        return new URL(req.url, 'http://localhost');
+    } catch (error) {
+        return null;
+    }
+}
+
+function serveStatic(req, res, pathname, root = DEFAULT_ROOT) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        res.writeHead(405);
+        res.end();
+        return;
+    }
+
+    const rootPath = path.resolve(root);
+    let relative;
+    try {
+        relative = decodeURIComponent(pathname === '/' ? '/index.html' : pathname);
+    } catch (error) {
+        res.writeHead(400);
+        res.end();
+        return;
+    }
+    const filePath = path.resolve(rootPath, '.' + relative);
+
+    if (!filePath.startsWith(rootPath + path.sep) || !isPublicPath(relative)) {
+        res.writeHead(403);
+        res.end();
+        return;
+    }
+
+    fs.stat(filePath, (error, stats) => {
+        if (error || !stats.isFile()) {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            res.end('Not Found');
+            return;
+        }
+
+        res.writeHead(200, {
+            'Content-Type': MIME_TYPES[path.extname(filePath)] || 'application/octet-stream',
+            'Content-Length': stats.size
+        });
+
+        if (req.method === 'HEAD') {
+            res.end();
+            return;
+        }
+
+        fs.createReadStream(filePath).pipe(res);
+    });
+}
+
+module.exports = {
+    DEFAULT_ROOT,
+    MIME_TYPES,
+    parseRequestURL,
+    serveStatic
+};
@@ -0,0 +1,330 @@
+/*
+    UDP speed test client for the command line: talks to udp-server.js over a real UDP
+    socket instead of going through the HTTP-UDP bridge. Loss, reordering and delay use
+    PacketSequenceTracker and PacketDelayTracker from assets/js/packet-stats.js, and the
+    results have the same shape as UDPSpeedTest's in the browser.
+*/
+
+const crypto = require('crypto');
+const dgram = require('dgram');
+const WebSocket = require('ws');
+const { HEADER_SIZE, PacketType, now, encode, decode, decodeJSON } = require('./packet');
+const { loadBrowserScripts } = require('./browser-scripts');
+
+class UDPClient {
+    constructor(options = {}) {
+        this.options = Object.assign({
+            host: '127.0.0.1',
+            port: 9001,
+            wsPort: 9002,
+            packetSize: 1024,   // bytes per datagram, header included
+            duration: 10000,    // ms per download/upload phase
+            pingCount: 10,
+            pingTimeout: 2000,  // ms
+            targetBitrate: 0,   // Mbps, 0 sends as fast as possible
+            impairment: ''      // profile or spec the server applies to our sessions (lib/impairment.js)
+        }, options);
+
+        this.stats = loadBrowserScripts(['packet-stats.js']);
+        this.serverInfo = null;
+
+        // Callbacks
+        this.onProgress = null;
+    }
+
+    // Name and limits from the control WebSocket; the test still runs without them
+    getServerInfo() {
+        return new Promise((resolve) => {
+            const ws = new WebSocket(`ws://${this.options.host}:${this.options.wsPort}`);
+            const done = (info) => {
+                clearTimeout(timer);
+                ws.terminate();
+                this.serverInfo = info;
+                resolve(info);
+            };
+            const timer = setTimeout(() => done(null), 2000);
+
+            ws.on('open', () => ws.send(JSON.stringify({ type: 'get_server_info' })));
+            ws.on('message', (data) => {
+                const message = decodeJSON(data);
+                if (message.type === 'server_info') done(message);
+            });
+            ws.on('error', () => done(null));
+        });
+    }
+
+    // A socket per phase, with its own random session number
+    async openSocket(onPacket) {
+        const socket = dgram.createSocket('udp4');
+        socket.on('message', (message) => {
+            const packet = decode(message);
+            if (packet) onPacket(packet);
+        });
+        socket.on('error', (error) => {
+            console.error('UDP socket error:', error.message);
+        });
+
+        await new Promise((resolve) => socket.bind(0, resolve));
+        try {
+            socket.setRecvBufferSize(4 * 1024 * 1024);
+        } catch (error) {
+            // Capped by net.core.rmem_max; the default buffer still works at lower rates
+        }
+
+        return { socket: socket, session: crypto.randomBytes(4).readUInt32BE(0) };
+    }
+
+    send(socket, packet) {
+        return new Promise((resolve, reject) => {
+            socket.send(packet, this.options.port, this.options.host, (error) => (error ? reject(error) : resolve()));
+        });
+    }
+
+    progress(phase, value) {
+        if (typeof this.onProgress === 'function') this.onProgress(phase, value);
+    }
+
+    // { impairment } for the requests that carry one, nothing to keep the server's default
+    impairmentPayload() {
+        return this.options.impairment ? { impairment: this.options.impairment } : undefined;
+    }
+
+    async ping() {
+        const samples = [];
+        const pending = new Map();
+        const { socket, session } = await this.openSocket((packet) => {
+            const resolve = pending.get(packet.seq);
+            if (packet.type === PacketType.PONG && packet.session === session && resolve) {
+                resolve(now() - packet.timestamp);
+            }
+        });
+
+        try {
+            for (let seq = 0; seq < this.options.pingCount; seq++) {
+                const reply = new Promise((resolve) => pending.set(seq, resolve));
+                await this.send(socket, encode(PacketType.PING, session, seq, now(), this.impairmentPayload()));
+
+                const latency = await withTimeout(reply, this.options.pingTimeout);
+                pending.delete(seq);
+                if (latency !== null) {
+                    samples.push(latency);
+                    this.progress('ping', latency);
+                }
+
+                await sleep(100);
+            }
+        } finally {
+            socket.close();
+        }
+
+        if (samples.length === 0) {
+            const { host, port } = this.options;
+            const local = host === '127.0.0.1' || host === 'localhost';
+            throw new Error(`No UDP replies from ${host}:${port}` + (local ? '' : '; udp-server.js only ' +
+                'listens on 127.0.0.1 unless started with --host 0.0.0.0 (UDP_HOST=0.0.0.0 ./start-servers.sh)'));
+        }
+
+        return {
+            average: samples.reduce((a, b) => a + b, 0) / samples.length,
+            min: Math.min(...samples),
+            jitter: calculateJitter(samples),
+            samples: samples,
+            packetsLost: this.options.pingCount - samples.length,
+            protocol: 'UDP'
+        };
+    }
+
+    async download() {
+        const sequence = new this.stats.PacketSequenceTracker();
+        const delay = new this.stats.PacketDelayTracker();
+        const targetBitrate = this.options.targetBitrate;
+        let bytesReceived = 0;
+        let packetsReceived = 0;
+        let lastProgress = 0;
+        let startTime = 0;
+        let request = null;
+        let complete;
+
+        const finished = new Promise((resolve) => {
+            complete = resolve;
+        });
+        const { socket, session } = await this.openSocket((packet) => {
+            if (packet.session !== session) return;
+
+            if (packet.type === PacketType.DATA) {
+                sequence.record(packet.seq);
+                delay.record(packet.timestamp, now());
+                bytesReceived += packet.size;
+                packetsReceived++;
+
+                const time = performance.now();
+                if (time - lastProgress >= 250) {
+                    lastProgress = time;
+                    this.progress('download', (bytesReceived * 8) / ((time - startTime) / 1000) / 1000000);
+                }
+            } else if (packet.type === PacketType.DOWNLOAD_COMPLETE) {
+                complete(packet.seq);
+            } else if (packet.type === PacketType.DOWNLOAD_COOKIE && request && !request.cookie) {
+                // The server checks that we can receive at this address before it streams to it
+                request.cookie = packet.payload.toString('hex');
+                this.send(socket, encode(PacketType.DOWNLOAD_REQUEST, session, 0, now(), request)).catch(() => {});
+            }
+        });
+
+        startTime = performance.now();
+        request = { duration: this.options.duration, packetSize: this.options.packetSize };
+        if (targetBitrate > 0) {
+            request.rate = targetBitrate * 1000000;
+        }
+        Object.assign(request, this.impairmentPayload());
+
+        let packetsSent;
+        try {
+            await this.send(socket, encode(PacketType.DOWNLOAD_REQUEST, session, 0, now(), request));
+            // DOWNLOAD_COMPLETE is sent three times but can still be lost; stop waiting a little after the end
+            packetsSent = await withTimeout(finished, this.options.duration + 3000);
+        } finally {
+            socket.close();
+        }
+
+        const duration = performance.now() - startTime;
+        if (typeof packetsSent === 'number') {
+            sequence.setPacketsSent(packetsSent);
+        }
+
+        const results = Object.assign({
+            duration: duration,
+            bytesReceived: bytesReceived,
+            packetsReceived: packetsReceived,
+            speedMbps: (bytesReceived * 8) / (duration / 1000) / 1000000,
+            mode: targetBitrate > 0 ? 'cbr' : 'max',
+            targetMbps: targetBitrate > 0 ? targetBitrate : null,
+            // The server paces max mode at its maxRate, so a faster link reads as this
+            maxRateMbps: this.serverInfo && this.serverInfo.maxRate ? this.serverInfo.maxRate : null,
+            protocol: 'UDP'
+        }, sequence.getStats());
+
+        const delayStats = delay.getStats();
+        if (delayStats) {
+            results.jitter = delayStats.jitter;
+            results.maxJitter = delayStats.maxJitter;
+            results.delayVariation = delayStats.delayVariation;
+            results.delayHistogram = delayStats.delayHistogram;
+        }
+
+        return results;
+    }
+
+    async upload() {
+        const packetSize = Math.max(this.options.packetSize, HEADER_SIZE);
+        const payload = crypto.randomBytes(packetSize - HEADER_SIZE);
+        const targetBitrate = this.options.targetBitrate;
+        const bytesPerMs = targetBitrate * 1000000 / 8 / 1000;
+        let statsReply;
+
+        const { socket, session } = await this.openSocket((packet) => {
+            if (packet.type === PacketType.UPLOAD_STATS && packet.session === session && statsReply) {
+                statsReply(decodeJSON(packet.payload));
+            }
+        });
+
+        const startTime = performance.now();
+        const endTime = startTime + this.options.duration;
+        let packetsSent = 0;
+        let lastProgress = 0;
+
+        try {
+            if (this.options.impairment) {
+                await this.send(socket, encode(PacketType.SET_IMPAIRMENT, session, 0, now(), this.impairmentPayload()));
+            }
+
+            while (performance.now() < endTime) {
+                // CBR sends the datagrams that are due at the target rate; otherwise a batch at a time
+                const due = targetBitrate > 0
+                    ? Math.floor((performance.now() - startTime) * bytesPerMs / packetSize) - packetsSent
+                    : 64;
+                if (due <= 0) {
+                    await sleep(Math.max(1, packetSize / bytesPerMs));
+                    continue;
+                }
+
+                const batch = [];
+                for (let i = 0; i < Math.min(due, 64); i++) {
+                    batch.push(this.send(socket, encode(PacketType.UPLOAD_DATA, session, packetsSent++, now(), payload)));
+                }
+                await Promise.all(batch);
+
+                const time = performance.now();
+                if (time - lastProgress >= 250) {
+                    lastProgress = time;
+                    this.progress('upload', (packetsSent * packetSize * 8) / ((time - startTime) / 1000) / 1000000);
+                }
+            }
+
+            const duration = performance.now() - startTime;
+            const bytesSent = packetsSent * packetSize;
+
+            // Let the last datagrams arrive, then ask what the server received (the request can be lost too)
+            await sleep(200);
+            let stats = null;
+            for (let attempt = 0; attempt < 3 && !stats; attempt++) {
+                const reply = new Promise((resolve) => {
+                    statsReply = resolve;
+                });
+                await this.send(socket, encode(PacketType.UPLOAD_STATS_REQUEST, session, attempt, now()));
+                stats = await withTimeout(reply, 1000);
+            }
+
+            const results = {
+                duration: duration,
+                bytesSent: bytesSent,
+                packetsSent: packetsSent,
+                offeredMbps: (bytesSent * 8) / (duration / 1000) / 1000000,
+                speedMbps: (bytesSent * 8) / (duration / 1000) / 1000000,
+                mode: targetBitrate > 0 ? 'cbr' : 'max',
+                targetMbps: targetBitrate > 0 ? targetBitrate : null,
+                protocol: 'UDP'
+            };
+
+            if (stats) {
+                results.packetsReceived = stats.packetsReceived;
+                // Counted at the server, so this is UDP payload only: add the header back per datagram
+                results.bytesReceived = stats.packetsReceived * packetSize;
+                results.packetsLost = Math.max(0, packetsSent - stats.packetsReceived);
+                results.lossPercent = packetsSent > 0 ? (results.packetsLost / packetsSent) * 100 : 0;
+                results.speedMbps = (results.bytesReceived * 8) / (duration / 1000) / 1000000;
+                results.jitter = stats.jitter;
+            }
+
+            return results;
+        } finally {
+            socket.close();
+        }
+    }
+}
+
+// Mean difference between consecutive samples, as UDPSpeedTest.calculateJitter()
+function calculateJitter(samples) {
+    if (samples.length < 2) return 0;
+
+    let sum = 0;
+    for (let i = 1; i < samples.length; i++) {
+        sum += Math.abs(samples[i] - samples[i - 1]);
+    }
+    return sum / (samples.length - 1);
+}
+
+// Resolves with null if promise has not settled within ms
+function withTimeout(promise, ms) {
+    let timer;
+    const timeout = new Promise((resolve) => {
+        timer = setTimeout(() => resolve(null), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+module.exports = UDPClient;
@@ -0,0 +1,130 @@
+/*
+    WebRTC DataChannel speed test client for the command line. Runs the browser's
+    WebRTCSpeedTestIntegration and WebRTCSpeedTest (assets/js) on top of werift, signaling
+    through webrtc-server.js like the web client does, so the numbers come from the same code.
+*/
+
+const { loadBrowserScripts, evaluate } = require('./browser-scripts');
+
+const SCRIPTS = ['webrtc-config.js', 'packet-stats.js', 'webrtc-speed-test.js', 'webrtc-integration.js'];
+
+class WebRTCClient {
+    constructor(options = {}) {
+        this.options = Object.assign({
+            signaling: 'ws://localhost:8081',
+            iceServers: null,       // null keeps the STUN servers from webrtc-config.js
+            packetSize: 0,          // bytes, 0 keeps the configured size
+            duration: 10000,        // ms per download/upload phase
+            pingCount: 10,
+            targetBitrate: 0,       // Mbps, 0 sends as fast as possible
+            impairment: '',         // profile or spec for the server peer (lib/impairment.js)
+            connectTimeout: 10000,  // ms until the DataChannel must be open
+            logger: console
+        }, options);
+
+        this.integration = null;
+        this.speedTest = null;
+
+        // Callbacks
+        this.onProgress = null;
+    }
+
+    // The same URL parameters a browser would get, see applyWebRTCConfigOverrides()
+    search() {
+        const params = new URLSearchParams({ signaling: this.options.signaling, bitrate: this.options.targetBitrate });
+        if (this.options.packetSize > 0) params.set('packetSize', this.options.packetSize);
+        if (this.options.impairment) params.set('impair', this.options.impairment);
+        return `?${params}`;
+    }
+
+    async connect() {
+        const sandbox = loadBrowserScripts(SCRIPTS, { search: this.search() }, this.options.logger);
+        if (this.options.iceServers) {
+            sandbox.WEBRTC_CONFIG.peerConnection.iceServers = this.options.iceServers;
+        }
+
+        const Integration = evaluate(sandbox, 'WebRTCSpeedTestIntegration');
+        this.integration = new Integration(sandbox.WEBRTC_CONFIG);
+        if (!await this.integration.initialize()) {
+            throw new Error(`Could not reach the signaling server at ${this.options.signaling}`);
+        }
+        this.speedTest = this.integration.speedTest;
+
+        // The offer/answer exchange runs on the signaling messages; wait for its result
+        const deadline = Date.now() + this.options.connectTimeout;
+        while (!this.speedTest.dataChannel || this.speedTest.dataChannel.readyState !== 'open') {
+            if (Date.now() > deadline) {
+                throw new Error('WebRTC DataChannel did not open');
+            }
+            await sleep(50);
+        }
+
+        this.speedTest.onDownloadProgress = (speedMbps) => this.progress('download', speedMbps);
+        this.speedTest.onUploadProgress = (speedMbps) => this.progress('upload', speedMbps);
+    }
+
+    progress(phase, value) {
+        if (typeof this.onProgress === 'function') this.onProgress(phase, value);
+    }
+
+    async ping() {
+        const samples = [];
+        for (let i = 0; i < this.options.pingCount; i++) {
+            const latency = await this.speedTest.measureLatency();
+            if (latency !== null) {
+                samples.push(latency);
+                this.progress('ping', latency);
+            }
+            await sleep(this.integration.pingInterval);
+        }
+
+        if (samples.length === 0) {
+            throw new Error('No successful ping responses received');
+        }
+
+        return {
+            average: samples.reduce((a, b) => a + b, 0) / samples.length,
+            min: Math.min(...samples),
+            jitter: this.integration.calculateJitter(samples),
+            samples: samples,
+            packetsLost: this.options.pingCount - samples.length,
+            protocol: 'WebRTC'
+        };
+    }
+
+    download() {
+        return this.run('download', (resolve) => {
+            this.speedTest.onDownloadComplete = () => resolve(this.speedTest.downloadResults);
+            this.speedTest.startDownloadTest(this.options.duration);
+        });
+    }
+
+    upload() {
+        return this.run('upload', (resolve) => {
+            this.speedTest.onUploadComplete = () => resolve(this.speedTest.uploadResults);
+            this.speedTest.startUploadTest(this.options.duration);
+        });
+    }
+
+    // The server peer starts sending (or counting) on start-speed-test, as in startDownloadTest()
+    run(testType, start) {
+        return new Promise((resolve) => {
+            this.integration.announceTest(testType, this.options.duration);
+            start((results) => resolve(Object.assign({ protocol: 'WebRTC' }, results)));
+        });
+    }
+
+    close() {
+        if (this.integration) {
+            this.integration.disconnect();
+            this.integration = null;
+            this.speedTest = null;
+        }
+    }
+}
+
+function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+module.exports = WebRTCClient;
@@ -0,0 +1,342 @@
+/*
+    Command line speed test
+    Runs the HTTP, UDP and WebRTC tests from a terminal, without a browser, against the
+    servers in this directory. Measurements follow the web client: HTTP uses the engine's
+    sampling (lib/http-client.js), UDP talks to udp-server.js over a real UDP socket
+    (lib/udp-client.js) and WebRTC runs assets/js/webrtc-speed-test.js on werift
+    (lib/webrtc-client.js). Results are printed as a table, or as JSON records shaped like
+    ResultHistory.toRecord() (the history, export and /results format).
+
+    The URL parameters of the web client work as options, with the same short forms:
+
+        --ping, --p N       ping samples (default 10)
+        --xhr, --x N        parallel HTTP connections, 1 to 32 (default 6)
+        --stress, --s L     low|medium|high|veryhigh|extreme|day|year (l/m/h/v/e/d/y) or seconds above 12
+        --test, --t T       download|upload|ping (d/u/p), ping always runs first
+        --host, --h URL     http(s) URL of the bridge (default http://localhost:8080); its
+                            hostname is also used for the UDP and signaling servers
+        --clean, --c N      overhead compensation of 1 to 4 %, any other value turns it off
+
+    Other options:
+
+        --protocol LIST     http,udp,webrtc or all (default all)
+        --duration N        seconds per download/upload phase (default 12, --stress overrides it)
+        --udp-port N        UDP server port (default 9001), --ws-port N its control WebSocket (9002)
+        --signaling URL     WebRTC signaling server (default ws://<host>:8081)
+        --loopback          run the WebRTC test against a signaling server started in this process
+        --bitrate N         constant bitrate in Mbps for UDP and WebRTC (default 0, as fast as possible)
+        --packet-size N     UDP datagram size in bytes (default 1024)
+        --impair SPEC       ask the servers to impair the tests: a profile such as loss-2 or a spec
+                            such as delay:40,loss:2 (see lib/impairment.js)
+        --json              print JSON instead of the table
+        --verbose           show the log of the browser modules
+
+    Usage: node speedtest-cli.js --host http://192.168.1.10:8080 --protocol udp,webrtc --t d --json
+*/
+
+const { parseArgs } = require('./lib/args');
+const { loadBrowserScripts } = require('./lib/browser-scripts');
+const HTTPClient = require('./lib/http-client');
+const UDPClient = require('./lib/udp-client');
+const WebRTCClient = require('./lib/webrtc-client');
+const WebRTCSignalingServer = require('./webrtc-server');
+
+const PROTOCOLS = ['http', 'udp', 'webrtc'];
+
+const STRESS = {
+    low: 300, l: 300,
+    medium: 600, m: 600,
+    high: 900, h: 900,
+    veryhigh: 1800, v: 1800,
+    extreme: 3600, e: 3600,
+    day: 86400, d: 86400,
+    year: 31557600, y: 31557600
+};
+
+const TESTS = {
+    download: ['ping', 'download'], d: ['ping', 'download'],
+    upload: ['ping', 'upload'], u: ['ping', 'upload'],
+    ping: ['ping'], p: ['ping']
+};
+
+// The long or the short form of a URL knob, as the engine reads getCommand.ping || getCommand.p
+function knob(args, long, short) {
+    return args[long] !== undefined ? args[long] : args[short];
+}
+
+// Options from the command line, with the same checks the engine applies to URL parameters
+function resolveOptions(args) {
+    const options = {
+        pingSamples: 10,
+        threads: 6,
+        duration: args['duration'] > 0 ? args['duration'] : 12,
+        tests: ['ping', 'download', 'upload'],
+        host: 'http://localhost:8080',
+        overhead: 1.04
+    };
+
+    const ping = parseInt(knob(args, 'ping', 'p'), 10);
+    if (ping > 0) options.pingSamples = ping;
+
+    const threads = parseInt(knob(args, 'xhr', 'x'), 10);
+    if (threads > 0 && threads <= 32) options.threads = threads;
+
+    const stress = knob(args, 'stress', 's');
+    if (typeof stress === 'string') {
+        if (STRESS[stress]) options.duration = STRESS[stress];
+        if (parseInt(stress, 10) > 12) options.duration = parseInt(stress, 10);
+    }
+
+    const test = knob(args, 'test', 't');
+    if (TESTS[test]) options.tests = TESTS[test];
+
+    const host = knob(args, 'host', 'h');
+    if (typeof host === 'string') {
+        if (!/^https?:\/\/\S+$/.test(host)) {
+            throw new Error(`--host must be an http(s) URL, got ${host}`);
+        }
+        options.host = host.replace(/\/+$/, '');
+    }
+
+    // --clean on its own (or 0) removes the compensation, like ?clean in the browser
+    const clean = knob(args, 'clean', 'c');
+    if (clean !== undefined) {
+        const value = parseInt(clean, 10);
+        options.overhead = value >= 1 && value < 5 ? 1 + value / 100 : 1;
+    }
+
+    const protocols = String(args['protocol']).toLowerCase();
+    options.protocols = protocols === 'all' ? PROTOCOLS : protocols.split(',').filter(Boolean);
+    const unknown = options.protocols.filter(protocol => !PROTOCOLS.includes(protocol));
+    if (unknown.length > 0 || options.protocols.length === 0) {
+        throw new Error(`Unknown protocol ${unknown.join(', ') || protocols}, use ${PROTOCOLS.join(',')} or all`);
+    }
+
+    options.hostname = new URL(options.host).hostname;
+    return options;
+}
+
+class SpeedTestCLI {
+    constructor(args) {
+        this.args = args;
+        this.options = resolveOptions(args);
+        this.history = loadBrowserScripts(['result-history.js']).ResultHistory;
+        this.logger = args['verbose'] ? createLogger(console.error) : createLogger(null);
+        this.signalingServer = null;
+    }
+
+    // Live value on stderr, so --json output on stdout stays clean
+    progress(protocol, phase, value) {
+        if (!process.stderr.isTTY) return;
+        const unit = phase === 'ping' ? 'ms' : 'Mbps';
+        process.stderr.write(`\r\x1b[K${protocol.toUpperCase()} ${phase}: ${value.toFixed(2)} ${unit}`);
+    }
+
+    clearProgress() {
+        if (process.stderr.isTTY) process.stderr.write('\r\x1b[K');
+    }
+
+    async run() {
+        const records = [];
+        const errors = [];
+        const notes = [];
+
+        for (const protocol of this.options.protocols) {
+            try {
+                const result = await this.runProtocol(protocol);
+                const download = result.download;
+                if (download && download.mode === 'max' && download.maxRateMbps) {
+                    notes.push(`${protocol.toUpperCase()} download in max mode is paced at the server's --max-rate of ${download.maxRateMbps} Mbps`);
+                }
+                records.push(this.history.toRecord(Object.assign({ timestamp: Date.now() }, result)));
+            } catch (error) {
+                errors.push({ protocol: protocol, error: error.message });
+            } finally {
+                this.clearProgress();
+            }
+        }
+
+        if (this.signalingServer) {
+            await this.signalingServer.stop();
+        }
+
+        return { records, errors, notes };
+    }
+
+    runProtocol(protocol) {
+        switch (protocol) {
+            case 'http':
+                return this.runHTTP();
+            case 'udp':
+                return this.runUDP();
+            case 'webrtc':
+                return this.runWebRTC();
+        }
+    }
+
+    async runHTTP() {
+        const tests = this.options.tests;
+        const client = new HTTPClient({
+            server: this.options.host,
+            pingSamples: this.options.pingSamples,
+            threads: this.options.threads,
+            duration: this.options.duration,
+            overhead: this.options.overhead,
+            impairment: this.args['impair']
+        });
+        client.onProgress = (phase, value) => this.progress('http', phase, value);
+
+        const ping = await client.ping();
+        const download = tests.includes('download') ? await client.download() : null;
+        const upload = tests.includes('upload') ? await client.upload() : null;
+
+        // The engine's runResult(): plain numbers, data used in bytes
+        return {
+            protocol: 'http',
+            server: this.options.host,
+            ping: ping.ping,
+            jitter: ping.jitter,
+            download: download ? download.speedMbps : 0,
+            upload: upload ? upload.speedMbps : 0,
+            dataUsed: { download: download ? download.bytes : 0, upload: upload ? upload.bytes : 0 }
+        };
+    }
+
+    async runUDP() {
+        const tests = this.options.tests;
+        const client = new UDPClient({
+            host: this.options.hostname,
+            port: this.args['udp-port'],
+            wsPort: this.args['ws-port'],
+            packetSize: this.args['packet-size'],
+            duration: this.options.duration * 1000,
+            pingCount: this.options.pingSamples,
+            targetBitrate: this.args['bitrate'],
+            impairment: this.args['impair']
+        });
+        client.onProgress = (phase, value) => this.progress('udp', phase, value);
+
+        const info = await client.getServerInfo();
+        const results = {
+            protocol: 'udp',
+            server: info && info.name ? info.name : `${client.options.host}:${client.options.port}`,
+            ping: await client.ping()
+        };
+        if (tests.includes('download')) results.download = await client.download();
+        if (tests.includes('upload')) results.upload = await client.upload();
+
+        return results;
+    }
+
+    async runWebRTC() {
+        let signaling = this.args['signaling'] || `ws://${this.options.hostname}:8081`;
+        let iceServers = null;
+
+        // Both peers in this process: no STUN needed, host candidates connect directly
+        if (this.args['loopback']) {
+            if (!this.signalingServer) {
+                this.signalingServer = new WebRTCSignalingServer({ httpPort: 0, host: '127.0.0.1', logger: this.logger });
+                await this.signalingServer.start();
+            }
+            signaling = `ws://127.0.0.1:${this.signalingServer.httpPort}`;
+            iceServers = [];
+        }
+
+        const tests = this.options.tests;
+        const client = new WebRTCClient({
+            signaling: signaling,
+            iceServers: iceServers,
+            duration: this.options.duration * 1000,
+            pingCount: this.options.pingSamples,
+            targetBitrate: this.args['bitrate'],
+            impairment: this.args['impair'],
+            logger: this.logger
+        });
+        client.onProgress = (phase, value) => this.progress('webrtc', phase, value);
+
+        try {
+            await client.connect();
+
+            const url = new URL(signaling);
+            const results = {
+                protocol: 'webrtc',
+                server: `${url.hostname}:${url.port || (url.protocol === 'wss:' ? 443 : 80)}`,
+                ping: await client.ping()
+            };
+            if (tests.includes('download')) results.download = await client.download();
+            if (tests.includes('upload')) results.upload = await client.upload();
+
+            return results;
+        } finally {
+            client.close();
+        }
+    }
+}
+
+// console for the browser modules: everything to write, or nothing
+function createLogger(write) {
+    const log = write ? (...args) => write(...args) : () => {};
+    return { log: log, info: log, debug: log, warn: log, error: log };
+}
+
+function format(value, digits) {
+    return typeof value === 'number' ? value.toFixed(digits) : '-';
+}
+
+function printTable(records) {
+    const rows = [['Protocol', 'Server', 'Ping ms', 'Jitter ms', 'Download Mbps', 'Upload Mbps', 'Loss % (down/up)']];
+    records.forEach((record) => {
+        const loss = record.loss || {};
+        rows.push([
+            record.protocol.toUpperCase(),
+            record.server || '-',
+            format(record.ping, 1),
+            format(record.jitter, 1),
+            format(record.download, 2),
+            format(record.upload, 2),
+            loss.download === null && loss.upload === null ? '-' : `${format(loss.download, 2)}/${format(loss.upload, 2)}`
+        ]);
+    });
+
+    const widths = rows[0].map((_, column) => Math.max(...rows.map(row => row[column].length)));
+    rows.forEach((row, index) => {
+        console.log(row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd());
+        if (index === 0) console.log(widths.map(width => '-'.repeat(width)).join('  '));
+    });
+}
+
+if (require.main === module) {
+    const args = parseArgs(process.argv.slice(2), {
+        'protocol': 'all',
+        'duration': 12,
+        'udp-port': 9001,
+        'ws-port': 9002,
+        'signaling': '',
+        'bitrate': 0,
+        'packet-size': 1024,
+        'impair': ''
+    });
+
+    let cli;
+    try {
+        cli = new SpeedTestCLI(args);
+    } catch (error) {
+        console.error(error.message);
+        process.exit(2);
+    }
+
+    cli.run().then(({ records, errors, notes }) => {
+        if (args['json']) {
+            console.log(JSON.stringify(records, null, 2));
+        } else if (records.length > 0) {
+            printTable(records);
+        }
+
+        notes.forEach(note => console.error(note));
+        errors.forEach(({ protocol, error }) => console.error(`${protocol.toUpperCase()} test failed: ${error}`));
+        // werift keeps timers of closed connections around, so leave explicitly
+        process.exit(errors.length > 0 ? 1 : 0);
+    });
+}
+
+module.exports = SpeedTestCLI;
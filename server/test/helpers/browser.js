@@ -0,0 +1,67 @@
+/*
+    A jsdom page with modules from assets/js loaded into it, the way index.html loads them.
+    Scripts run after the document has loaded, so their DOMContentLoaded hooks stay idle and
+    each test builds the objects it needs itself. Browser console output is dropped unless
+    TEST_BROWSER_LOG=1.
+*/
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const ASSETS = path.join(__dirname, '..', '..', '..', 'assets', 'js');
+
+// Elements of index.html's UI that app-2.5.4.js looks up when the engine starts
+const ENGINE_ELEMENTS = [
+    'ConnectErrorDesk', 'ConnectErrorMob', 'JitterResultMon', 'JitterResultms', 'OpenSpeedtest', 'UI-Desk', 'UI-Mob',
+    'YourIP', 'downResult', 'downSymbolDesk', 'downSymbolMob', 'graphMob1', 'graphMob2', 'graphc1', 'graphc2',
+    'intro-Desk', 'intro-Mob', 'ipDesk', 'ipMob', 'jitterDesk', 'loading_app', 'mainGaugeBlue-Desk', 'mainGaugeBlue-Mob',
+    'mainGaugeWhite-Desk', 'mainGaugeWhite-Mob', 'mainGaugebg-Desk', 'mainGaugebg-Mob', 'oDoLiveSpeed', 'oDoLiveStatus',
+    'oDoTopSpeed', 'pingMobres', 'pingResult', 'progressStatus-Desk', 'progressStatus-Mob', 'settingsDesk', 'settingsMob',
+    'startButtonDesk', 'startButtonMob', 'text', 'upRestxt', 'upSymbolDesk', 'upSymbolMob', 'resultsData'
+];
+
+// search is the page's query string ('?signaling=...'), globals are set on window before
+// the scripts run (RTCPeerConnection, index.html's configuration variables, ...)
+async function createBrowser({ scripts = [], search = '', globals = {}, html = '' } = {}) {
+    const virtualConsole = new VirtualConsole();
+    if (process.env.TEST_BROWSER_LOG) {
+        virtualConsole.sendTo(console);
+    }
+
+    const dom = new JSDOM(`<!DOCTYPE html><html><head></head><body>${html}</body></html>`, {
+        url: `http://127.0.0.1/${search}`,
+        runScripts: 'outside-only',
+        pretendToBeVisual: true,
+        virtualConsole: virtualConsole
+    });
+    const window = dom.window;
+
+    await new Promise((resolve) => {
+        if (window.document.readyState === 'complete') resolve();
+        else window.addEventListener('load', resolve);
+    });
+
+    // jsdom has no fetch; Node's talks to the stand-in servers just as well
+    window.fetch = fetch;
+    Object.assign(window, globals);
+
+    scripts.forEach((file) => {
+        window.eval(`${fs.readFileSync(path.join(ASSETS, file), 'utf8')}\n//# sourceURL=${file}`);
+    });
+
+    return window;
+}
+
+// Polls until condition() is truthy, for state the modules only expose as properties
+async function waitFor(condition, timeout = 10000, interval = 20) {
+    const deadline = Date.now() + timeout;
+    while (!condition()) {
+        if (Date.now() > deadline) {
+            throw new Error(`Timed out after ${timeout} ms waiting for ${condition}`);
+        }
+        await new Promise((resolve) => setTimeout(resolve, interval));
+    }
+}
+
+module.exports = { createBrowser, waitFor, ENGINE_ELEMENTS };
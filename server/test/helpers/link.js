@@ -0,0 +1,97 @@
+/*
+    The network the stand-in servers pretend to be: fixed rates, delays and drops, so a test
+    knows exactly what a correct client has to measure. createLink() is the default path,
+    expected() the numbers that follow from it.
+*/
+
+const { HEADER_SIZE, PacketType, encode } = require('../../lib/packet');
+
+function createLink(overrides = {}) {
+    return Object.assign({
+        pingDelays: [10, 30],   // ms, cycled: average 20 ms, jitter 20 ms
+        download: {
+            rateMbps: 10,       // offered by the server
+            dropEvery: 20,      // every 20th packet never arrives: 5 % loss
+            transit: [5, 15]    // ms, cycled per delivered packet: 10 ms interarrival jitter
+        },
+        upload: {
+            rateMbps: 8,        // drained by the link
+            dropEvery: 25,      // 4 % loss
+            jitter: 3           // ms, reported back by the server
+        },
+        rtt: 12                 // ms, candidate pair round trip time in getStats()
+    }, overrides);
+}
+
+function mean(values) {
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+// Mean difference between neighbours of a repeating cycle of values
+function cycleJitter(values) {
+    if (values.length < 2) return 0;
+    return mean(values.map((value, index) => Math.abs(value - values[(index + 1) % values.length])));
+}
+
+function expected(link) {
+    return {
+        pingAverage: mean(link.pingDelays),
+        pingJitter: cycleJitter(link.pingDelays),
+        downloadMbps: link.download.rateMbps * (1 - 1 / link.download.dropEvery),
+        downloadLoss: 100 / link.download.dropEvery,
+        downloadJitter: cycleJitter(link.download.transit),
+        uploadMbps: link.upload.rateMbps * (1 - 1 / link.upload.dropEvery),
+        uploadLoss: 100 / link.upload.dropEvery,
+        uploadJitter: link.upload.jitter
+    };
+}
+
+// Whether the index-th packet (from 0) of a direction is dropped
+function isDropped(profile, index) {
+    return profile.dropEvery > 0 && (index + 1) % profile.dropEvery === 0;
+}
+
+// A link's shared clock: how long until `bytes` more are through at rateMbps, whoever sends them
+class Pacer {
+    constructor(rateMbps) {
+        this.bytesPerMs = rateMbps * 1000 / 8;
+        this.free = 0;
+    }
+
+    delay(bytes) {
+        const time = performance.now();
+        this.free = Math.max(this.free, time) + bytes / this.bytesPerMs;
+        return this.free - time;
+    }
+}
+
+// Streams lib/packet.js DATA packets at the download rate for `duration` ms. Dropped packets
+// use up their sequence number, and each send time is back-dated by the next transit delay
+// in the cycle. clock() is the sender's time in ms; complete(packetsSent) ends the stream.
+function streamDownload({ profile, duration, packetSize, clock, send, complete }) {
+    const bytesPerMs = profile.rateMbps * 1000 / 8;
+    const payload = Buffer.alloc(Math.max(packetSize - HEADER_SIZE, 0), 0x55);
+    const startTime = performance.now();
+    let seq = 0;
+    let delivered = 0;
+
+    const timer = setInterval(() => {
+        const elapsed = Math.min(performance.now() - startTime, duration);
+        const due = Math.floor(elapsed * bytesPerMs / packetSize);
+
+        for (; seq < due; seq++) {
+            if (isDropped(profile, seq)) continue;
+            const transit = profile.transit[delivered++ % profile.transit.length];
+            send(encode(PacketType.DATA, 1, seq, clock() - transit, payload));
+        }
+
+        if (elapsed >= duration) {
+            clearInterval(timer);
+            complete(seq);
+        }
+    }, 5);
+
+    return () => clearInterval(timer);
+}
+
+module.exports = { createLink, expected, isDropped, Pacer, streamDownload };
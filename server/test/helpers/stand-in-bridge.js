@@ -0,0 +1,163 @@
+/*
+    Stand-in for the UDP server and HTTP-UDP bridge as assets/js/udp-speed-test.js sees them,
+    on one port: the control WebSocket (get_server_info), POST /udp-ping, the binary
+    /udp-download WebSocket, POST /udp-upload and GET /udp-upload-stats. Instead of relaying
+    real datagrams it plays back the link from helpers/link.js.
+*/
+
+const http = require('http');
+const { WebSocketServer } = require('ws');
+const { HEADER_SIZE, now } = require('../../lib/packet');
+const { isDropped, Pacer, streamDownload } = require('./link');
+
+class StandInBridge {
+    constructor(link) {
+        this.link = link;
+        this.server = null;
+        this.wss = null;
+        this.port = null;
+        this.pings = 0;
+        this.uploadPacer = new Pacer(link.upload.rateMbps);
+        this.uploads = new Map();
+        this.maxUploadBody = null; // bytes; larger uploads are refused with 413, as by the bridge
+        this.downloads = [];
+        this.stopStreams = new Set();
+    }
+
+    async start() {
+        this.server = http.createServer((req, res) => this.handleRequest(req, res));
+        this.wss = new WebSocketServer({ noServer: true });
+        this.server.on('upgrade', (req, socket, head) => {
+            const url = new URL(req.url, 'http://localhost');
+            this.wss.handleUpgrade(req, socket, head, (ws) => {
+                if (url.pathname === '/udp-download') {
+                    this.handleDownload(ws, url.searchParams);
+                } else {
+                    this.handleControl(ws);
+                }
+            });
+        });
+
+        await new Promise((resolve) => this.server.listen(0, '127.0.0.1', resolve));
+        this.port = this.server.address().port;
+    }
+
+    async stop() {
+        this.stopStreams.forEach((stop) => stop());
+        this.wss.clients.forEach((ws) => ws.terminate());
+        this.server.closeAllConnections();
+        await new Promise((resolve) => this.server.close(resolve));
+    }
+
+    handleControl(ws) {
+        ws.on('message', (data) => {
+            if (JSON.parse(data.toString()).type === 'get_server_info') {
+                ws.send(JSON.stringify({ type: 'server_info', name: 'Stand-in UDP Server', maxRate: 1000 }));
+            }
+        });
+    }
+
+    async handleRequest(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+        const body = await readBody(req);
+
+        switch (url.pathname) {
+            case '/udp-ping': {
+                const ping = JSON.parse(body.toString());
+                const delay = this.link.pingDelays[this.pings++ % this.link.pingDelays.length];
+                setTimeout(() => sendJSON(res, { type: 'pong', timestamp: ping.timestamp }), delay);
+                break;
+            }
+            case '/udp-upload':
+                this.handleUpload(req, res, body);
+                break;
+            case '/udp-upload-stats': {
+                const upload = this.uploads.get(url.searchParams.get('clientId'));
+                if (!upload) {
+                    res.writeHead(404);
+                    res.end();
+                    return;
+                }
+                sendJSON(res, {
+                    type: 'upload_stats',
+                    packetsSent: upload.packetsSent,
+                    bytesSent: upload.packetsSent * upload.datagramSize,
+                    packetsReceived: upload.packetsReceived,
+                    bytesReceived: upload.packetsReceived * upload.datagramSize,
+                    jitter: this.link.upload.jitter
+                });
+                break;
+            }
+            default:
+                res.writeHead(404);
+                res.end();
+        }
+    }
+
+    // Each request holds several datagrams; the reply waits until the link has carried them
+    handleUpload(req, res, body) {
+        const clientId = req.headers['x-client-id'];
+        // X-Datagram-Size includes the header the bridge adds to each payload
+        const datagramSize = parseInt(req.headers['x-datagram-size'], 10);
+        const datagrams = Math.floor(body.length / (datagramSize - HEADER_SIZE));
+
+        if (this.maxUploadBody !== null && body.length > this.maxUploadBody) {
+            sendJSON(res, { type: 'error', message: 'Request body too large' }, 413);
+            return;
+        }
+
+        let upload = this.uploads.get(clientId);
+        if (!upload) {
+            upload = { datagramSize: datagramSize, packetsSent: 0, packetsReceived: 0 };
+            this.uploads.set(clientId, upload);
+        }
+
+        for (let i = 0; i < datagrams; i++) {
+            if (!isDropped(this.link.upload, upload.packetsSent)) upload.packetsReceived++;
+            upload.packetsSent++;
+        }
+
+        const delay = this.uploadPacer.delay(body.length);
+        setTimeout(() => sendJSON(res, { bytes: datagrams * datagramSize, datagrams: datagrams }), delay);
+    }
+
+    // Binary frames as the bridge sends them: one datagram per message
+    handleDownload(ws, params) {
+        const download = { clientId: params.get('clientId'), packetsSent: 0 };
+        this.downloads.push(download);
+
+        const stop = streamDownload({
+            profile: this.link.download,
+            duration: parseInt(params.get('duration'), 10),
+            packetSize: parseInt(params.get('packetSize'), 10),
+            clock: now,
+            send: (packet) => ws.send(packet),
+            complete: (packetsSent) => {
+                this.stopStreams.delete(stop);
+                download.packetsSent = packetsSent;
+                ws.send(JSON.stringify({ type: 'complete', packetsSent: packetsSent }));
+            }
+        });
+        this.stopStreams.add(stop);
+        ws.on('close', () => {
+            stop();
+            this.stopStreams.delete(stop);
+        });
+    }
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on('data', (chunk) => chunks.push(chunk));
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+function sendJSON(res, body, status = 200) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+module.exports = StandInBridge;
@@ -0,0 +1,94 @@
+/*
+    Stand-in for the HTTP test server the OpenSpeedTest engine (assets/js/app-2.5.4.js) talks
+    to: /downloading streams filler at the link's download rate, /upload takes the body in at
+    the upload rate, and anything else answers after the next ping delay. All connections
+    share one Pacer per direction, like threads sharing one access link.
+*/
+
+const http = require('http');
+const { Pacer } = require('./link');
+
+const CHUNK_SIZE = 16 * 1024;
+const DOWNLOAD_SIZE = 64 * 1024 * 1024;
+
+class StandInHTTPServer {
+    constructor(link) {
+        this.link = link;
+        this.server = null;
+        this.port = null;
+        this.pings = 0;
+        this.downloadPacer = new Pacer(link.download.rateMbps);
+        this.uploadPacer = new Pacer(link.upload.rateMbps);
+        this.bytesDownloaded = 0;
+        this.bytesUploaded = 0;
+    }
+
+    async start() {
+        this.server = http.createServer((req, res) => this.handleRequest(req, res));
+        await new Promise((resolve) => this.server.listen(0, '127.0.0.1', resolve));
+        this.port = this.server.address().port;
+    }
+
+    async stop() {
+        this.server.closeAllConnections();
+        await new Promise((resolve) => this.server.close(resolve));
+    }
+
+    // index.html's openSpeedTestServerList entry for this server
+    serverList() {
+        return [{
+            ServerName: 'Stand-in HTTP Server',
+            Download: `http://127.0.0.1:${this.port}/downloading`,
+            Upload: `http://127.0.0.1:${this.port}/upload`,
+            ServerIcon: 'DefaultIcon'
+        }];
+    }
+
+    handleRequest(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Cache-Control', 'no-store');
+
+        if (url.pathname === '/downloading') {
+            this.handleDownload(req, res);
+        } else if (url.pathname === '/upload' && req.method === 'POST') {
+            this.handleUpload(req, res);
+        } else {
+            const delay = this.link.pingDelays[this.pings++ % this.link.pingDelays.length];
+            req.resume();
+            req.on('end', () => setTimeout(() => res.end('ok'), delay));
+        }
+    }
+
+    handleDownload(req, res) {
+        const chunk = Buffer.alloc(CHUNK_SIZE, 0x55);
+        let sent = 0;
+        let timer = null;
+
+        res.writeHead(200, { 'Content-Type': 'application/octet-stream', 'Content-Length': DOWNLOAD_SIZE });
+        const next = () => {
+            if (sent >= DOWNLOAD_SIZE) {
+                res.end();
+                return;
+            }
+            res.write(chunk);
+            sent += CHUNK_SIZE;
+            this.bytesDownloaded += CHUNK_SIZE;
+            timer = setTimeout(next, this.downloadPacer.delay(CHUNK_SIZE));
+        };
+        res.on('close', () => clearTimeout(timer));
+        next();
+    }
+
+    // Reading pauses while the link is busy, so the client's socket backs up as on a slow uplink
+    handleUpload(req, res) {
+        req.on('data', (chunk) => {
+            this.bytesUploaded += chunk.length;
+            req.pause();
+            setTimeout(() => req.resume(), this.uploadPacer.delay(chunk.length));
+        });
+        req.on('end', () => res.end('ok'));
+    }
+}
+
+module.exports = StandInHTTPServer;
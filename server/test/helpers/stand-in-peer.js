@@ -0,0 +1,373 @@
+/*
+    Stand-in for the WebRTC side of the speed test. createPeerConnectionClass(link) returns an
+    RTCPeerConnection replacement whose DataChannel is wired to a scripted server peer that
+    answers like server/lib/speed-test-peer.js over the link from helpers/link.js: pongs after
+    the ping delays, downloads at the download rate with drops and transit delays, uploads
+    drained at the upload rate with drops. StandInSignalingServer speaks the signaling protocol
+    of server/webrtc-server.js and records every message it gets.
+*/
+
+const http = require('http');
+const { WebSocketServer } = require('ws');
+const { PacketType, now } = require('../../lib/packet');
+const { isDropped, streamDownload } = require('./link');
+
+const ACK_INTERVAL = 250;
+
+// The browser end of the DataChannel, as far as assets/js/webrtc-speed-test.js uses it
+class StandInDataChannel {
+    constructor(label, options, peer) {
+        this.label = label;
+        this.options = options;
+        this.peer = peer;
+        this.readyState = 'connecting';
+        this.binaryType = 'blob';
+        this.bufferedAmount = 0;
+        this.bufferedAmountLowThreshold = 0;
+        this.listeners = [];
+
+        this.onopen = null;
+        this.onmessage = null;
+        this.onclose = null;
+        this.onerror = null;
+        this.onbufferedamountlow = null;
+    }
+
+    addEventListener(type, listener) {
+        if (type === 'message') this.listeners.push(listener);
+    }
+
+    removeEventListener(type, listener) {
+        if (type === 'message') this.listeners = this.listeners.filter(item => item !== listener);
+    }
+
+    open() {
+        this.readyState = 'open';
+        if (this.onopen) this.onopen();
+    }
+
+    send(data) {
+        if (this.readyState !== 'open') {
+            throw new Error('DataChannel is not open');
+        }
+
+        if (typeof data === 'string') {
+            setTimeout(() => this.peer.receiveText(JSON.parse(data)), 0);
+        } else {
+            this.bufferedAmount += data.byteLength;
+            this.peer.queueUpload(Buffer.from(data));
+        }
+    }
+
+    // Called by the server peer: text as string, packets as ArrayBuffer like binaryType 'arraybuffer'
+    deliver(data) {
+        if (this.readyState !== 'open') return;
+
+        const event = {
+            data: typeof data === 'string' ? data : data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength)
+        };
+        if (this.onmessage) this.onmessage(event);
+        this.listeners.slice().forEach(listener => listener(event));
+    }
+
+    drained(bytes) {
+        const before = this.bufferedAmount;
+        this.bufferedAmount -= bytes;
+        if (before > this.bufferedAmountLowThreshold && this.bufferedAmount <= this.bufferedAmountLowThreshold && this.onbufferedamountlow) {
+            this.onbufferedamountlow();
+        }
+    }
+
+    close() {
+        if (this.readyState === 'closed') return;
+        this.readyState = 'closed';
+        this.peer.close();
+        if (this.onclose) this.onclose();
+    }
+}
+
+// The far end: answers requests and moves packets at the link's rates
+class ScriptedPeer {
+    constructor(link) {
+        this.link = link;
+        this.channel = null;
+        this.pings = 0;
+        this.requests = [];
+        this.stopDownload = null;
+        this.queue = [];
+        this.upload = null;
+        this.bytesSent = 0;
+        this.bytesReceived = 0;
+
+        // Drain the upload queue at the link rate
+        const bytesPerMs = link.upload.rateMbps * 1000 / 8;
+        let last = performance.now();
+        let credit = 0;
+        this.drainTimer = setInterval(() => {
+            const time = performance.now();
+            credit = Math.min(credit + (time - last) * bytesPerMs, 256 * 1024);
+            last = time;
+
+            let drained = 0;
+            while (this.queue.length > 0 && this.queue[0].length <= credit) {
+                const packet = this.queue.shift();
+                credit -= packet.length;
+                drained += packet.length;
+                this.receiveUpload(packet);
+            }
+            if (this.queue.length === 0) credit = 0;
+            if (drained > 0 && this.channel) this.channel.drained(drained);
+        }, 5);
+
+        this.ackTimer = setInterval(() => {
+            if (this.upload && performance.now() - this.upload.lastPacket < 1000) this.sendAck(this.upload);
+        }, ACK_INTERVAL);
+    }
+
+    sendText(message) {
+        const text = JSON.stringify(message);
+        this.bytesSent += text.length;
+        this.channel.deliver(text);
+    }
+
+    receiveText(message) {
+        this.requests.push(message);
+
+        switch (message.type) {
+            case 'ping': {
+                const delay = this.link.pingDelays[this.pings++ % this.link.pingDelays.length];
+                setTimeout(() => this.sendText({ type: 'pong', timestamp: message.timestamp }), delay);
+                break;
+            }
+            case 'download_test':
+                this.stopDownload = streamDownload({
+                    profile: this.link.download,
+                    duration: message.duration,
+                    packetSize: message.packetSize,
+                    clock: now,
+                    send: (packet) => {
+                        this.bytesSent += packet.length;
+                        this.channel.deliver(packet);
+                    },
+                    complete: (packetsSent) => {
+                        this.stopDownload = null;
+                        this.sendText({ type: 'download_complete', packetsSent: packetsSent });
+                    }
+                });
+                break;
+            case 'upload_done':
+                if (this.upload) this.sendAck(this.upload);
+                break;
+        }
+    }
+
+    // As SpeedTestPeer.startUpload() on start-speed-test: fresh totals unless packets of this
+    // test already arrived, and a final ack once the test time is up. The totals stay until
+    // the next start-speed-test, or the next upload's first packets.
+    startUpload(duration) {
+        if (!this.upload || this.upload.timer) {
+            if (this.upload) clearTimeout(this.upload.timer);
+            this.upload = createUploadTotals();
+        }
+
+        const upload = this.upload;
+        upload.timer = setTimeout(() => {
+            upload.finished = true;
+            this.sendAck(upload);
+        }, duration);
+    }
+
+    queueUpload(packet) {
+        this.queue.push(packet);
+    }
+
+    receiveUpload(packet) {
+        const seq = packet.length >= 12 && packet.readUInt8(0) === PacketType.UPLOAD_DATA ? packet.readUInt32BE(8) : null;
+        // As SpeedTestPeer.recordUpload(): a sequence starting over is the next upload
+        const restarted = this.upload && this.upload.finished && seq !== null && seq < this.upload.highestSeq / 2;
+        if (!this.upload || restarted) this.upload = createUploadTotals();
+        const upload = this.upload;
+        const index = upload.sent++;
+        if (isDropped(this.link.upload, index)) return;
+
+        this.bytesReceived += packet.length;
+        upload.packetsReceived++;
+        upload.bytesReceived += packet.length;
+        upload.lastPacket = performance.now();
+        if (seq !== null) {
+            upload.highestSeq = Math.max(upload.highestSeq, seq);
+        }
+    }
+
+    sendAck(upload) {
+        this.sendText({
+            type: 'upload_ack',
+            bytesReceived: upload.bytesReceived,
+            packetsReceived: upload.packetsReceived,
+            highestSeq: upload.highestSeq,
+            jitter: this.link.upload.jitter
+        });
+    }
+
+    close() {
+        if (this.stopDownload) this.stopDownload();
+        clearInterval(this.drainTimer);
+        clearInterval(this.ackTimer);
+        if (this.upload) clearTimeout(this.upload.timer);
+    }
+}
+
+function createUploadTotals() {
+    return { sent: 0, packetsReceived: 0, bytesReceived: 0, highestSeq: -1, lastPacket: 0, timer: null, finished: false };
+}
+
+// Every connection made with the class is kept in `instances`, newest last
+function createPeerConnectionClass(link) {
+    class StandInPeerConnection {
+        constructor(config) {
+            this.config = config;
+            this.iceConnectionState = 'new';
+            this.peer = new ScriptedPeer(link);
+            this.channel = null;
+            this.closed = false;
+
+            this.onicecandidate = null;
+            this.oniceconnectionstatechange = null;
+            this.ondatachannel = null;
+
+            StandInPeerConnection.instances.push(this);
+        }
+
+        createDataChannel(label, options) {
+            this.channel = new StandInDataChannel(label, options, this.peer);
+            this.peer.channel = this.channel;
+            return this.channel;
+        }
+
+        async createOffer() {
+            return { type: 'offer', sdp: 'v=0 stand-in offer' };
+        }
+
+        async setLocalDescription(description) {
+            this.localDescription = description;
+
+            // One host candidate, then the end of gathering
+            setTimeout(() => {
+                if (!this.onicecandidate) return;
+                this.onicecandidate({ candidate: { candidate: 'candidate:1 1 udp 2122260223 127.0.0.1 50000 typ host', sdpMid: '0', sdpMLineIndex: 0 } });
+                this.onicecandidate({ candidate: null });
+            }, 0);
+        }
+
+        async setRemoteDescription(description) {
+            this.remoteDescription = description;
+
+            // A closed connection fires no more events, as in the browser
+            setTimeout(() => {
+                if (this.closed) return;
+                this.iceConnectionState = 'connected';
+                if (this.oniceconnectionstatechange) this.oniceconnectionstatechange();
+                if (this.channel) this.channel.open();
+            }, 10);
+        }
+
+        async addIceCandidate(candidate) {
+            this.remoteCandidates = (this.remoteCandidates || []).concat([candidate]);
+        }
+
+        // A selected host candidate pair with the link's round trip time
+        async getStats() {
+            return new Map([
+                ['T1', { id: 'T1', type: 'transport', selectedCandidatePairId: 'CP1', bytesSent: this.peer.bytesReceived, bytesReceived: this.peer.bytesSent }],
+                ['CP1', {
+                    id: 'CP1',
+                    type: 'candidate-pair',
+                    localCandidateId: 'L1',
+                    remoteCandidateId: 'R1',
+                    currentRoundTripTime: link.rtt / 1000,
+                    availableOutgoingBitrate: link.upload.rateMbps * 1000000
+                }],
+                ['L1', { id: 'L1', type: 'local-candidate', candidateType: 'host', protocol: 'udp', networkType: 'ethernet' }],
+                ['R1', { id: 'R1', type: 'remote-candidate', candidateType: 'host', protocol: 'udp' }]
+            ]);
+        }
+
+        close() {
+            this.closed = true;
+            this.iceConnectionState = 'closed';
+            this.peer.close();
+        }
+    }
+
+    StandInPeerConnection.instances = [];
+    return StandInPeerConnection;
+}
+
+// Signaling as server/webrtc-server.js does it, minus the real peer: the answer only has to
+// reach StandInPeerConnection.setRemoteDescription(). Given the StandInPeerConnection class,
+// start-speed-test for an upload starts the newest connection's upload, as the real server does.
+class StandInSignalingServer {
+    constructor(peerConnections = null) {
+        this.peerConnections = peerConnections;
+        this.server = null;
+        this.wss = null;
+        this.port = null;
+        this.messages = [];
+    }
+
+    async start() {
+        this.server = http.createServer();
+        this.wss = new WebSocketServer({ server: this.server });
+        this.wss.on('connection', (ws) => {
+            ws.on('message', (data) => this.handleMessage(ws, JSON.parse(data.toString())));
+            this.send(ws, { type: 'welcome', clientId: `stand-in-${this.wss.clients.size}` });
+        });
+
+        await new Promise((resolve) => this.server.listen(0, '127.0.0.1', resolve));
+        this.port = this.server.address().port;
+    }
+
+    async stop() {
+        this.wss.clients.forEach((ws) => ws.terminate());
+        await new Promise((resolve) => this.wss.close(resolve));
+        await new Promise((resolve) => this.server.close(resolve));
+    }
+
+    // Messages of one type, in the order they arrived
+    received(type) {
+        return this.messages.filter(message => message.type === type);
+    }
+
+    handleMessage(ws, message) {
+        this.messages.push(message);
+
+        switch (message.type) {
+            case 'offer':
+                this.send(ws, { type: 'answer', answer: { type: 'answer', sdp: 'v=0 stand-in answer' } });
+                this.send(ws, { type: 'ice-candidate', candidate: { candidate: 'candidate:2 1 udp 2122260223 127.0.0.1 50001 typ host', sdpMid: '0', sdpMLineIndex: 0 } });
+                break;
+            case 'start-speed-test': {
+                const newest = this.peerConnections && this.peerConnections.instances[this.peerConnections.instances.length - 1];
+                if (message.testType === 'upload' && newest) {
+                    newest.peer.startUpload(message.duration);
+                }
+                // The real server reports its own totals once the test time is up
+                setTimeout(() => {
+                    this.send(ws, { type: `${message.testType}-complete`, results: { duration: message.duration } });
+                }, message.duration);
+                break;
+            }
+            case 'ping':
+                this.send(ws, { type: 'pong', timestamp: message.timestamp });
+                break;
+        }
+    }
+
+    send(ws, message) {
+        if (ws.readyState === ws.OPEN) {
+            ws.send(JSON.stringify(message));
+        }
+    }
+}
+
+module.exports = { createPeerConnectionClass, StandInSignalingServer };
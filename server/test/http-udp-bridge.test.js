@@ -0,0 +1,138 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const net = require('net');
+const WebSocket = require('ws');
+const HTTPUDPBridge = require('../http-udp-bridge');
+const UDPSpeedTestServer = require('../udp-server');
+
+let server;
+let bridge;
+
+before(async () => {
+    server = new UDPSpeedTestServer({ udpPort: 0, wsPort: 0, wsHost: '127.0.0.1' });
+    await server.start();
+    bridge = new HTTPUDPBridge({
+        host: '127.0.0.1', httpPort: 0, udpPort: server.udpPort, resultsFile: '',
+        maxPingBody: 100, maxUploadBody: 4096, maxDownloadsPerClient: 1
+    });
+    await bridge.start();
+});
+
+after(async () => {
+    await bridge.stop();
+    await server.stop();
+});
+
+// POSTs the chunks one by one without a Content-Length, resolving with the status and reply
+function postChunked(path, chunks) {
+    return new Promise((resolve, reject) => {
+        const req = http.request({ host: '127.0.0.1', port: bridge.httpPort, path: path, method: 'POST' }, (res) => {
+            let body = '';
+            res.on('data', (data) => body += data);
+            res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(body) }));
+        });
+        req.on('error', reject);
+        chunks.forEach(chunk => req.write(chunk));
+        req.end();
+    });
+}
+
+// Writes a raw request and resolves with the status line, or '' when the socket is closed
+function rawRequest(lines) {
+    return new Promise((resolve, reject) => {
+        const socket = net.connect(bridge.httpPort, '127.0.0.1', () => socket.write(lines.join('\r\n') + '\r\n\r\n'));
+        let reply = '';
+        socket.on('data', (data) => reply += data);
+        socket.on('close', () => resolve(reply.split('\r\n')[0]));
+        socket.on('error', reject);
+    });
+}
+
+test('answers a request target that is not a URL with 400', async () => {
+    assert.match(await rawRequest(['GET //[ HTTP/1.1', 'Host: 127.0.0.1', 'Connection: close']), / 400 /);
+    assert.equal(await rawRequest([
+        'GET //[ HTTP/1.1', 'Host: 127.0.0.1', 'Connection: Upgrade', 'Upgrade: websocket',
+        'Sec-WebSocket-Version: 13', 'Sec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ=='
+    ]), '');
+
+    const response = await fetch(`http://127.0.0.1:${bridge.httpPort}/servers.json`);
+    assert.equal(response.status, 200);
+});
+
+test('refuses a ping body over maxPingBody', async () => {
+    const response = await fetch(`http://127.0.0.1:${bridge.httpPort}/udp-ping`, {
+        method: 'POST',
+        body: JSON.stringify({ padding: 'x'.repeat(200) })
+    });
+
+    assert.equal(response.status, 413);
+    assert.equal((await response.json()).type, 'error');
+});
+
+test('answers a ping body that is not a JSON object with 400', async () => {
+    for (const body of ['null', '[]', '"ping"']) {
+        const response = await fetch(`http://127.0.0.1:${bridge.httpPort}/udp-ping`, { method: 'POST', body: body });
+        assert.equal(response.status, 400, body);
+    }
+});
+
+test('refuses an upload over maxUploadBody, even without a Content-Length', async () => {
+    const reply = await postChunked('/udp-upload', [Buffer.alloc(3000), Buffer.alloc(3000), Buffer.alloc(3000)]);
+
+    assert.equal(reply.status, 413);
+    assert.equal(bridge.uploadSessions.get('anonymous').bytes, 0);
+});
+
+test('forwards an upload within maxUploadBody', async () => {
+    const reply = await postChunked('/udp-upload', [Buffer.alloc(2000), Buffer.alloc(2000)]);
+
+    // 1472 byte datagrams by default: three of them, headers included
+    assert.equal(reply.status, 200);
+    assert.equal(reply.body.datagrams, 3);
+    assert.equal(reply.body.bytes, 4000 + 3 * 20);
+});
+
+test('refuses an X-Datagram-Size below 64 bytes or not a number', async () => {
+    for (const size of ['0.01', '63', '-1', 'abc']) {
+        const response = await fetch(`http://127.0.0.1:${bridge.httpPort}/udp-upload`, {
+            method: 'POST',
+            headers: { 'X-Client-Id': 'tiny', 'X-Datagram-Size': size },
+            body: Buffer.alloc(2000)
+        });
+        assert.equal(response.status, 400, size);
+    }
+    assert.equal(bridge.uploadSessions.has('tiny'), false);
+
+    const response = await fetch(`http://127.0.0.1:${bridge.httpPort}/udp-upload`, {
+        method: 'POST',
+        headers: { 'X-Client-Id': 'tiny', 'X-Datagram-Size': '120.9' },
+        body: Buffer.alloc(2000)
+    });
+    assert.equal((await response.json()).datagrams, 20);
+});
+
+// Opens a binary download and resolves once the first message has arrived
+function openDownload() {
+    const ws = new WebSocket(`ws://127.0.0.1:${bridge.httpPort}/udp-download?duration=2000&packetSize=200&rate=1`);
+    return new Promise((resolve, reject) => {
+        ws.once('message', (data, isBinary) => resolve({ ws, first: isBinary ? 'data' : JSON.parse(data.toString()).type }));
+        ws.on('error', reject);
+    });
+}
+
+test('limits the concurrent downloads of one browser', async () => {
+    const running = await openDownload();
+    assert.equal(running.first, 'data');
+
+    const refused = await openDownload();
+    assert.equal(refused.first, 'error');
+    const sse = await fetch(`http://127.0.0.1:${bridge.httpPort}/udp-download?duration=2000`);
+    assert.equal(sse.status, 429);
+
+    running.ws.close();
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    const next = await openDownload();
+    assert.equal(next.first, 'data');
+    next.ws.close();
+});
@@ -0,0 +1,237 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createBrowser } = require('./helpers/browser');
+const { ImpairedLink, parseProfile, describeProfile, expectedLoss, listProfiles } = require('../lib/impairment');
+const UDPSpeedTestServer = require('../udp-server');
+const HTTPUDPBridge = require('../http-udp-bridge');
+
+// Small seeded generator (mulberry32), so the random impairments give the same counts every run
+function seeded(seed) {
+    return () => {
+        seed = (seed + 0x6D2B79F5) >>> 0;
+        let t = seed;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Sends count packets at once and resolves with the arrival order and times once all have landed
+function sendAll(link, count, size = 1000) {
+    const start = performance.now();
+    const arrivals = [];
+    let accepted = 0;
+
+    for (let i = 0; i < count; i++) {
+        if (link.send(size, () => arrivals.push({ index: i, time: performance.now() - start }))) accepted++;
+    }
+
+    return new Promise((resolve) => {
+        const check = () => (link.queuedBytes === 0 ? resolve({ arrivals, accepted }) : setTimeout(check, 5));
+        check();
+    });
+}
+
+describe('profiles', () => {
+    test('parses presets, specs and objects', () => {
+        assert.equal(parseProfile('none'), null);
+        assert.equal(parseProfile(''), null);
+        assert.equal(parseProfile('delay:0'), null);
+
+        assert.equal(parseProfile('loss-2').loss, 2);
+        assert.equal(parseProfile('LTE').rate, 30);
+
+        const profile = parseProfile('delay:40, jitter:10,loss:2,gilbert:2/30,rate:20');
+        assert.equal(profile.delay, 40);
+        assert.equal(profile.jitter, 10);
+        assert.deepEqual({ ...profile.gilbert }, { p: 2, r: 30, bad: 100, good: 0 });
+        assert.equal(profile.queue, 200);
+        assert.equal(parseProfile({ delay: 5, loss: '1' }).loss, 1);
+    });
+
+    test('names specs after the preset they match', () => {
+        assert.equal(parseProfile('loss:2').name, 'loss-2');
+        assert.equal(parseProfile({ delay: 10, gilbert: { p: 1, r: 25 } }).name, 'bursty');
+        assert.equal(parseProfile('loss:3,delay:20').name, 'delay:20,loss:3');
+        assert.equal(describeProfile(parseProfile(describeProfile(parseProfile('3g')))), describeProfile(parseProfile('3g')));
+    });
+
+    test('rejects unknown keys and out of range values', () => {
+        assert.throws(() => parseProfile('lossy'), TypeError);
+        assert.throws(() => parseProfile('loss:-1'), TypeError);
+        assert.throws(() => parseProfile('loss:120'), TypeError);
+        assert.throws(() => parseProfile('gilbert:5/0'), TypeError);
+        assert.throws(() => parseProfile(42), TypeError);
+    });
+
+    test('lists every preset with its long run loss', () => {
+        const profiles = listProfiles();
+
+        assert.equal(profiles[0].name, 'none');
+        assert.equal(profiles.find(profile => profile.name === 'loss-5').loss, 5);
+        assert.ok(Math.abs(expectedLoss(parseProfile('bursty')) - 100 / 26) < 1e-9);
+    });
+});
+
+describe('ImpairedLink', () => {
+    test('passes packets straight through without a profile', () => {
+        const link = new ImpairedLink(null);
+        let delivered = 0;
+
+        link.send(100, () => delivered++);
+        assert.equal(delivered, 1);
+    });
+
+    test('drops the Bernoulli share of packets', async () => {
+        const link = new ImpairedLink(parseProfile('loss:5'), { random: seeded(1) });
+        const { arrivals } = await sendAll(link, 20000, 10);
+
+        const loss = (1 - arrivals.length / 20000) * 100;
+        assert.ok(Math.abs(loss - 5) < 0.5, `loss ${loss}`);
+        assert.equal(link.stats.lost, 20000 - arrivals.length);
+    });
+
+    test('Gilbert-Elliott loses packets in bursts at the expected rate', async () => {
+        const link = new ImpairedLink(parseProfile('gilbert:1/25'), { random: seeded(2) });
+        const { arrivals } = await sendAll(link, 50000, 10);
+
+        const received = new Set(arrivals.map(arrival => arrival.index));
+        const bursts = [];
+        let run = 0;
+        for (let i = 0; i < 50000; i++) {
+            if (!received.has(i)) {
+                run++;
+            } else if (run > 0) {
+                bursts.push(run);
+                run = 0;
+            }
+        }
+
+        const loss = (1 - received.size / 50000) * 100;
+        const meanBurst = bursts.reduce((a, b) => a + b, 0) / bursts.length;
+        assert.ok(Math.abs(loss - 100 / 26) < 0.8, `loss ${loss}`);
+        // Bursts last 1 / r packets on average, where Bernoulli loss would give about 1
+        assert.ok(meanBurst > 3 && meanBurst < 5, `mean burst ${meanBurst}`);
+    });
+
+    test('delays packets and spreads them by the jitter, reordering some', async () => {
+        const link = new ImpairedLink(parseProfile('delay:30,jitter:10'), { random: seeded(3) });
+        const { arrivals } = await sendAll(link, 50);
+
+        assert.equal(arrivals.length, 50);
+        arrivals.forEach((arrival) => {
+            assert.ok(arrival.time >= 19 && arrival.time < 60, `arrival ${arrival.time}`);
+        });
+        assert.ok(arrivals.some((arrival, i) => i > 0 && arrival.index < arrivals[i - 1].index), 'reordered');
+    });
+
+    test('reordered packets overtake the delayed ones and duplicates arrive twice', async () => {
+        const link = new ImpairedLink(parseProfile('delay:40,reorder:50,duplicate:100'), { random: seeded(4) });
+        const { arrivals } = await sendAll(link, 40);
+
+        assert.equal(arrivals.length, 80);
+        assert.equal(link.stats.duplicated, 40);
+        const early = arrivals.filter(arrival => arrival.time < 20).length / 2;
+        assert.equal(early, link.stats.reordered);
+        assert.ok(early > 10 && early < 30, `reordered ${early}`);
+    });
+
+    test('queues behind the bandwidth cap and tail drops what does not fit', async () => {
+        // 8 Mbps is 1000 bytes per ms: 50 ms of queue holds about 50 packets
+        const link = new ImpairedLink(parseProfile('rate:8,queue:50'));
+        const { arrivals, accepted } = await sendAll(link, 100);
+
+        assert.ok(Math.abs(accepted - 51) <= 2, `accepted ${accepted}`);
+        assert.equal(link.stats.tailDropped, 100 - accepted);
+        const last = arrivals[arrivals.length - 1].time;
+        assert.ok(last >= accepted - 2 && last < accepted + 30, `last arrival ${last}`);
+    });
+
+    test('a reliable link delivers everything in order, late where it was lost', async () => {
+        const link = new ImpairedLink(parseProfile('delay:5,jitter:4,loss:20'), { reliable: true, random: seeded(5) });
+        const { arrivals } = await sendAll(link, 50);
+
+        assert.deepEqual(arrivals.map(arrival => arrival.index), Array.from({ length: 50 }, (_, i) => i));
+        assert.ok(link.stats.lost > 0);
+        // Everything behind the first loss waits for its retransmission
+        assert.ok(arrivals[49].time >= 200, `last arrival ${arrivals[49].time}`);
+    });
+});
+
+describe('UDP server and bridge', () => {
+    let server;
+    let bridge;
+    let window;
+    let udpTest;
+
+    before(async () => {
+        server = new UDPSpeedTestServer({ host: '127.0.0.1', udpPort: 0, wsPort: 0, allowImpairmentControl: true });
+        await server.start();
+        bridge = new HTTPUDPBridge({ host: '127.0.0.1', httpPort: 0, udpPort: server.udpPort, resultsFile: '' });
+        await bridge.start();
+
+        window = await createBrowser({ scripts: ['packet-stats.js', 'udp-speed-test.js'], search: '?impair=loss-5&bitrate=5' });
+        udpTest = new window.UDPSpeedTest();
+        Object.assign(udpTest.config, {
+            wsPort: server.wsPort,
+            bridgePort: bridge.httpPort,
+            testDuration: 2000,
+            pingCount: 5
+        });
+        assert.equal(await udpTest.initialize(), true);
+    });
+
+    after(async () => {
+        udpTest.disconnect();
+        window.close();
+        await bridge.stop();
+        await server.stop();
+    });
+
+    test('server_info offers the presets', () => {
+        assert.equal(udpTest.config.impairment, 'loss-5');
+        assert.equal(udpTest.serverInfo.impairment, null);
+        assert.ok(udpTest.serverInfo.impairmentProfiles.some(profile => profile.name === 'satellite'));
+    });
+
+    test('download and upload report the loss the client asked for', async () => {
+        const download = await udpTest.startDownloadTest();
+        const upload = await udpTest.startUploadTest();
+
+        // About 1200 datagrams per direction at 5 Mbps: 5% loss give or take 2.5
+        assert.ok(Math.abs(download.lossPercent - 5) < 2.5, `download loss ${download.lossPercent}`);
+        assert.ok(Math.abs(upload.lossPercent - 5) < 2.5, `upload loss ${upload.lossPercent}`);
+    });
+
+    test('the control channel sets the default profile and the ping sees its delay', async () => {
+        udpTest.config.impairment = '';
+        const info = await udpTest.setImpairment('delay:40');
+        assert.equal(info.impairment.delay, 40);
+
+        const ping = await udpTest.startPingTest();
+        // Impaired on the way there and on the way back
+        assert.ok(ping.average >= 80 && ping.average < 120, `ping ${ping.average}`);
+
+        await assert.rejects(udpTest.setImpairment('loss:200'), /between 0 and 100/);
+        await udpTest.setImpairment('none');
+        assert.equal(udpTest.serverInfo.impairment, null);
+    });
+
+    test('/downloading applies a profile as a TCP stream sees it', async () => {
+        const rejected = await fetch(`http://127.0.0.1:${bridge.httpPort}/downloading?impair=lossy`);
+        assert.equal(rejected.status, 400);
+
+        const controller = new AbortController();
+        const response = await fetch(`http://127.0.0.1:${bridge.httpPort}/downloading?impair=rate:40,loss:1`, { signal: controller.signal });
+        const reader = response.body.getReader();
+        const start = performance.now();
+        let bytes = 0;
+        while (bytes < 5 * 1024 * 1024) {
+            bytes += (await reader.read()).value.length;
+        }
+        controller.abort();
+
+        const speedMbps = bytes * 8 / (performance.now() - start) / 1000;
+        assert.ok(speedMbps > 25 && speedMbps < 45, `speed ${speedMbps}`);
+    });
+});
@@ -0,0 +1,146 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createBrowser, ENGINE_ELEMENTS } = require('./helpers/browser');
+const { createLink, expected } = require('./helpers/link');
+const { createPeerConnectionClass, StandInSignalingServer } = require('./helpers/stand-in-peer');
+const StandInBridge = require('./helpers/stand-in-bridge');
+const StandInHTTPServer = require('./helpers/stand-in-http');
+
+// index.html's engine configuration, cut down to short runs against the HTTP stand-in
+function engineSettings(http) {
+    return {
+        openSpeedTestServerList: http.serverList(),
+        pingSamples: 6, jitterFinalSample: 0.5, setPingSamples: true, pingTimeOut: 5000, setPingTimeout: true,
+        pingMethod: 'GET', pingFile: 'Upload', ulDataSize: 1, ulDelay: 300, dlDelay: 300, upAdjust: 1.04, dlAdjust: 1.04,
+        enableClean: true, dlDuration: 3, ulDuration: 3, dlThreads: 2, ulThreads: 2, setHTTPReq: true,
+        saveData: false, saveDataURL: '', stressTest: true, selectTest: true, selectServer: true, enableRun: true,
+        ostOnload: () => {}, openChannel: 'dev'
+    };
+}
+
+const link = createLink();
+const want = expected(link);
+const PeerConnection = createPeerConnectionClass(link);
+let bridge;
+let signaling;
+let http;
+let window;
+let multi;
+let results;
+const events = [];
+
+function near(actual, target, tolerance, label) {
+    assert.ok(Math.abs(actual - target) / target < tolerance, `${label} ${actual}, expected about ${target}`);
+}
+
+before(async () => {
+    bridge = new StandInBridge(link);
+    signaling = new StandInSignalingServer(PeerConnection);
+    http = new StandInHTTPServer(link);
+    await bridge.start();
+    await signaling.start();
+    await http.start();
+
+    window = await createBrowser({
+        scripts: [
+            'webrtc-config.js', 'packet-stats.js', 'result-history.js', 'webrtc-speed-test.js', 'webrtc-integration.js',
+            'udp-speed-test.js', 'app-2.5.4.js', 'multi-protocol-test.js'
+        ],
+        search: `?signaling=ws://127.0.0.1:${signaling.port}&packetSize=4096&maxBuffered=262144&duration=2000`,
+        html: ENGINE_ELEMENTS.map(id => `<div id="${id}"></div>`).join(''),
+        globals: Object.assign({ RTCPeerConnection: PeerConnection }, engineSettings(http))
+    });
+
+    // jsdom keeps no resource timings; the engine then times requests itself
+    window.performance.clearResourceTimings = () => {};
+    window.performance.getEntries = () => [{ initiatorType: 'other' }];
+    window.OpenSpeedTest.Start();
+
+    // The UDP tester has no URL parameters for its ports
+    const BaseUDPSpeedTest = window.UDPSpeedTest;
+    window.UDPSpeedTest = class extends BaseUDPSpeedTest {
+        constructor() {
+            super();
+            Object.assign(this.config, { wsPort: bridge.port, bridgePort: bridge.port, testDuration: 2000, pingCount: 6 });
+        }
+    };
+
+    multi = new window.MultiProtocolSpeedTest();
+    ['start', 'result', 'error', 'complete'].forEach((type) => {
+        multi.on(type, detail => events.push({ type: type, detail: detail }));
+    });
+    assert.equal(await multi.initialize(), true);
+
+    multi.comparisonMode = true;
+    results = await multi.runSpeedTest();
+});
+
+after(async () => {
+    multi.disconnect();
+    window.close();
+    await http.stop();
+    await signaling.stop();
+    await bridge.stop();
+});
+
+test('finds all three protocols', () => {
+    assert.deepEqual([...multi.availableProtocols], ['webrtc', 'udp', 'http']);
+    assert.equal(events.filter(event => event.type === 'error').length, 0);
+});
+
+test('UDP leg measures the link', () => {
+    const udp = results.udp;
+
+    assert.equal(udp.server, 'Stand-in UDP Server');
+    near(udp.download.speedMbps, want.downloadMbps, 0.1, 'download');
+    assert.ok(Math.abs(udp.download.lossPercent - want.downloadLoss) < 0.5, `download loss ${udp.download.lossPercent}`);
+    assert.ok(Math.abs(udp.download.jitter - want.downloadJitter) < 0.5, `download jitter ${udp.download.jitter}`);
+    near(udp.upload.speedMbps, want.uploadMbps, 0.15, 'upload');
+    assert.ok(Math.abs(udp.upload.lossPercent - want.uploadLoss) < 0.5, `upload loss ${udp.upload.lossPercent}`);
+});
+
+test('WebRTC leg connects through signaling and measures the link', () => {
+    const webrtc = results.webrtc;
+
+    assert.equal(signaling.received('offer').length, 1);
+    assert.equal(webrtc.server, `127.0.0.1:${signaling.port}`);
+    assert.ok(webrtc.ping.average >= link.pingDelays[0], `ping ${webrtc.ping.average}`);
+    near(webrtc.download.speedMbps, want.downloadMbps, 0.1, 'download');
+    assert.ok(Math.abs(webrtc.download.lossPercent - want.downloadLoss) < 0.5, `download loss ${webrtc.download.lossPercent}`);
+    near(webrtc.upload.speedMbps, want.uploadMbps, 0.1, 'upload');
+    assert.ok(Math.abs(webrtc.upload.lossPercent - want.uploadLoss) < 0.5, `upload loss ${webrtc.upload.lossPercent}`);
+    assert.equal(webrtc.transport.rtt, link.rtt);
+});
+
+test('HTTP leg runs the OpenSpeedTest engine against the link', () => {
+    const result = results.http;
+
+    assert.equal(result.server, 'Stand-in HTTP Server');
+    assert.ok(result.ping.average >= link.pingDelays[0], `ping ${result.ping.average}`);
+    // The engine scales its readings by dlAdjust / upAdjust (1.04), and counts upload bytes as
+    // they leave for the socket, so loopback buffers add a little on top
+    near(result.download.speedMbps, link.download.rateMbps * 1.04, 0.1, 'download');
+    near(result.upload.speedMbps, link.upload.rateMbps * 1.04, 0.15, 'upload');
+});
+
+test('reports every protocol once the comparison is over', () => {
+    const starts = events.filter(event => event.type === 'start').map(event => event.detail.protocol);
+    const records = events.filter(event => event.type === 'result').map(event => event.detail.protocol);
+    const complete = events.filter(event => event.type === 'complete');
+
+    assert.deepEqual(starts, ['webrtc', 'udp']);
+    assert.deepEqual(records, ['webrtc', 'udp']);
+    assert.equal(complete.length, 1);
+    assert.equal(complete[0].detail.comparison, true);
+    assert.deepEqual([...complete[0].detail.results].map(record => record.protocol), ['webrtc', 'udp', 'http']);
+    assert.ok(window.document.getElementById('comparison-table'), 'comparison table');
+});
+
+test('a second WebRTC run reports its own upload, not the sum of both', async () => {
+    // Runs after the comparison checks, which count its events
+    const again = await multi.runProtocolTest('webrtc');
+
+    assert.equal(signaling.received('start-speed-test').filter(message => message.testType === 'upload').length, 2);
+    near(again.upload.speedMbps, want.uploadMbps, 0.1, 'upload');
+    assert.ok(Math.abs(again.upload.lossPercent - want.uploadLoss) < 0.5, `upload loss ${again.upload.lossPercent}`);
+});
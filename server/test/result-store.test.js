@@ -0,0 +1,94 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const HTTPUDPBridge = require('../http-udp-bridge');
+const ResultStore = require('../lib/result-store');
+
+let bridge;
+let base;
+
+before(async () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'results-')), 'results.jsonl');
+    // Stored before timestamps were range checked
+    fs.writeFileSync(file, JSON.stringify({ id: 'old', savedAt: 1760000000000, result: { download: 50, timestamp: 1e20, dataUsed: { download: 0, upload: 0 } } }) + '\n');
+
+    bridge = new HTTPUDPBridge({ host: '127.0.0.1', httpPort: 0, resultsFile: file });
+    await bridge.start();
+    base = `http://127.0.0.1:${bridge.httpPort}`;
+});
+
+after(async () => {
+    await bridge.stop();
+});
+
+test('drops timestamps a Date cannot hold', () => {
+    assert.equal(ResultStore.sanitize({ download: 1, timestamp: 1e20 }).timestamp, null);
+    assert.equal(ResultStore.sanitize({ download: 1, timestamp: -5 }).timestamp, null);
+    assert.equal(ResultStore.sanitize({ download: 1, timestamp: 1760000000000 }).timestamp, 1760000000000);
+});
+
+test('refuses speeds and data used that are not finite numbers of at least 0', async () => {
+    for (const result of [
+        { download: -1 },
+        { download: 10, upload: 'fast' },
+        { ping: -3, download: 10 },
+        { download: 10, jitter: '-0.5' },
+        { download: 10, dataUsed: { download: -1024 } },
+        { download: 10, dataUsed: { upload: 'Infinity' } }
+    ]) {
+        assert.throws(() => ResultStore.sanitize(result), /must be a finite number of at least 0/, JSON.stringify(result));
+    }
+
+    const clean = ResultStore.sanitize({ download: '12.5', upload: 0, dataUsed: { download: 1024 } });
+    assert.equal(clean.download, 12.5);
+    assert.equal(clean.upload, 0);
+    assert.equal(clean.ping, null);
+    assert.deepEqual(clean.dataUsed, { download: 1024, upload: 0 });
+
+    const posted = await fetch(`${base}/results`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ download: 100, dataUsed: { download: -1, upload: 0 } })
+    });
+    assert.equal(posted.status, 400);
+    assert.match((await posted.json()).message, /dataUsed\.download/);
+});
+
+test('keeps only the known latency under load fields', () => {
+    const clean = ResultStore.sanitize({
+        download: 1,
+        loadedLatency: {
+            idle: 10, delta: '12.5', grade: 'A', extra: 'x'.repeat(1000),
+            download: { samples: 8, median: 22, max: 40, raw: [1, 2, 3] },
+            upload: 'lots'
+        }
+    });
+
+    assert.deepEqual(clean.loadedLatency, {
+        idle: 10,
+        download: { samples: 8, median: 22, max: 40 },
+        upload: null,
+        delta: 12.5,
+        grade: 'A'
+    });
+    assert.equal(ResultStore.sanitize({ download: 1, loadedLatency: { grade: '<b>' } }).loadedLatency.grade, null);
+});
+
+test('a result page shows an out of range time as the time it was saved', async () => {
+    const posted = await fetch(`${base}/results`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ download: 100, upload: 20, ping: 9, timestamp: 1e20 })
+    });
+    const { id } = await posted.json();
+
+    const page = await fetch(`${base}/results/${id}`);
+    assert.equal(page.status, 200);
+    assert.match(await page.text(), /<td[^>]*>\d{4}-\d\d-\d\d \d\d:\d\d:\d\d UTC<\/td>/);
+
+    const old = await fetch(`${base}/results/old`);
+    assert.equal(old.status, 200);
+    assert.match(await old.text(), /2025-10-09 08:53:20 UTC/);
+});
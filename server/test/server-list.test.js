@@ -0,0 +1,181 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { createBrowser, ENGINE_ELEMENTS } = require('./helpers/browser');
+const { createLink } = require('./helpers/link');
+const { createPeerConnectionClass } = require('./helpers/stand-in-peer');
+const StandInBridge = require('./helpers/stand-in-bridge');
+const StandInHTTPServer = require('./helpers/stand-in-http');
+const HTTPUDPBridge = require('../http-udp-bridge');
+const { parseProtocols } = require('../lib/server-list');
+
+function writeServersFile(list) {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'servers-')), 'servers.json');
+    fs.writeFileSync(file, JSON.stringify(list));
+    return file;
+}
+
+describe('/servers.json', () => {
+    let bridge;
+
+    before(async () => {
+        bridge = new HTTPUDPBridge({
+            host: '127.0.0.1', httpPort: 0, resultsFile: '', serverName: 'Lab', protocols: 'udp, http', wsPort: 9102
+        });
+        await bridge.start();
+    });
+
+    after(async () => {
+        await bridge.stop();
+    });
+
+    test('describes the bridge on the host name the client used', async () => {
+        const response = await fetch(`http://127.0.0.1:${bridge.httpPort}/servers.json`);
+        const base = `http://127.0.0.1:${bridge.httpPort}`;
+
+        assert.equal(response.headers.get('access-control-allow-origin'), '*');
+        assert.deepEqual(await response.json(), [{
+            ServerName: 'Lab',
+            ServerIcon: 'DefaultIcon',
+            Download: `${base}/downloading`,
+            Upload: `${base}/upload`,
+            UDPBridge: base,
+            UDPControl: 'ws://127.0.0.1:9102',
+            Protocols: {
+                http: { port: bridge.httpPort },
+                udp: { port: 9001, controlPort: 9102, bridgePort: bridge.httpPort, maxPacketSize: 1472 }
+            }
+        }]);
+    });
+
+    test('falls back to localhost for a Host header that is not a host name', async () => {
+        for (const host of ['[', 'example.com/path', 'user@example.com']) {
+            const entry = await new Promise((resolve, reject) => {
+                http.get({ host: '127.0.0.1', port: bridge.httpPort, path: '/servers.json', headers: { Host: host } }, (res) => {
+                    let body = '';
+                    res.on('data', (data) => body += data);
+                    res.on('end', () => resolve(JSON.parse(body)[0]));
+                }).on('error', reject);
+            });
+
+            assert.equal(entry.Download, `http://localhost:${bridge.httpPort}/downloading`, host);
+            assert.equal(entry.UDPControl, 'ws://localhost:9102', host);
+        }
+    });
+
+    test('uses https and wss behind a TLS proxy', async () => {
+        const response = await fetch(`http://127.0.0.1:${bridge.httpPort}/servers.json`, {
+            headers: { 'X-Forwarded-Proto': 'https' }
+        });
+        const [entry] = await response.json();
+
+        assert.equal(entry.Download, `https://127.0.0.1:${bridge.httpPort}/downloading`);
+        assert.equal(entry.UDPControl, 'wss://127.0.0.1:9102');
+    });
+
+    test('serves a --servers file, filling in what each server supports', async () => {
+        const file = writeServersFile([
+            { ServerName: 'A', Download: 'http://a/downloading', Upload: 'http://a/upload', Signaling: 'ws://a:8081' },
+            { ServerName: 'B', Download: 'http://b/downloading', Upload: 'http://b/upload', Protocols: { http: {} } }
+        ]);
+        const listed = new HTTPUDPBridge({ host: '127.0.0.1', httpPort: 0, resultsFile: '', serversFile: file });
+        await listed.start();
+
+        try {
+            const list = await (await fetch(`http://127.0.0.1:${listed.httpPort}/servers.json`)).json();
+            assert.deepEqual(list.map(entry => entry.Protocols), [{ http: {}, webrtc: {} }, { http: {} }]);
+        } finally {
+            await listed.stop();
+        }
+    });
+
+    test('rejects unknown protocols and server lists without test URLs', async () => {
+        assert.deepEqual(parseProtocols('WebRTC,http'), ['http', 'webrtc']);
+        assert.throws(() => new HTTPUDPBridge({ protocols: 'http,quic' }), /Unknown protocol "quic"/);
+
+        const file = writeServersFile([{ ServerName: 'No URLs' }]);
+        const listed = new HTTPUDPBridge({ host: '127.0.0.1', httpPort: 0, resultsFile: '', serversFile: file });
+        await assert.rejects(listed.start(), /needs Download and Upload URLs/);
+        await listed.stop();
+    });
+});
+
+describe('openSpeedTestServerList = "fetch"', () => {
+    const link = createLink({ pingDelays: [5] });
+    let http;
+    let udp;
+    let bridge;
+    let window;
+    let multi;
+
+    before(async () => {
+        http = new StandInHTTPServer(link);
+        udp = new StandInBridge(link);
+        await http.start();
+        await udp.start();
+
+        // A UDP-only server: no signaling server is listed, so WebRTC is not set up at all
+        bridge = new HTTPUDPBridge({
+            host: '127.0.0.1',
+            httpPort: 0,
+            resultsFile: '',
+            serversFile: writeServersFile([Object.assign(http.serverList()[0], {
+                ServerName: 'Near',
+                UDPBridge: `http://127.0.0.1:${udp.port}`,
+                UDPControl: `ws://127.0.0.1:${udp.port}`,
+                Protocols: { http: {}, udp: { maxPacketSize: 512 } }
+            })])
+        });
+        await bridge.start();
+
+        window = await createBrowser({
+            scripts: [
+                'webrtc-config.js', 'packet-stats.js', 'webrtc-speed-test.js', 'webrtc-integration.js',
+                'udp-speed-test.js', 'app-2.5.4.js', 'server-selector.js', 'multi-protocol-test.js'
+            ],
+            html: ENGINE_ELEMENTS.map(id => `<div id="${id}"></div>`).join(''),
+            globals: {
+                RTCPeerConnection: createPeerConnectionClass(link),
+                openSpeedTestServerList: 'fetch',
+                serverListURL: `http://127.0.0.1:${bridge.httpPort}/servers.json`,
+                pingSamples: 3, jitterFinalSample: 0.5, setPingSamples: true, pingTimeOut: 5000, setPingTimeout: true,
+                pingMethod: 'GET', pingFile: 'Upload', ulDataSize: 1, ulDelay: 300, dlDelay: 300, upAdjust: 1.04, dlAdjust: 1.04,
+                enableClean: true, dlDuration: 3, ulDuration: 3, dlThreads: 2, ulThreads: 2, setHTTPReq: true,
+                saveData: false, saveDataURL: '', stressTest: true, selectTest: true, selectServer: true, enableRun: true,
+                ostOnload: () => {}, openChannel: 'dev'
+            }
+        });
+        window.performance.clearResourceTimings = () => {};
+        window.performance.getEntries = () => [{ initiatorType: 'other' }];
+        window.OpenSpeedTest.Start();
+
+        multi = new window.MultiProtocolSpeedTest();
+        assert.equal(await multi.initialize(), true);
+    });
+
+    after(async () => {
+        multi.disconnect();
+        window.close();
+        await bridge.stop();
+        await udp.stop();
+        await http.stop();
+    });
+
+    test('MultiProtocolSpeedTest sets up the protocols the servers offer', () => {
+        assert.deepEqual([...multi.availableProtocols], ['udp', 'http']);
+        assert.equal(window.RTCPeerConnection.instances.length, 0);
+        assert.equal(udp.wss.clients.size, 1);
+        // Held to the server's packet size limit
+        assert.equal(multi.udpTest.config.packetSize, 512);
+    });
+
+    test('the HTTP engine tests the servers from the list', async () => {
+        const result = await window.OpenSpeedTest.run({ tests: ['ping'] });
+
+        assert.equal(result.server, 'Near');
+        assert.ok(result.ping >= 5, `ping ${result.ping}`);
+    });
+});
@@ -0,0 +1,171 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createBrowser } = require('./helpers/browser');
+const { createLink } = require('./helpers/link');
+const { createPeerConnectionClass, StandInSignalingServer } = require('./helpers/stand-in-peer');
+const StandInBridge = require('./helpers/stand-in-bridge');
+const StandInHTTPServer = require('./helpers/stand-in-http');
+
+// One stand-in server of each kind behind a link with a fixed ping delay
+async function startSite(name, pingDelay) {
+    const link = createLink({ pingDelays: [pingDelay] });
+    const site = {
+        name: name,
+        link: link,
+        http: new StandInHTTPServer(link),
+        bridge: new StandInBridge(link),
+        signaling: new StandInSignalingServer()
+    };
+    await site.http.start();
+    await site.bridge.start();
+    await site.signaling.start();
+
+    site.entry = Object.assign(site.http.serverList()[0], {
+        ServerName: name,
+        UDPBridge: `http://127.0.0.1:${site.bridge.port}/`,
+        UDPControl: `ws://127.0.0.1:${site.bridge.port}`,
+        Signaling: `ws://127.0.0.1:${site.signaling.port}`
+    });
+    return site;
+}
+
+async function stopSite(site) {
+    await site.signaling.stop();
+    await site.bridge.stop();
+    await site.http.stop();
+}
+
+describe('ServerSelector', () => {
+    let far;
+    let near;
+    let window;
+
+    before(async () => {
+        far = await startSite('Far', 60);
+        near = await startSite('Near', 5);
+        window = await createBrowser({ scripts: ['server-selector.js'] });
+    });
+
+    after(async () => {
+        window.close();
+        await stopSite(near);
+        await stopSite(far);
+    });
+
+    test('reads the endpoints each server offers', () => {
+        const selector = new window.ServerSelector([
+            near.entry,
+            { ServerName: 'HTTP only', Download: 'downloading', Upload: 'upload' },
+            { Signaling: 'ws://127.0.0.1:1' }
+        ], { pingTimeout: undefined });
+
+        assert.deepEqual([...selector.servers[0].protocols], ['webrtc', 'udp', 'http']);
+        assert.equal(selector.servers[0].udpBridge, `http://127.0.0.1:${near.bridge.port}`);
+        assert.equal(selector.servers[1].download, 'http://127.0.0.1/downloading');
+        assert.deepEqual([...selector.servers[1].protocols], ['http']);
+        assert.equal(selector.servers[2].name, 'Server 3');
+        assert.equal(selector.options.pingTimeout, 5000);
+    });
+
+    test('runs every protocol against the server with the least latency', async () => {
+        const unreachable = { ServerName: 'Down', Download: 'http://127.0.0.1:1/downloading', Upload: 'http://127.0.0.1:1/upload' };
+        const selector = new window.ServerSelector([unreachable, far.entry, near.entry], { pingSamples: 3 });
+        await selector.measure();
+
+        assert.equal(selector.servers[0].latency, null);
+        assert.ok(selector.servers[1].latency >= 60, `far ${selector.servers[1].latency}`);
+        assert.ok(selector.servers[2].latency < 60, `near ${selector.servers[2].latency}`);
+        ['webrtc', 'udp', 'http'].forEach(protocol => assert.equal(selector.select(protocol).name, 'Near'));
+    });
+
+    test('a manual pick wins for the protocols it offers', () => {
+        const httpOnly = { ServerName: 'HTTP only', Download: 'downloading', Upload: 'upload' };
+        const selector = new window.ServerSelector([near.entry, httpOnly]);
+        selector.servers[0].latency = 30;
+        selector.servers[1].latency = 10;
+
+        selector.pick(1);
+        assert.equal(selector.select('http').name, 'HTTP only');
+        assert.equal(selector.select('udp').name, 'Near');
+
+        selector.pick(7);
+        assert.equal(selector.manual, null);
+        assert.equal(selector.select('http').name, 'HTTP only');
+    });
+});
+
+describe('MultiProtocolSpeedTest with a server list', () => {
+    let far;
+    let near;
+    let window;
+    let multi;
+
+    before(async () => {
+        far = await startSite('Far', 60);
+        near = await startSite('Near', 5);
+
+        window = await createBrowser({
+            scripts: [
+                'webrtc-config.js', 'packet-stats.js', 'webrtc-speed-test.js', 'webrtc-integration.js',
+                'udp-speed-test.js', 'server-selector.js', 'multi-protocol-test.js'
+            ],
+            globals: {
+                RTCPeerConnection: createPeerConnectionClass(near.link),
+                openSpeedTestServerList: [far.entry, near.entry],
+                pingFile: 'Upload',
+                pingMethod: 'GET'
+            }
+        });
+
+        multi = new window.MultiProtocolSpeedTest();
+        assert.equal(await multi.initialize(), true);
+    });
+
+    after(async () => {
+        multi.disconnect();
+        window.close();
+        await stopSite(near);
+        await stopSite(far);
+    });
+
+    test('connects UDP and WebRTC to the nearest server', () => {
+        assert.deepEqual([...multi.availableProtocols], ['webrtc', 'udp', 'http']);
+        assert.equal(near.bridge.wss.clients.size, 1);
+        assert.equal(near.signaling.wss.clients.size, 1);
+        assert.equal(far.bridge.wss.clients.size, 0);
+        assert.equal(far.signaling.wss.clients.size, 0);
+    });
+
+    test('offers the servers in the protocol selector', () => {
+        const select = window.document.getElementById('server-select');
+        const labels = Array.from(select.options).map(option => option.textContent);
+
+        assert.equal(labels[0], 'Auto (Lowest Latency)');
+        assert.match(labels[1], /^Far \(\d+ ms\)$/);
+        assert.match(labels[2], /^Near \(\d+ ms\)$/);
+    });
+
+    test('a manual pick reconnects to the chosen server', async () => {
+        const comparison = window.document.getElementById('comparison-mode');
+        comparison.checked = false;
+        comparison.dispatchEvent(new window.Event('change'));
+        const protocolSelect = window.document.getElementById('protocol-select');
+        protocolSelect.value = 'udp';
+        protocolSelect.dispatchEvent(new window.Event('change'));
+        assert.match(window.document.getElementById('protocol-status').textContent, /on Near$/);
+
+        await multi.selectServer(0);
+
+        assert.equal(far.bridge.wss.clients.size, 1);
+        assert.equal(far.signaling.wss.clients.size, 1);
+        // The rebuilt selector keeps the user's choices
+        assert.equal(window.document.getElementById('server-select').value, '0');
+        assert.equal(window.document.getElementById('protocol-select').value, 'udp');
+        assert.equal(window.document.getElementById('comparison-mode').checked, false);
+        assert.match(window.document.getElementById('protocol-status').textContent, /on Far$/);
+
+        const pings = far.bridge.pings;
+        await multi.udpTest.startPingTest();
+        assert.ok(far.bridge.pings > pings, 'pinged through the Far bridge');
+    });
+});
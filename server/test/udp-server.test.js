@@ -0,0 +1,154 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const dgram = require('dgram');
+const WebSocket = require('ws');
+const UDPSpeedTestServer = require('../udp-server');
+const { PacketType, encode, decode, now } = require('../lib/packet');
+
+let server;
+
+// A client socket that keeps every packet it receives
+async function openClient() {
+    const socket = dgram.createSocket('udp4');
+    const packets = [];
+    socket.on('message', (message) => packets.push(decode(message)));
+    await new Promise((resolve) => socket.bind(0, '127.0.0.1', resolve));
+    return { socket, packets };
+}
+
+function requestDownload(client, session, request) {
+    client.socket.send(encode(PacketType.DOWNLOAD_REQUEST, session, 0, now(), request), server.udpPort, '127.0.0.1');
+}
+
+function wait(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+before(async () => {
+    // The test clients share the bridge's address; cap it like any other
+    server = new UDPSpeedTestServer({ udpPort: 0, wsPort: 0, wsHost: '127.0.0.1', maxStreamsPerAddress: 2, bridgeAddress: '' });
+    await server.start();
+});
+
+after(async () => {
+    await server.stop();
+});
+
+test('binds the UDP socket to loopback by default', () => {
+    assert.equal(server.socket.address().address, '127.0.0.1');
+});
+
+test('streams only after the client echoes its cookie', async () => {
+    const client = await openClient();
+    const request = { duration: 200, packetSize: 200, rate: 1000000 };
+    requestDownload(client, 1, request);
+    await wait(100);
+
+    assert.deepEqual(client.packets.map(packet => packet.type), [PacketType.DOWNLOAD_COOKIE]);
+    const cookie = client.packets[0].payload.toString('hex');
+    // The cookie reply is never larger than the request
+    assert.ok(client.packets[0].size <= 20 + JSON.stringify(request).length);
+
+    requestDownload(client, 1, Object.assign({ cookie }, request));
+    await wait(400);
+    assert.ok(client.packets.some(packet => packet.type === PacketType.DATA));
+    assert.ok(client.packets.some(packet => packet.type === PacketType.DOWNLOAD_COMPLETE));
+    client.socket.close();
+});
+
+test('a cookie is only good for the sender and session it was issued to', async () => {
+    const first = await openClient();
+    const second = await openClient();
+    const request = { duration: 200, packetSize: 200, rate: 1000000 };
+    requestDownload(first, 2, request);
+    await wait(100);
+    const cookie = first.packets[0].payload.toString('hex');
+
+    requestDownload(second, 2, Object.assign({ cookie }, request));
+    requestDownload(first, 3, Object.assign({ cookie }, request));
+    await wait(300);
+
+    assert.equal(second.packets.filter(packet => packet.type === PacketType.DATA).length, 0);
+    assert.equal(first.packets.filter(packet => packet.type === PacketType.DATA).length, 0);
+    first.socket.close();
+    second.socket.close();
+});
+
+test('ignores datagrams whose payload is not a JSON object', async () => {
+    const client = await openClient();
+    [PacketType.PING, PacketType.DOWNLOAD_REQUEST, PacketType.SET_IMPAIRMENT].forEach((type) => {
+        ['null', '[]', '42'].forEach((payload) => {
+            client.socket.send(encode(type, 4, 0, now(), payload), server.udpPort, '127.0.0.1');
+        });
+    });
+    await wait(100);
+
+    // Still serving: a well-formed request gets its cookie
+    client.packets.length = 0;
+    requestDownload(client, 5, { duration: 200, packetSize: 200 });
+    await wait(100);
+    assert.deepEqual(client.packets.map(packet => packet.type), [PacketType.DOWNLOAD_COOKIE]);
+    client.socket.close();
+});
+
+// Requests a download from each client, echoes the cookies and returns the clients that stream
+async function startDownloads(count, firstSession) {
+    const clients = await Promise.all(Array.from({ length: count }, () => openClient()));
+    const request = { duration: 1000, packetSize: 200, rate: 1000000 };
+
+    clients.forEach((client, i) => requestDownload(client, firstSession + i, request));
+    await wait(100);
+    clients.forEach((client, i) => {
+        requestDownload(client, firstSession + i, Object.assign({ cookie: client.packets[0].payload.toString('hex') }, request));
+    });
+    await wait(200);
+
+    const streaming = clients.filter(client => client.packets.some(packet => packet.type === PacketType.DATA));
+    clients.forEach(client => client.socket.close());
+    return streaming;
+}
+
+test('caps the concurrent streams per source address', async () => {
+    const streaming = await startDownloads(3, 10);
+
+    assert.equal(server.downloads.size, 2);
+    assert.equal(streaming.length, 2);
+    server.downloads.forEach((stream, key) => server.finishDownload(key));
+});
+
+test('leaves the bridge address to the bridge\'s own per-browser limit', async () => {
+    server.options.bridgeAddress = '127.0.0.1';
+    try {
+        const streaming = await startDownloads(3, 20);
+        assert.equal(streaming.length, 3);
+    } finally {
+        server.options.bridgeAddress = '';
+        server.downloads.forEach((stream, key) => server.finishDownload(key));
+    }
+});
+
+test('refuses to change the default impairment for everyone unless allowed', async () => {
+    const ws = new WebSocket(`ws://127.0.0.1:${server.wsPort}`);
+    await new Promise((resolve) => ws.on('open', resolve));
+    const reply = new Promise((resolve) => ws.once('message', (data) => resolve(JSON.parse(data.toString()))));
+    ws.send(JSON.stringify({ type: 'set_impairment', profile: 'loss-5' }));
+
+    assert.match((await reply).message, /disabled/);
+    assert.equal(server.impairment, null);
+    ws.close();
+});
+
+test('answers a control message that is not an object with an error', async () => {
+    const ws = new WebSocket(`ws://127.0.0.1:${server.wsPort}`);
+    await new Promise((resolve) => ws.on('open', resolve));
+    const replies = [];
+    ws.on('message', (data) => replies.push(JSON.parse(data.toString())));
+
+    ws.send('null');
+    ws.send(JSON.stringify({ type: 'get_server_info' }));
+    await wait(100);
+
+    assert.equal(replies[0].type, 'error');
+    assert.equal(replies[1].type, 'server_info');
+    ws.close();
+});
@@ -0,0 +1,112 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createBrowser } = require('./helpers/browser');
+const { createLink, expected } = require('./helpers/link');
+const StandInBridge = require('./helpers/stand-in-bridge');
+
+const link = createLink();
+const want = expected(link);
+let bridge;
+let udpTest;
+
+before(async () => {
+    bridge = new StandInBridge(link);
+    await bridge.start();
+
+    const window = await createBrowser({ scripts: ['packet-stats.js', 'udp-speed-test.js'] });
+    udpTest = new window.UDPSpeedTest();
+    Object.assign(udpTest.config, {
+        wsPort: bridge.port,
+        bridgePort: bridge.port,
+        testDuration: 2000,
+        pingCount: 6
+    });
+    assert.equal(await udpTest.initialize(), true);
+
+    // The first request pays for the connection setup; start the delay cycle after it
+    await udpTest.sendUDPPing('warm-up');
+    bridge.pings = 0;
+});
+
+after(async () => {
+    udpTest.disconnect();
+    await bridge.stop();
+});
+
+test('reads the server info from the control channel', () => {
+    assert.equal(udpTest.serverInfo.name, 'Stand-in UDP Server');
+});
+
+test('ping averages the round trips and reports their jitter', async () => {
+    const ping = await udpTest.startPingTest();
+
+    assert.equal(ping.samples.length, 6);
+    // fetch and the event loop add a few ms on top of the injected delay, more on a busy machine
+    assert.ok(ping.average >= want.pingAverage && ping.average < want.pingAverage + 15, `average ${ping.average}`);
+    assert.ok(Math.abs(ping.jitter - want.pingJitter) < 10, `jitter ${ping.jitter}`);
+});
+
+test('download reports the delivered rate, loss and interarrival jitter', async () => {
+    const download = await udpTest.startDownloadTest();
+
+    assert.equal(download.dataPath, 'websocket');
+    // Max mode runs at the server's cap, from its server_info
+    assert.equal(download.maxRateMbps, 1000);
+    assert.ok(Math.abs(download.speedMbps - want.downloadMbps) / want.downloadMbps < 0.1, `speed ${download.speedMbps}`);
+    assert.equal(download.packetsSent, bridge.downloads[0].packetsSent);
+    assert.ok(Math.abs(download.lossPercent - want.downloadLoss) < 0.2, `loss ${download.lossPercent}`);
+    assert.equal(download.outOfOrder, 0);
+    assert.equal(download.duplicates, 0);
+    assert.equal(download.longestLossBurst, 1);
+    // RFC 3550 jitter converges on the transit difference within a few dozen packets
+    assert.ok(Math.abs(download.jitter - want.downloadJitter) < 0.5, `jitter ${download.jitter}`);
+    // Arrivals are timed in the page, so event loop stalls land in the far tail: check p95
+    const p95 = download.delayVariation.p95;
+    assert.ok(p95 > want.downloadJitter - 0.5 && p95 < want.downloadJitter + 5, `delay variation ${p95}`);
+});
+
+test('upload reports the rate the server received and the datagrams it lost', async () => {
+    const upload = await udpTest.startUploadTest();
+
+    assert.ok(Math.abs(upload.offeredMbps - link.upload.rateMbps) / link.upload.rateMbps < 0.15, `offered ${upload.offeredMbps}`);
+    assert.ok(Math.abs(upload.speedMbps - want.uploadMbps) / want.uploadMbps < 0.15, `speed ${upload.speedMbps}`);
+    assert.ok(Math.abs(upload.lossPercent - want.uploadLoss) < 0.5, `loss ${upload.lossPercent}`);
+    assert.equal(upload.jitter, want.uploadJitter);
+});
+
+test('upload fails with the bridge\'s error when it refuses a request', async () => {
+    bridge.maxUploadBody = 1000;
+    try {
+        await assert.rejects(udpTest.startUploadTest(), /Request body too large/);
+    } finally {
+        bridge.maxUploadBody = null;
+    }
+});
+
+test('constant bitrate mode paces the upload to the target rate', async () => {
+    udpTest.config.targetBitrate = 4;
+    try {
+        const upload = await udpTest.startUploadTest();
+
+        assert.equal(upload.mode, 'cbr');
+        assert.equal(upload.targetMbps, 4);
+        assert.ok(Math.abs(upload.offeredMbps - 4) / 4 < 0.15, `offered ${upload.offeredMbps}`);
+    } finally {
+        udpTest.config.targetBitrate = 0;
+    }
+});
+
+test('sends datagrams within the UDP server\'s maxPacketSize, header included', async () => {
+    udpTest.serverInfo.maxPacketSize = 512;
+    udpTest.config.testDuration = 500;
+    try {
+        const upload = await udpTest.startUploadTest();
+        const sent = Array.from(bridge.uploads.values()).pop();
+
+        assert.equal(sent.datagramSize, 512);
+        assert.equal(upload.bytesSent, upload.packetsSent * 512);
+    } finally {
+        delete udpTest.serverInfo.maxPacketSize;
+        udpTest.config.testDuration = 2000;
+    }
+});
@@ -0,0 +1,97 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createBrowser, waitFor } = require('./helpers/browser');
+const { createLink, expected } = require('./helpers/link');
+const { createPeerConnectionClass, StandInSignalingServer } = require('./helpers/stand-in-peer');
+
+const link = createLink();
+const want = expected(link);
+const PeerConnection = createPeerConnectionClass(link);
+let signaling;
+let window;
+let integration;
+
+// app-2.5.4.js's Show, reduced to a log of what the integration displayed
+function createShow() {
+    const calls = [];
+    const show = { calls: calls };
+    ['statusMessage', 'LiveSpeed', 'pingResults', 'jitterResult', 'downloadResult', 'uploadResult'].forEach((name) => {
+        show[name] = (...args) => calls.push({ name: name, args: args });
+    });
+    show.last = (name, kind) => calls.filter(call => call.name === name && (kind === undefined || call.args[1] === kind)).pop();
+    return show;
+}
+
+before(async () => {
+    signaling = new StandInSignalingServer();
+    await signaling.start();
+
+    window = await createBrowser({
+        scripts: ['webrtc-config.js', 'packet-stats.js', 'webrtc-speed-test.js', 'webrtc-integration.js'],
+        search: `?signaling=ws://127.0.0.1:${signaling.port}&packetSize=4096&maxBuffered=262144&pingSamples=6&pingInterval=20`,
+        globals: {
+            RTCPeerConnection: PeerConnection,
+            Show: createShow(),
+            Status: 'Loaded',
+            dlDuration: 2,
+            ulDuration: 2
+        }
+    });
+
+    integration = new window.WebRTCSpeedTestIntegration();
+    assert.equal(await integration.initialize(), true);
+    await waitFor(() => integration.speedTest.dataChannel && integration.speedTest.dataChannel.readyState === 'open');
+});
+
+after(async () => {
+    integration.disconnect();
+    await signaling.stop();
+});
+
+test('takes the signaling server from the page URL', () => {
+    assert.equal(integration.signalingServerUrl, `ws://127.0.0.1:${signaling.port}`);
+});
+
+test('offers a connection and trickles its candidates over signaling', () => {
+    const offer = signaling.received('offer')[0];
+
+    assert.equal(offer.offer.type, 'offer');
+    assert.equal(signaling.received('ice-candidate').length, 1);
+    assert.equal(PeerConnection.instances[0].remoteDescription.type, 'answer');
+    assert.equal(PeerConnection.instances[0].remoteCandidates.length, 1);
+});
+
+test('ping shows the average round trip and its jitter', async () => {
+    await integration.startPingTest();
+
+    const average = window.Show.last('pingResults', 'Final').args[0];
+    const jitter = window.Show.last('jitterResult', 'Final').args[0];
+    assert.ok(average >= want.pingAverage && average < want.pingAverage + 10, `average ${average}`);
+    // Consecutive samples alternate between the two delays
+    assert.ok(Math.abs(jitter - want.pingJitter) < 6, `jitter ${jitter}`);
+});
+
+test('download then upload run to the end and show their speeds', async () => {
+    await integration.startDownloadTest();
+    await waitFor(() => window.Status === 'Done', 10000);
+
+    const download = window.Show.last('downloadResult').args[0];
+    const upload = window.Show.last('uploadResult').args[0];
+    assert.ok(Math.abs(download - want.downloadMbps) / want.downloadMbps < 0.1, `download ${download}`);
+    assert.ok(Math.abs(upload - want.uploadMbps) / want.uploadMbps < 0.1, `upload ${upload}`);
+    assert.equal(window.Show.last('statusMessage').args[0], 'All Tests Complete');
+
+    const results = integration.speedTest;
+    assert.ok(Math.abs(results.downloadResults.lossPercent - want.downloadLoss) < 0.5, `download loss ${results.downloadResults.lossPercent}`);
+    assert.ok(Math.abs(results.uploadResults.lossPercent - want.uploadLoss) < 0.5, `upload loss ${results.uploadResults.lossPercent}`);
+});
+
+test('asks the server for each test with the page durations in ms', async () => {
+    const starts = signaling.received('start-speed-test');
+
+    assert.deepEqual(starts.map(start => [start.testType, start.duration]), [['download', 2000], ['upload', 2000]]);
+    // The server's totals follow the client's own timer
+    await waitFor(() => integration.serverUploadResults);
+    assert.equal(integration.serverDownloadResults.duration, 2000);
+    assert.equal(integration.serverUploadResults.duration, 2000);
+});
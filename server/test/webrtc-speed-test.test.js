@@ -0,0 +1,108 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createBrowser, waitFor } = require('./helpers/browser');
+const { createLink, expected } = require('./helpers/link');
+const { createPeerConnectionClass } = require('./helpers/stand-in-peer');
+
+const link = createLink();
+const want = expected(link);
+const PeerConnection = createPeerConnectionClass(link);
+let webrtcTest;
+
+// Runs one timed test to the end and returns its results
+async function runTest(start, results, duration) {
+    // Let the previous upload drain, then send what start-speed-test would to the server peer
+    await waitFor(() => webrtcTest.dataChannel.bufferedAmount === 0);
+    if (results === 'upload') PeerConnection.instances[0].peer.startUpload(duration);
+
+    return new Promise((resolve, reject) => {
+        webrtcTest.onDownloadComplete = () => resolve(webrtcTest.downloadResults);
+        webrtcTest.onUploadComplete = () => resolve(webrtcTest.uploadResults);
+        if (!start.call(webrtcTest, duration)) reject(new Error(`${results} did not start`));
+    });
+}
+
+before(async () => {
+    const window = await createBrowser({
+        scripts: ['packet-stats.js', 'webrtc-speed-test.js'],
+        globals: { RTCPeerConnection: PeerConnection }
+    });
+    webrtcTest = new window.WebRTCSpeedTest({
+        dataChannel: { packetSize: 4096, maxBufferedAmount: 256 * 1024, bufferedAmountLowThreshold: 64 * 1024 }
+    });
+
+    assert.equal(await webrtcTest.initializePeerConnection(), true);
+    const offer = await webrtcTest.createOffer();
+    assert.equal(offer.type, 'offer');
+    assert.equal(await webrtcTest.handleAnswer({ type: 'answer', sdp: 'v=0 stand-in answer' }), true);
+    await waitFor(() => webrtcTest.dataChannel.readyState === 'open');
+});
+
+after(() => {
+    webrtcTest.close();
+});
+
+test('opens an unordered, unreliable DataChannel', () => {
+    const channel = PeerConnection.instances[0].channel;
+
+    assert.equal(channel.label, 'speedtest');
+    assert.equal(channel.options.ordered, false);
+    assert.equal(channel.options.maxRetransmits, 0);
+    assert.equal(channel.binaryType, 'arraybuffer');
+});
+
+test('measures latency with a ping over the DataChannel', async () => {
+    const latency = await webrtcTest.measureLatency();
+
+    assert.ok(latency >= link.pingDelays[0] && latency < link.pingDelays[0] + 10, `latency ${latency}`);
+});
+
+test('download reports the delivered rate, loss and interarrival jitter', async () => {
+    const download = await runTest(webrtcTest.startDownloadTest, 'download', 2000);
+
+    assert.equal(download.mode, 'max');
+    assert.ok(Math.abs(download.speedMbps - want.downloadMbps) / want.downloadMbps < 0.1, `speed ${download.speedMbps}`);
+    assert.ok(Math.abs(download.lossPercent - want.downloadLoss) < 0.5, `loss ${download.lossPercent}`);
+    assert.ok(Math.abs(download.jitter - want.downloadJitter) < 0.5, `jitter ${download.jitter}`);
+});
+
+test('download asks the server peer for the configured packets and duration', () => {
+    const request = PeerConnection.instances[0].peer.requests.find(message => message.type === 'download_test');
+
+    assert.equal(request.duration, 2000);
+    assert.equal(request.packetSize, 4096);
+    assert.equal(request.bitrate, undefined);
+});
+
+test('upload reports what the server peer acknowledged', async () => {
+    const upload = await runTest(webrtcTest.startUploadTest, 'upload', 2000);
+
+    assert.equal(upload.measuredBy, 'server');
+    assert.ok(Math.abs(upload.speedMbps - want.uploadMbps) / want.uploadMbps < 0.1, `speed ${upload.speedMbps}`);
+    assert.ok(Math.abs(upload.lossPercent - want.uploadLoss) < 0.5, `loss ${upload.lossPercent}`);
+    assert.equal(upload.jitter, want.uploadJitter);
+});
+
+test('summarizes the selected candidate pair from getStats()', () => {
+    const transport = webrtcTest.uploadResults.transport;
+
+    assert.equal(transport.rtt, link.rtt);
+    assert.equal(transport.availableOutgoingBitrate, link.upload.rateMbps);
+    assert.equal(transport.localCandidateType, 'host');
+    assert.equal(transport.protocol, 'udp');
+    assert.equal(transport.relayed, false);
+});
+
+test('constant bitrate mode paces the upload to the target rate', async () => {
+    webrtcTest.targetBitrate = 4;
+    try {
+        const upload = await runTest(webrtcTest.startUploadTest, 'upload', 2000);
+
+        assert.equal(upload.mode, 'cbr');
+        assert.equal(upload.targetMbps, 4);
+        assert.ok(Math.abs(upload.speedMbps - 4 * (1 - 1 / link.upload.dropEvery)) / 4 < 0.15, `speed ${upload.speedMbps}`);
+        assert.ok(Math.abs(upload.lossPercent - want.uploadLoss) < 0.5, `loss ${upload.lossPercent}`);
+    } finally {
+        webrtcTest.targetBitrate = 0;
+    }
+});
@@ -0,0 +1,541 @@
+/*
+    UDP Speed Test Server
+    Native UDP socket server for ping, download and upload tests,
+    with a WebSocket control interface used by assets/js/udp-speed-test.js
+
+    --impair applies a network impairment profile (lib/impairment.js) to every session.
+    Clients pick their own per session, in the session's ping, download request or
+    SET_IMPAIRMENT datagram. Changing the default for everyone over the control channel
+    ({ type: 'set_impairment', profile }) affects other users' measurements, so it is
+    refused unless the server runs with --allow-impairment-control.
+
+    Downloads need a return-routability check, so the server cannot be used to flood a
+    spoofed address: a DOWNLOAD_REQUEST without a valid cookie is answered with a
+    DOWNLOAD_COOKIE only, smaller than the request, and the client repeats the request with
+    { cookie } from the source address and session the cookie was issued to. Each source
+    address may run --max-streams-per-address downloads at once, except --bridge-address
+    (127.0.0.1): every browser's downloads come from the bridge, which limits them per
+    browser itself. The UDP socket binds to 127.0.0.1 unless --host says otherwise; the
+    bridge relays browsers from there.
+
+    Downloads are always paced: a request without a rate (the clients' "max" mode) is sent
+    at --max-rate, 100 Mbps unless raised, which get_server_info reports as maxRate.
+
+    Usage: node udp-server.js --udp-port 9001 --ws-port 9002 [--host 0.0.0.0] [--impair loss-2]
+*/
+
+const crypto = require('crypto');
+const dgram = require('dgram');
+const { WebSocketServer } = require('ws');
+const { parseArgs } = require('./lib/args');
+const { HEADER_SIZE, MAX_DATAGRAM_SIZE, PacketType, now, encode, decode, decodeJSON } = require('./lib/packet');
+const { ImpairedLink, parseProfile, listProfiles } = require('./lib/impairment');
+
+const VERSION = '1.0.0';
+
+// Cookies are valid for one to two of these periods
+const COOKIE_PERIOD = 30000; // ms
+
+class UDPSpeedTestServer {
+    constructor(options = {}) {
+        this.options = Object.assign({
+            host: '127.0.0.1',       // UDP socket
+            wsHost: '0.0.0.0',       // control WebSocket, reached by browsers
+            udpPort: 9001,
+            wsPort: 9002,
+            name: 'UDP Speed Test Server',
+            maxDuration: 60000,      // ms
+            maxPacketSize: 1472,     // bytes, fits a 1500 byte MTU
+            maxRate: 100,            // Mbps per download stream
+            recvBufferSize: 4 * 1024 * 1024, // bytes; batched uploads arrive in bursts (capped by net.core.rmem_max)
+            sessionTimeout: 60000,   // ms of inactivity before a session is dropped
+            maxStreamsPerAddress: 8, // concurrent downloads per source address
+            bridgeAddress: '127.0.0.1', // HTTP-UDP bridge, which limits downloads per browser itself; '' caps it too
+            impairment: null,        // profile or spec for sessions that do not ask for one
+            allowImpairmentControl: false // accept set_impairment from control clients
+        }, options);
+
+        this.socket = null;
+        this.wss = null;
+        this.downloads = new Map();
+        this.uploads = new Map();
+        this.sessionProfiles = new Map();
+        this.pingPaths = new Map();
+        this.impairment = parseProfile(this.options.impairment);
+        this.cookieSecret = crypto.randomBytes(32);
+        this.cleanupTimer = null;
+        this.startTime = Date.now();
+        this.totals = {
+            packetsIn: 0,
+            packetsOut: 0,
+            bytesIn: 0,
+            bytesOut: 0
+        };
+    }
+
+    async start() {
+        await this.startUDP();
+        await this.startControlServer();
+
+        this.cleanupTimer = setInterval(() => this.expireSessions(), 5000);
+        this.cleanupTimer.unref();
+
+        console.log(`UDP server listening on ${this.options.host}:${this.udpPort}`);
+        console.log(`Control WebSocket listening on ws://${this.options.wsHost}:${this.wsPort}`);
+        if (this.impairment) {
+            console.log(`Impairing sessions with ${this.impairment.name}`);
+        }
+    }
+
+    startUDP() {
+        return new Promise((resolve, reject) => {
+            this.socket = dgram.createSocket('udp4');
+            this.socket.on('message', (message, remote) => this.handleDatagram(message, remote));
+            this.socket.on('error', (error) => {
+                console.error('UDP socket error:', error);
+            });
+            this.socket.once('error', reject);
+            this.socket.bind(this.options.udpPort, this.options.host, () => {
+                this.socket.removeListener('error', reject);
+                this.udpPort = this.socket.address().port;
+                try {
+                    this.socket.setRecvBufferSize(this.options.recvBufferSize);
+                } catch (error) {
+                    console.warn('Could not enlarge the UDP receive buffer:', error.message);
+                }
+                resolve();
+            });
+        });
+    }
+
+    startControlServer() {
+        return new Promise((resolve, reject) => {
+            this.wss = new WebSocketServer({ port: this.options.wsPort, host: this.options.wsHost });
+            this.wss.once('error', reject);
+            this.wss.on('listening', () => {
+                this.wss.removeListener('error', reject);
+                this.wsPort = this.wss.address().port;
+                resolve();
+            });
+            this.wss.on('connection', (ws) => {
+                ws.on('message', (data) => this.handleControlMessage(ws, data));
+            });
+        });
+    }
+
+    handleControlMessage(ws, data) {
+        let message;
+        try {
+            message = JSON.parse(data.toString());
+        } catch (error) {
+            this.sendControl(ws, { type: 'error', message: 'Invalid JSON' });
+            return;
+        }
+        if (message === null || typeof message !== 'object') {
+            this.sendControl(ws, { type: 'error', message: 'Expected a JSON object' });
+            return;
+        }
+
+        switch (message.type) {
+            case 'get_server_info':
+                this.sendControl(ws, this.getServerInfo());
+                break;
+            case 'get_stats':
+                this.sendControl(ws, this.getStats());
+                break;
+            case 'set_impairment':
+                this.setImpairment(ws, message.profile);
+                break;
+            default:
+                this.sendControl(ws, { type: 'error', message: `Unknown message type: ${message.type}` });
+        }
+    }
+
+    sendControl(ws, message) {
+        if (ws.readyState === ws.OPEN) {
+            ws.send(JSON.stringify(message));
+        }
+    }
+
+    // Changes the profile of sessions that do not pick one; running sessions keep theirs
+    setImpairment(ws, spec) {
+        if (!this.options.allowImpairmentControl) {
+            this.sendControl(ws, { type: 'error', message: 'set_impairment is disabled on this server (--allow-impairment-control)' });
+            return;
+        }
+
+        try {
+            this.impairment = parseProfile(spec);
+        } catch (error) {
+            this.sendControl(ws, { type: 'error', message: error.message });
+            return;
+        }
+
+        console.log(`Impairment set to ${this.impairment ? this.impairment.name : 'none'}`);
+        const info = this.getServerInfo();
+        this.wss.clients.forEach((client) => this.sendControl(client, info));
+    }
+
+    broadcastStats() {
+        if (!this.wss) return;
+
+        const stats = this.getStats();
+        this.wss.clients.forEach((ws) => this.sendControl(ws, stats));
+    }
+
+    getServerInfo() {
+        return {
+            type: 'server_info',
+            name: this.options.name,
+            version: VERSION,
+            udpPort: this.udpPort,
+            wsPort: this.wsPort,
+            maxDuration: this.options.maxDuration,
+            maxPacketSize: this.options.maxPacketSize,
+            minPacketSize: HEADER_SIZE,
+            maxRate: this.options.maxRate,
+            impairment: this.impairment,
+            impairmentControl: this.options.allowImpairmentControl,
+            impairmentProfiles: listProfiles(),
+            uptime: Date.now() - this.startTime
+        };
+    }
+
+    getStats() {
+        return Object.assign({
+            type: 'stats',
+            activeDownloads: this.downloads.size,
+            activeUploads: this.uploads.size
+        }, this.totals);
+    }
+
+    handleDatagram(message, remote) {
+        const packet = decode(message);
+        if (!packet) return;
+
+        this.totals.packetsIn++;
+        this.totals.bytesIn += message.length;
+
+        switch (packet.type) {
+            case PacketType.PING:
+                this.handlePing(packet, remote);
+                break;
+            case PacketType.DOWNLOAD_REQUEST:
+                this.startDownload(packet, remote);
+                break;
+            case PacketType.UPLOAD_DATA:
+                this.recordUpload(packet, remote);
+                break;
+            case PacketType.UPLOAD_STATS_REQUEST:
+                this.sendUploadStats(packet, remote);
+                break;
+            case PacketType.SET_IMPAIRMENT:
+                this.setSessionImpairment(packet, remote);
+                break;
+        }
+    }
+
+    send(buffer, remote) {
+        // Impaired packets can still be on their way after stop()
+        if (!this.socket) return;
+
+        this.socket.send(buffer, remote.port, remote.address);
+        this.totals.packetsOut++;
+        this.totals.bytesOut += buffer.length;
+    }
+
+    sessionKey(packet, remote) {
+        return `${remote.address}:${remote.port}:${packet.session}`;
+    }
+
+    // A client's own choice of profile, or the server's when it did not make one
+    resolveProfile(spec) {
+        if (spec === undefined) return this.impairment;
+
+        try {
+            return parseProfile(spec);
+        } catch (error) {
+            console.warn(`Ignoring impairment ${JSON.stringify(spec)}: ${error.message}`);
+            return this.impairment;
+        }
+    }
+
+    // The ping goes out over an impaired uplink and the pong comes back over an impaired downlink
+    handlePing(packet, remote) {
+        const request = packet.payload.length > 0 ? decodeJSON(packet.payload) : {};
+        const profile = this.resolveProfile(request.impairment);
+        const pong = encode(PacketType.PONG, packet.session, packet.seq, packet.timestamp);
+
+        if (!profile) {
+            this.send(pong, remote);
+            return;
+        }
+
+        const key = `${remote.address}:${remote.port}:${profile.name}`;
+        let path = this.pingPaths.get(key);
+        if (!path) {
+            path = { up: new ImpairedLink(profile), down: new ImpairedLink(profile), lastActivity: 0 };
+            this.pingPaths.set(key, path);
+        }
+        path.lastActivity = Date.now();
+
+        path.up.send(packet.size, () => {
+            path.down.send(pong.length, () => this.send(pong, remote));
+        });
+    }
+
+    // Sets the profile the session's uploads pass through before they are counted
+    setSessionImpairment(packet, remote) {
+        const key = this.sessionKey(packet, remote);
+        const profile = this.resolveProfile(decodeJSON(packet.payload).impairment);
+
+        this.sessionProfiles.set(key, { profile: profile, lastActivity: Date.now() });
+        const upload = this.uploads.get(key);
+        if (upload) {
+            upload.link = new ImpairedLink(profile);
+        }
+    }
+
+    // Keyed to the source address, port and session, so it is only good for the sender that got it
+    cookie(packet, remote, period = Math.floor(Date.now() / COOKIE_PERIOD)) {
+        return crypto.createHmac('sha256', this.cookieSecret)
+            .update(`${remote.address}:${remote.port}:${packet.session}:${period}`)
+            .digest()
+            .subarray(0, 16);
+    }
+
+    validCookie(packet, remote, cookie) {
+        if (typeof cookie !== 'string' || !/^[0-9a-f]{32}$/.test(cookie)) return false;
+
+        const period = Math.floor(Date.now() / COOKIE_PERIOD);
+        const given = Buffer.from(cookie, 'hex');
+        return [period, period - 1].some(issued => crypto.timingSafeEqual(given, this.cookie(packet, remote, issued)));
+    }
+
+    startDownload(packet, remote) {
+        const key = this.sessionKey(packet, remote);
+        if (this.downloads.has(key)) return;
+
+        const request = decodeJSON(packet.payload);
+        if (!this.validCookie(packet, remote, request.cookie)) {
+            const reply = encode(PacketType.DOWNLOAD_COOKIE, packet.session, packet.seq, now(), this.cookie(packet, remote));
+            // Never answer with more than was sent
+            if (reply.length <= packet.size) {
+                this.send(reply, remote);
+            }
+            return;
+        }
+
+        let streams = 0;
+        this.downloads.forEach((stream) => {
+            if (stream.remote.address === remote.address) streams++;
+        });
+        if (streams >= this.options.maxStreamsPerAddress && remote.address !== this.options.bridgeAddress) {
+            console.warn(`Refusing download for ${key}: ${streams} streams already running to ${remote.address}`);
+            return;
+        }
+
+        const duration = clamp(request.duration, 100, this.options.maxDuration, 10000);
+        const packetSize = clamp(request.packetSize, HEADER_SIZE, Math.min(this.options.maxPacketSize, MAX_DATAGRAM_SIZE), 1024);
+        const rateMbps = clamp(request.rate / 1000000, 0.001, this.options.maxRate, this.options.maxRate);
+        const bytesPerMs = rateMbps * 1000000 / 8 / 1000;
+        const payload = Buffer.alloc(packetSize - HEADER_SIZE, 0x55);
+        const profile = this.resolveProfile(request.impairment);
+
+        const stream = {
+            session: packet.session,
+            remote: remote,
+            link: new ImpairedLink(profile),
+            seq: 0,
+            startTime: now(),
+            lastActivity: Date.now(),
+            timer: null
+        };
+        stream.endTime = stream.startTime + duration;
+
+        // Pace packets against the elapsed time so the average rate matches rateMbps
+        stream.timer = setInterval(() => {
+            const time = now();
+            const elapsed = Math.min(time, stream.endTime) - stream.startTime;
+            const due = Math.floor(elapsed * bytesPerMs / packetSize) - stream.seq;
+
+            for (let i = 0; i < due; i++) {
+                this.sendImpaired(stream.link, encode(PacketType.DATA, stream.session, stream.seq, now(), payload), remote);
+                stream.seq++;
+            }
+
+            if (time >= stream.endTime) {
+                this.finishDownload(key);
+            }
+        }, 2);
+
+        this.downloads.set(key, stream);
+        console.log(`Download started for ${key}: ${duration}ms, ${packetSize}B packets, ${rateMbps}Mbps` +
+            (profile ? `, impairment ${profile.name}` : ''));
+    }
+
+    sendImpaired(link, buffer, remote) {
+        link.send(buffer.length, () => this.send(buffer, remote));
+    }
+
+    finishDownload(key) {
+        const stream = this.downloads.get(key);
+        if (!stream) return;
+
+        clearInterval(stream.timer);
+        this.downloads.delete(key);
+
+        // The completion marker can be lost like any other datagram, so repeat it
+        const complete = encode(PacketType.DOWNLOAD_COMPLETE, stream.session, stream.seq, now());
+        for (let i = 0; i < 3; i++) {
+            this.sendImpaired(stream.link, complete, stream.remote);
+        }
+
+        const { lost, tailDropped } = stream.link.stats;
+        console.log(`Download finished for ${key}: ${stream.seq} packets sent` +
+            (stream.link.profile ? `, ${lost + tailDropped} dropped by impairment` : ''));
+        this.broadcastStats();
+    }
+
+    recordUpload(packet, remote) {
+        const key = this.sessionKey(packet, remote);
+        let upload = this.uploads.get(key);
+
+        if (!upload) {
+            const chosen = this.sessionProfiles.get(key);
+            upload = {
+                link: new ImpairedLink(chosen ? chosen.profile : this.impairment),
+                packetsReceived: 0,
+                bytesReceived: 0,
+                firstPacket: Date.now(),
+                lastActivity: Date.now(),
+                lastTransit: null,
+                jitter: 0
+            };
+            this.uploads.set(key, upload);
+        }
+
+        upload.link.send(packet.size, () => this.countUpload(upload, packet));
+    }
+
+    countUpload(upload, packet) {
+        upload.packetsReceived++;
+        upload.bytesReceived += packet.payload.length;
+        upload.lastActivity = Date.now();
+
+        // RFC 3550 interarrival jitter from the sender's timestamp
+        const transit = now() - packet.timestamp;
+        if (upload.lastTransit !== null) {
+            upload.jitter += (Math.abs(transit - upload.lastTransit) - upload.jitter) / 16;
+        }
+        upload.lastTransit = transit;
+    }
+
+    // Receive counts for an upload session, so the sender can work out delivered throughput and loss
+    sendUploadStats(packet, remote) {
+        const upload = this.uploads.get(this.sessionKey(packet, remote));
+
+        // Count what the impaired link still holds before answering
+        if (upload && upload.link.queuedBytes > 0) {
+            setTimeout(() => this.sendUploadStats(packet, remote), 5);
+            return;
+        }
+
+        this.send(encode(PacketType.UPLOAD_STATS, packet.session, packet.seq, now(), {
+            packetsReceived: upload ? upload.packetsReceived : 0,
+            bytesReceived: upload ? upload.bytesReceived : 0,
+            duration: upload ? upload.lastActivity - upload.firstPacket : 0,
+            jitter: upload ? upload.jitter : 0
+        }), remote);
+    }
+
+    expireSessions() {
+        const cutoff = Date.now() - this.options.sessionTimeout;
+
+        for (const [key, upload] of this.uploads) {
+            if (upload.lastActivity < cutoff) {
+                upload.link.close();
+                this.uploads.delete(key);
+            }
+        }
+
+        for (const sessions of [this.sessionProfiles, this.pingPaths]) {
+            for (const [key, session] of sessions) {
+                if (session.lastActivity < cutoff) {
+                    sessions.delete(key);
+                }
+            }
+        }
+    }
+
+    async stop() {
+        for (const key of Array.from(this.downloads.keys())) {
+            clearInterval(this.downloads.get(key).timer);
+            this.downloads.get(key).link.close();
+            this.downloads.delete(key);
+        }
+        this.uploads.forEach((upload) => upload.link.close());
+        this.pingPaths.forEach((path) => {
+            path.up.close();
+            path.down.close();
+        });
+
+        clearInterval(this.cleanupTimer);
+
+        if (this.wss) {
+            this.wss.clients.forEach((ws) => ws.terminate());
+            await new Promise((resolve) => this.wss.close(resolve));
+            this.wss = null;
+        }
+
+        if (this.socket) {
+            await new Promise((resolve) => this.socket.close(resolve));
+            this.socket = null;
+        }
+    }
+}
+
+function clamp(value, min, max, fallback) {
+    const number = Number(value);
+    if (!Number.isFinite(number) || number <= 0) return fallback;
+    return Math.min(Math.max(number, min), max);
+}
+
+if (require.main === module) {
+    const args = parseArgs(process.argv.slice(2), {
+        'host': '127.0.0.1',
+        'ws-host': '0.0.0.0',
+        'udp-port': 9001,
+        'ws-port': 9002,
+        'max-rate': 100,
+        'max-packet-size': 1472,
+        'max-streams-per-address': 8,
+        'bridge-address': '127.0.0.1',
+        'impair': '',
+        'allow-impairment-control': false
+    });
+
+    const server = new UDPSpeedTestServer({
+        host: args['host'],
+        wsHost: args['ws-host'],
+        udpPort: args['udp-port'],
+        wsPort: args['ws-port'],
+        maxRate: args['max-rate'],
+        maxPacketSize: args['max-packet-size'],
+        maxStreamsPerAddress: args['max-streams-per-address'],
+        // A bare --bridge-address exempts no one
+        bridgeAddress: args['bridge-address'] === true ? '' : args['bridge-address'],
+        impairment: args['impair'],
+        allowImpairmentControl: args['allow-impairment-control'] === true || args['allow-impairment-control'] === 'true'
+    });
+
+    server.start().catch((error) => {
+        console.error('Failed to start UDP server:', error);
+        process.exit(1);
+    });
+
+    process.on('SIGINT', () => server.stop().then(() => process.exit(0)));
+    process.on('SIGTERM', () => server.stop().then(() => process.exit(0)));
+}
+
+module.exports = UDPSpeedTestServer;
@@ -0,0 +1,205 @@
+/*
+    WebRTC Signaling Server
+    WebSocket signaling for assets/js/webrtc-integration.js. Each browser gets a
+    server-side SpeedTestPeer that terminates its DataChannel, so WebRTC tests
+    run end to end without a second browser.
+
+    Client -> server: offer, ice-candidate, start-speed-test, ping, set-impairment
+    Server -> client: welcome, answer, ice-candidate, download-complete, upload-complete, pong, impairment
+
+    set-impairment { profile } impairs the client's DataChannel with a lib/impairment.js
+    profile; --impair sets the one peers start with.
+
+    Also serves the speed test web client over HTTP on the same port.
+
+    Usage: node webrtc-server.js --http-port 8081 [--stun stun:stun.l.google.com:19302] [--allowed-origins http://host:8080] [--impair lte]
+*/
+
+const crypto = require('crypto');
+const http = require('http');
+const { WebSocketServer } = require('ws');
+const { parseArgs } = require('./lib/args');
+const { parseRequestURL, serveStatic } = require('./lib/static');
+const SpeedTestPeer = require('./lib/speed-test-peer');
+const { parseProfile, listProfiles } = require('./lib/impairment');
+
+class WebRTCSignalingServer {
+    constructor(options = {}) {
+        this.options = Object.assign({
+            host: '0.0.0.0',
+            httpPort: 8081,
+            iceServers: [],
+            allowedOrigins: [],  // empty: accept every origin
+            impairment: null,    // profile or spec new peers start with
+            logger: console      // the command line client passes a silent one
+        }, options);
+
+        this.impairment = parseProfile(this.options.impairment);
+        this.server = null;
+        this.wss = null;
+        this.clients = new Map();
+    }
+
+    async start() {
+        this.server = http.createServer((req, res) => {
+            const url = parseRequestURL(req);
+            if (!url) {
+                res.writeHead(400);
+                res.end();
+                return;
+            }
+            serveStatic(req, res, url.pathname);
+        });
+
+        this.wss = new WebSocketServer({
+            server: this.server,
+            verifyClient: (info) => this.isAllowedOrigin(info.origin)
+        });
+        this.wss.on('connection', (ws) => this.handleConnection(ws));
+
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.options.httpPort, this.options.host, () => {
+                this.server.removeListener('error', reject);
+                this.httpPort = this.server.address().port;
+                resolve();
+            });
+        });
+
+        this.options.logger.log(`WebRTC signaling server listening on ws://${this.options.host}:${this.httpPort}`);
+    }
+
+    isAllowedOrigin(origin) {
+        const allowed = this.options.allowedOrigins;
+        return allowed.length === 0 || !origin || allowed.includes(origin);
+    }
+
+    handleConnection(ws) {
+        const clientId = crypto.randomBytes(8).toString('hex');
+        const peer = new SpeedTestPeer({ iceServers: this.options.iceServers, impairment: this.impairment });
+
+        this.clients.set(clientId, { ws, peer });
+        this.options.logger.log(`Client connected: ${clientId}`);
+
+        peer.on('ice-candidate', (candidate) => {
+            this.send(ws, { type: 'ice-candidate', candidate: candidate });
+        });
+
+        peer.on('download-complete', (results) => {
+            this.send(ws, { type: 'download-complete', results: results });
+        });
+
+        peer.on('upload-complete', (results) => {
+            this.send(ws, { type: 'upload-complete', results: results });
+        });
+
+        ws.on('message', (data) => {
+            this.handleMessage(clientId, data).catch((error) => {
+                this.options.logger.error(`Signaling error for ${clientId}:`, error);
+                this.send(ws, { type: 'error', message: error.message });
+            });
+        });
+
+        ws.on('close', () => {
+            peer.close();
+            this.clients.delete(clientId);
+            this.options.logger.log(`Client disconnected: ${clientId}`);
+        });
+
+        this.send(ws, {
+            type: 'welcome',
+            clientId: clientId,
+            impairment: this.impairment,
+            impairmentProfiles: listProfiles()
+        });
+    }
+
+    async handleMessage(clientId, data) {
+        const client = this.clients.get(clientId);
+        if (!client) return;
+
+        const message = JSON.parse(data.toString());
+        const { ws, peer } = client;
+
+        switch (message.type) {
+            case 'offer': {
+                const answer = await peer.handleOffer(message.offer);
+                this.send(ws, { type: 'answer', answer: answer });
+                break;
+            }
+            case 'ice-candidate':
+                await peer.addIceCandidate(message.candidate);
+                break;
+            case 'start-speed-test':
+                // Downloads are requested over the DataChannel itself; uploads are measured here
+                if (message.testType === 'upload') {
+                    peer.startUpload(message.duration);
+                }
+                break;
+            case 'ping':
+                this.send(ws, { type: 'pong', timestamp: message.timestamp });
+                break;
+            case 'set-impairment':
+                this.send(ws, { type: 'impairment', profile: peer.setImpairment(message.profile) });
+                break;
+            default:
+                this.send(ws, { type: 'error', message: `Unknown message type: ${message.type}` });
+        }
+    }
+
+    send(ws, message) {
+        if (ws.readyState === ws.OPEN) {
+            ws.send(JSON.stringify(message));
+        }
+    }
+
+    async stop() {
+        for (const { ws, peer } of this.clients.values()) {
+            peer.close();
+            ws.terminate();
+        }
+        this.clients.clear();
+
+        if (this.wss) {
+            await new Promise((resolve) => this.wss.close(resolve));
+            this.wss = null;
+        }
+
+        if (this.server) {
+            // Node 18.2+; older versions close keep-alive connections when they go idle
+            if (typeof this.server.closeAllConnections === 'function') {
+                this.server.closeAllConnections();
+            }
+            await new Promise((resolve) => this.server.close(resolve));
+            this.server = null;
+        }
+    }
+}
+
+if (require.main === module) {
+    const args = parseArgs(process.argv.slice(2), {
+        'host': '0.0.0.0',
+        'http-port': 8081,
+        'stun': '',
+        'allowed-origins': '',
+        'impair': ''
+    });
+
+    const server = new WebRTCSignalingServer({
+        host: args['host'],
+        httpPort: args['http-port'],
+        iceServers: args['stun'] ? args['stun'].split(',').map((urls) => ({ urls })) : [],
+        allowedOrigins: args['allowed-origins'] ? args['allowed-origins'].split(',') : [],
+        impairment: args['impair']
+    });
+
+    server.start().catch((error) => {
+        console.error('Failed to start WebRTC signaling server:', error);
+        process.exit(1);
+    });
+
+    process.on('SIGINT', () => server.stop().then(() => process.exit(0)));
+    process.on('SIGTERM', () => server.stop().then(() => process.exit(0)));
+}
+
+module.exports = WebRTCSignalingServer;
@@ -1,29 +1,31 @@
 #!/bin/bash
 
-# Setup script for WebRTC UDP-like Speed Test
+# Setup script for the Multi-Protocol Speed Test servers
 
-echo "Setting up WebRTC UDP-like Speed Test..."
+echo "Setting up Multi-Protocol Speed Test..."
 
-# Check if Python 3 is installed
-if ! command -v python3 &> /dev/null; then
-    echo "Error: Python 3 is required but not installed."
-    echo "Please install Python 3 and try again."
+# Check if Node.js is installed
+if ! command -v node &> /dev/null; then
+    echo "Error: Node.js 16+ is required but not installed."
+    echo "Please install Node.js and try again."
     exit 1
 fi
 
-echo "Python 3 found: $(python3 --version)"
+echo "Node.js found: $(node --version)"
 
-# Install Python dependencies
-echo "Installing Python dependencies..."
+# Install Node.js dependencies
+echo "Installing Node.js dependencies..."
 cd server
-python3 -m pip install -r requirements.txt
+npm install
 
 if [ $? -eq 0 ]; then
     echo "Dependencies installed successfully!"
     echo ""
-    echo "To start the WebRTC Speed Test server:"
-    echo "  cd server"
-    echo "  python3 webrtc-server.py"
+    echo "To start all servers:"
+    echo "  ./start-servers.sh"
+    echo ""
+    echo "Or just the WebRTC signaling server:"
+    echo "  node server/webrtc-server.js --http-port 8081"
     echo ""
     echo "Then open http://localhost:8080 in your browser"
     echo ""
@@ -32,6 +34,6 @@ if [ $? -eq 0 ]; then
     echo "- Automatic fallback to HTTP testing if WebRTC unavailable"
     echo "- Real-time latency, download, and upload measurements"
 else
-    echo "Error installing dependencies. Please check your Python installation."
+    echo "Error installing dependencies. Please check your Node.js installation."
     exit 1
 fi
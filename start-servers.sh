@@ -54,24 +54,25 @@ start_server() {
 # Create logs directory
 mkdir -p logs
 
-echo "Checking Python dependencies..."
-python3 -c "import websockets" 2>/dev/null
-if [ $? -ne 0 ]; then
-    echo -e "${YELLOW}Installing Python dependencies...${NC}"
-    python3 -m pip install -r server/requirements.txt
+echo "Checking Node.js dependencies..."
+if [ ! -d server/node_modules ]; then
+    echo -e "${YELLOW}Installing Node.js dependencies...${NC}"
+    (cd server && npm install)
 fi
 
 echo ""
 echo "Starting servers..."
 
-# Start UDP Server
-start_server "UDP-Server" "python3 server/udp-server.py --udp-port 9001 --ws-port 9002" 9001 "logs/udp-server.log"
+# Start UDP Server (loopback only, for the bridge; UDP_HOST=0.0.0.0 lets the command line
+# client on other machines reach it)
+UDP_HOST=${UDP_HOST:-127.0.0.1}
+start_server "UDP-Server" "node server/udp-server.js --udp-port 9001 --ws-port 9002 --host $UDP_HOST" 9001 "logs/udp-server.log"
 
 # Start HTTP-UDP Bridge
-start_server "HTTP-Bridge" "python3 server/http-udp-bridge.py --http-port 8080 --udp-port 9001" 8080 "logs/http-bridge.log"
+start_server "HTTP-Bridge" "node server/http-udp-bridge.js --http-port 8080 --udp-port 9001" 8080 "logs/http-bridge.log"
 
 # Start WebRTC Signaling Server  
-start_server "WebRTC-Server" "python3 server/webrtc-server.py --http-port 8081 --ws-port 8082" 8081 "logs/webrtc-server.log"
+start_server "WebRTC-Server" "node server/webrtc-server.js --http-port 8081" 8081 "logs/webrtc-server.log"
 
 echo ""
 echo -e "${GREEN}Multi-Protocol Speed Test Setup Complete!${NC}"
@@ -79,8 +80,9 @@ echo ""
 echo "Available Services:"
 echo "  • Main Speed Test:     http://localhost:8080"
 echo "  • WebRTC Alternative:  http://localhost:8081" 
-echo "  • UDP Server:          localhost:9001"
+echo "  • UDP Server:          $UDP_HOST:9001"
 echo "  • Control WebSocket:   ws://localhost:9002"
+echo "  • WebRTC Signaling:    ws://localhost:8081"
 echo ""
 echo "Supported Protocols:"
 echo "  • UDP (True UDP via bridge)"
@@ -92,6 +94,11 @@ echo "  • UDP Server:     logs/udp-server.log"
 echo "  • HTTP Bridge:    logs/http-bridge.log"
 echo "  • WebRTC Server:  logs/webrtc-server.log"
 echo ""
+if [ "$UDP_HOST" = "127.0.0.1" ]; then
+    echo "The UDP server only accepts local clients; run UDP_HOST=0.0.0.0 ./start-servers.sh"
+    echo "for command line UDP tests (server/speedtest-cli.js) from other machines."
+    echo ""
+fi
 echo "To stop all servers: ./stop-servers.sh"
 echo "To view logs: tail -f logs/*.log"
 echo ""
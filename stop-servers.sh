@@ -43,10 +43,10 @@ stop_server "UDP-Server"
 stop_server "HTTP-Bridge" 
 stop_server "WebRTC-Server"
 
-# Also kill any Python processes running our servers (fallback)
+# Also kill any processes running our servers (fallback)
 echo -e "${YELLOW}Cleaning up any remaining server processes...${NC}"
-pkill -f "udp-server.py" 2>/dev/null
-pkill -f "http-udp-bridge.py" 2>/dev/null
-pkill -f "webrtc-server.py" 2>/dev/null
+pkill -f "server/udp-server.js" 2>/dev/null
+pkill -f "server/http-udp-bridge.js" 2>/dev/null
+pkill -f "server/webrtc-server.js" 2>/dev/null
 
 echo -e "${GREEN}All servers stopped.${NC}"